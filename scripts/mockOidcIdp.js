@@ -0,0 +1,174 @@
+import http from 'http';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Minimal OpenID Connect provider for local testing of SSO login. It signs in every
+// authorization request automatically as MOCK_OIDC_EMAIL (or ?login_hint=) without a UI.
+//
+//   node scripts/mockOidcIdp.js
+//   OIDC_ISSUER=http://localhost:9400 OIDC_CLIENT_ID=secure-print-hub OIDC_CLIENT_SECRET=mock-secret
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+const PORT = Number(process.env.MOCK_OIDC_PORT || 9400);
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.OIDC_CLIENT_ID || 'secure-print-hub';
+const CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET || 'mock-secret';
+const DEFAULT_EMAIL = process.env.MOCK_OIDC_EMAIL || 'sso.user@example.com';
+const DEFAULT_ROLES = (process.env.MOCK_OIDC_ROLES || '').split(',').map((r) => r.trim()).filter(Boolean);
+const CODE_TTL_MS = 60 * 1000;
+
+const KID = crypto.randomBytes(8).toString('hex');
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const publicJwk = { ...publicKey.export({ format: 'jwk' }), kid: KID, use: 'sig', alg: 'RS256' };
+
+const pendingCodes = new Map();
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+};
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', (chunk) => {
+      data += chunk;
+    });
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+
+const signJwt = (claims) => {
+  const header = Buffer.from(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid: KID })).toString('base64url');
+  const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${payload}`), privateKey).toString('base64url');
+  return `${header}.${payload}.${signature}`;
+};
+
+const readClientCredentials = (req, params) => {
+  const auth = req.headers.authorization || '';
+  if (auth.startsWith('Basic ')) {
+    const [id, secret] = Buffer.from(auth.slice(6), 'base64').toString('utf8').split(':');
+    return { clientId: decodeURIComponent(id || ''), clientSecret: decodeURIComponent(secret || '') };
+  }
+  return { clientId: params.get('client_id') || '', clientSecret: params.get('client_secret') || '' };
+};
+
+function handleAuthorize(url, res) {
+  const params = url.searchParams;
+  const redirectUri = params.get('redirect_uri');
+
+  if (params.get('client_id') !== CLIENT_ID || !redirectUri) {
+    return sendJson(res, 400, { error: 'invalid_request', error_description: 'unknown client or missing redirect_uri' });
+  }
+
+  if (params.get('response_type') !== 'code' || params.get('code_challenge_method') !== 'S256' || !params.get('code_challenge')) {
+    return sendJson(res, 400, { error: 'invalid_request', error_description: 'code flow with S256 PKCE required' });
+  }
+
+  const email = (params.get('login_hint') || DEFAULT_EMAIL).toLowerCase();
+  const code = crypto.randomBytes(24).toString('base64url');
+
+  pendingCodes.set(code, {
+    email,
+    redirectUri,
+    nonce: params.get('nonce'),
+    codeChallenge: params.get('code_challenge'),
+    expiresAt: Date.now() + CODE_TTL_MS,
+  });
+
+  const target = new URL(redirectUri);
+  target.searchParams.set('code', code);
+  if (params.get('state')) target.searchParams.set('state', params.get('state'));
+
+  console.log(`[mockOidcIdp] authorized ${email}`);
+  res.writeHead(302, { Location: target.toString() });
+  return res.end();
+}
+
+async function handleToken(req, res) {
+  const params = new URLSearchParams(await readBody(req));
+  const { clientId, clientSecret } = readClientCredentials(req, params);
+
+  if (clientId !== CLIENT_ID || clientSecret !== CLIENT_SECRET) {
+    return sendJson(res, 401, { error: 'invalid_client' });
+  }
+
+  const code = params.get('code');
+  const pending = pendingCodes.get(code);
+  pendingCodes.delete(code);
+
+  if (params.get('grant_type') !== 'authorization_code' || !pending || pending.expiresAt < Date.now()) {
+    return sendJson(res, 400, { error: 'invalid_grant' });
+  }
+
+  const challenge = crypto.createHash('sha256').update(params.get('code_verifier') || '').digest('base64url');
+  if (challenge !== pending.codeChallenge || params.get('redirect_uri') !== pending.redirectUri) {
+    return sendJson(res, 400, { error: 'invalid_grant', error_description: 'PKCE or redirect_uri mismatch' });
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const idToken = signJwt({
+    iss: ISSUER,
+    aud: CLIENT_ID,
+    sub: crypto.createHash('sha256').update(pending.email).digest('hex').slice(0, 24),
+    email: pending.email,
+    email_verified: true,
+    roles: DEFAULT_ROLES,
+    nonce: pending.nonce,
+    iat: now,
+    exp: now + 300,
+  });
+
+  return sendJson(res, 200, {
+    access_token: crypto.randomBytes(24).toString('base64url'),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken,
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  try {
+    const url = new URL(req.url, ISSUER);
+
+    if (req.method === 'GET' && url.pathname === '/.well-known/openid-configuration') {
+      return sendJson(res, 200, {
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        jwks_uri: `${ISSUER}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        code_challenge_methods_supported: ['S256'],
+        token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+      });
+    }
+
+    if (req.method === 'GET' && url.pathname === '/jwks') {
+      return sendJson(res, 200, { keys: [publicJwk] });
+    }
+
+    if (req.method === 'GET' && url.pathname === '/authorize') {
+      return handleAuthorize(url, res);
+    }
+
+    if (req.method === 'POST' && url.pathname === '/token') {
+      return handleToken(req, res);
+    }
+
+    return sendJson(res, 404, { error: 'not_found' });
+  } catch (err) {
+    console.error('[mockOidcIdp] request failed', err);
+    return sendJson(res, 500, { error: 'server_error' });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`[mockOidcIdp] issuer ${ISSUER} (client_id=${CLIENT_ID})`);
+});
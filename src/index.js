@@ -3,7 +3,18 @@ import mongoose from 'mongoose';
 import cors from 'cors';
 import bcrypt from 'bcryptjs';
 import User from './models/User.js';
-import { ipSecurity, checkLoginAttempts, checkIPWhitelist } from './middleware/ipSecurity.js';
+import Organization from './models/Organization.js';
+import BlockedIp from './models/BlockedIp.js';
+import { ensureDefaultRoles } from './services/permissions.js';
+import { ensureDefaultOrganization } from './services/orgScope.js';
+import { startBlocklistFeedRefresh } from './services/blocklistFeeds.js';
+import { startDocumentRetention } from './services/documentRetention.js';
+import { ipSecurity, checkLoginAttempts } from './middleware/ipSecurity.js';
+import { clientIpMiddleware } from './middleware/clientIp.js';
+import { requestIdMiddleware } from './middleware/requestId.js';
+import { rateLimiter } from './middleware/rateLimit.js';
+import { getClientIp } from './services/clientIp.js';
+import { ipMatches } from './services/ipAddress.js';
 import { redisEnabled } from './redisAvailability.js';
 import { getBullMqConnection, getQueuePrefix, getRedisTargetForLogs } from './bullmqConnection.js';
 import { OUTPUT_PDF_QUEUE_NAME, MERGE_PDF_QUEUE_NAME } from '../queues/outputPdfQueue.js';
@@ -12,6 +23,9 @@ const app = express();
 const PORT = process.env.PORT || 4000;
 
 app.use(cors());
+app.use(requestIdMiddleware);
+app.use(clientIpMiddleware);
+app.use(rateLimiter);
 app.use(express.json({ limit: '900mb' }));
 app.use(express.urlencoded({ extended: true, limit: '900mb' }));
 
@@ -21,17 +35,34 @@ app.use(checkLoginAttempts);
 const authRoutes = (await import('./routes/auth.js')).default;
 app.use('/api/auth', authRoutes);
 
-app.use(checkIPWhitelist);
 const securityRoutes = (await import('./routes/security.js')).default;
 const adminRoutes = (await import('./routes/admin.js')).default;
 const adminUsersRoutes = (await import('./routes/adminUsers.js')).default;
+const adminRolesRoutes = (await import('./routes/adminRoles.js')).default;
+const adminOrgsRoutes = (await import('./routes/adminOrgs.js')).default;
+const adminSecurityEventsRoutes = (await import('./routes/adminSecurityEvents.js')).default;
+const adminBlocklistsRoutes = (await import('./routes/adminBlocklists.js')).default;
+const adminAuditRoutes = (await import('./routes/adminAudit.js')).default;
+const adminIpWhitelistRoutes = (await import('./routes/adminIpWhitelist.js')).default;
+const adminFoldersRoutes = (await import('./routes/adminFolders.js')).default;
+const adminRetentionRoutes = (await import('./routes/adminRetention.js')).default;
 const docsRoutes = (await import('./routes/docs.js')).default;
+const apiKeysRoutes = (await import('./routes/apiKeys.js')).default;
 const pdfRoutes = (await import('./routes/pdfRoutes.js')).default;
 
 app.use('/api/security', securityRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/admin', adminUsersRoutes);
+app.use('/api/admin', adminRolesRoutes);
+app.use('/api/admin', adminOrgsRoutes);
+app.use('/api/admin', adminSecurityEventsRoutes);
+app.use('/api/admin', adminBlocklistsRoutes);
+app.use('/api/admin', adminAuditRoutes);
+app.use('/api/admin', adminIpWhitelistRoutes);
+app.use('/api/admin', adminFoldersRoutes);
+app.use('/api/admin', adminRetentionRoutes);
 app.use('/api/docs', docsRoutes);
+app.use('/api/api-keys', apiKeysRoutes);
 app.use('/api', pdfRoutes);
 
 // Health check
@@ -114,12 +145,8 @@ app.get('/api/queue-failures', async (req, res) => {
       process.env.WORKER_DEBUG === 'true' ||
       process.env.WORKER_DEBUG === 'yes';
 
-    const ip = req.ip;
-    const isLocalhost =
-      ip === '127.0.0.1' ||
-      ip === '::1' ||
-      ip === '::ffff:127.0.0.1' ||
-      (typeof ip === 'string' && ip.startsWith('::ffff:127.'));
+    const ip = getClientIp(req);
+    const isLocalhost = ipMatches(ip, '127.0.0.0/8') || ipMatches(ip, '::1');
 
     if (!debugEnabled && process.env.NODE_ENV === 'production' && !isLocalhost) {
       return res.status(404).json({ status: 'not_found' });
@@ -197,11 +224,14 @@ async function ensureAdminUser() {
   }
 
   const passwordHash = await bcrypt.hash(adminPassword, 10);
+  const seedRole = typeof process.env.SEED_ADMIN_ROLE === 'string' ? process.env.SEED_ADMIN_ROLE.trim().toLowerCase() : '';
 
   await User.create({
     email: adminEmail.toLowerCase(),
     passwordHash,
-    role: 'admin',
+    passwordChangedAt: new Date(),
+    role: seedRole || 'admin',
+    orgId: await Organization.getDefaultId(),
   });
 
  
@@ -223,7 +253,12 @@ async function start() {
     await mongoose.connect(mongoUri);
    
 
+    await ensureDefaultRoles();
+    await ensureDefaultOrganization();
+    await BlockedIp.backfillRanges();
     await ensureAdminUser();
+    startBlocklistFeedRefresh();
+    startDocumentRetention();
 
     const server = app.listen(PORT, () => {
       console.log(`Backend listening on port ${PORT}`);
@@ -2,29 +2,75 @@ import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
 import Session from '../models/Session.js';
 import BlockedIp from '../models/BlockedIp.js';
-
-const normalizeIp = (value) => {
-  if (!value || typeof value !== 'string') return '';
-  const first = value.split(',')[0].trim();
-  if (first.startsWith('::ffff:')) return first.slice('::ffff:'.length);
-  return first;
+import Organization from '../models/Organization.js';
+import { getRolePermissions, hasPermission } from '../services/permissions.js';
+import { findUsableApiKey, recordApiKeyUse } from '../services/apiKeys.js';
+import { checkSessionLimits, getSessionLimits, touchSession } from '../services/sessionActivity.js';
+import { getClientIp } from '../services/clientIp.js';
+import { normalizeIpAddress } from '../services/ipAddress.js';
+import { getSecurityPolicy } from '../services/securityPolicy.js';
+import { checkCountryAccess, sendCountryBlocked } from '../services/geoIp.js';
+import { checkIpWhitelist, sendIpNotWhitelisted } from '../services/ipWhitelist.js';
+
+// Country rules of the user's organization (merged over the global ones).
+const checkOrgCountryAccess = async (user, ip) => {
+  if (!user.orgId) return { allowed: true };
+  const policy = await getSecurityPolicy(user.orgId);
+  return checkCountryAccess(ip, policy.geo);
 };
 
-const getClientIp = (req) => {
-  const forwarded = req.headers['x-forwarded-for'];
-  const raw =
-    (typeof forwarded === 'string' && forwarded.length > 0
-      ? forwarded
-      : req.ip || (req.connection && req.connection.remoteAddress) || '') || '';
-  return normalizeIp(raw);
+// API keys are not bound to a session or IP; they are limited to /api/docs and to their scopes.
+const authenticateApiKey = async (req, res, next, rawKey, currentIp) => {
+  const originalUrl = req.originalUrl || req.url || '';
+  if (!originalUrl.startsWith('/api/docs')) {
+    return res.status(401).json({ message: 'API keys are not accepted on this route' });
+  }
+
+  const apiKey = await findUsableApiKey(rawKey);
+  if (!apiKey) {
+    return res.status(401).json({ message: 'Invalid or expired API key' });
+  }
+
+  const user = await User.findById(apiKey.userId).select('-passwordHash');
+  if (!user || String(user.orgId || '') !== String(apiKey.orgId || '')) {
+    return res.status(401).json({ message: 'Invalid or expired API key' });
+  }
+
+  // Keys survive organization deactivation (sessions do not) and work again on reactivation.
+  if (user.orgId && !(await Organization.exists({ _id: user.orgId, isActive: true }))) {
+    return res.status(403).json({
+      message: 'Your organization has been deactivated',
+      code: 'ORGANIZATION_INACTIVE',
+    });
+  }
+
+  if (user.orgId && (await BlockedIp.isBlocked(currentIp, user.orgId))) {
+    return res.status(401).json({ message: 'Access from this IP is blocked' });
+  }
+
+  const countryAccess = await checkOrgCountryAccess(user, currentIp);
+  if (!countryAccess.allowed) {
+    return sendCountryBlocked(res, countryAccess.country);
+  }
+
+  if (!(await checkIpWhitelist(user, currentIp)).allowed) {
+    return sendIpNotWhitelisted(res);
+  }
+
+  await recordApiKeyUse(apiKey, currentIp);
+
+  req.user = user;
+  req.apiKey = apiKey;
+  next();
 };
 
 export const authMiddleware = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization || '';
     const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
+    const apiKey = authHeader.startsWith('ApiKey ') ? authHeader.slice(7).trim() : null;
 
-    if (!token) {
+    if (!token && !apiKey) {
       return res.status(401).json({ logout: true, message: 'Unauthorized' });
     }
 
@@ -40,7 +86,7 @@ export const authMiddleware = async (req, res, next) => {
     const isAdminRoute = originalUrl.startsWith('/api/admin');
 
     if (!isAdminRoute) {
-      const blocked = await BlockedIp.findOne({ ip: currentIp });
+      const blocked = await BlockedIp.isBlocked(currentIp);
       if (blocked) {
         return res
           .status(401)
@@ -48,6 +94,10 @@ export const authMiddleware = async (req, res, next) => {
       }
     }
 
+    if (apiKey) {
+      return authenticateApiKey(req, res, next, apiKey, currentIp);
+    }
+
     let payload;
     try {
       payload = jwt.verify(token, jwtSecret);
@@ -62,15 +112,23 @@ export const authMiddleware = async (req, res, next) => {
       throw jwtErr; // Re-throw other JWT errors to be caught by outer handler
     }
 
-    const session = await Session.findOne({ token });
+    // Access tokens carry the id of their Session (sid); tokens minted before refresh
+    // rotation existed are still looked up by their raw value.
+    if (payload.typ && payload.typ !== 'access') {
+      return res.status(401).json({ logout: true, message: 'Invalid token' });
+    }
+
+    const session = payload.sid
+      ? await Session.findOne({ _id: payload.sid, isActive: true, expiresAt: { $gt: new Date() } })
+      : await Session.findOne({ token, isActive: { $ne: false } });
 
-    if (!session) {
+    if (!session || (payload.userId && session.userId.toString() !== String(payload.userId))) {
       return res
         .status(401)
         .json({ logout: true, message: 'Session expired or invalid' });
     }
 
-    if (!isAdminRoute && normalizeIp(session.ip) !== currentIp) {
+    if (!isAdminRoute && normalizeIpAddress(session.ip) !== currentIp) {
       await Session.deleteOne({ _id: session._id });
       return res
         .status(401)
@@ -84,6 +142,34 @@ export const authMiddleware = async (req, res, next) => {
       return res.status(401).json({ logout: true, message: 'User not found' });
     }
 
+    // Blocks scoped to the user's organization are only known once the user is loaded.
+    if (!isAdminRoute && user.orgId && (await BlockedIp.isBlocked(currentIp, user.orgId))) {
+      return res
+        .status(401)
+        .json({ logout: true, message: 'Access from this IP is blocked' });
+    }
+
+    if (!isAdminRoute) {
+      const countryAccess = await checkOrgCountryAccess(user, currentIp);
+      if (!countryAccess.allowed) {
+        return sendCountryBlocked(res, countryAccess.country, { logout: true });
+      }
+    }
+
+    // Unlike IP blocks, whitelisting also covers admin routes: it restricts who can act
+    // as this user rather than which addresses may reach the service.
+    if (!(await checkIpWhitelist(user, currentIp)).allowed) {
+      return sendIpNotWhitelisted(res, { logout: true });
+    }
+
+    const expired = checkSessionLimits(session, await getSessionLimits(user));
+    if (expired) {
+      await session.invalidate();
+      return res.status(401).json({ logout: true, ...expired });
+    }
+
+    await touchSession(session);
+
     req.user = user;
     req.session = session;
     next();
@@ -107,3 +193,42 @@ export const requireAdmin = (req, res, next) => {
   }
   next();
 };
+
+// Requires every listed permission, resolved from the role definitions of req.user.role.
+export const requirePermission = (...required) => async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(403).json({ message: 'Insufficient permissions' });
+    }
+
+    const granted = await getRolePermissions(req.user.role);
+    const missing = required.filter((permission) => !hasPermission(granted, permission));
+
+    if (missing.length) {
+      return res.status(403).json({ message: 'Insufficient permissions', required: missing });
+    }
+
+    req.permissions = granted;
+    next();
+  } catch (err) {
+    console.error('Permission check error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Restricts API-key requests to keys carrying every listed scope. Session (JWT) requests
+// are unaffected; their access is governed by document ownership and permissions.
+export const requireScope = (...required) => (req, res, next) => {
+  if (!req.apiKey) {
+    return next();
+  }
+
+  const granted = Array.isArray(req.apiKey.scopes) ? req.apiKey.scopes : [];
+  const missing = required.filter((scope) => !granted.includes(scope));
+
+  if (missing.length) {
+    return res.status(403).json({ message: 'API key is missing required scopes', required: missing });
+  }
+
+  next();
+};
@@ -0,0 +1,7 @@
+import { resolveClientIp } from '../services/clientIp.js';
+
+// Sets req.clientIP for everything downstream; must run before any IP-based check.
+export const clientIpMiddleware = (req, res, next) => {
+  req.clientIP = resolveClientIp(req);
+  next();
+};
@@ -1,22 +1,13 @@
 import BlockedIp from '../models/BlockedIp.js';
 import User from '../models/User.js';
-
-const getClientIP = (req) => {
-  const forwarded = req.headers['x-forwarded-for'];
-  if (typeof forwarded === 'string' && forwarded.length > 0) {
-    return forwarded.split(',')[0].trim();
-  }
-
-  return (
-    req.ip ||
-    (req.connection && req.connection.remoteAddress) ||
-    ''
-  );
-};
+import { getClientIp } from '../services/clientIp.js';
+import { checkCountryAccess, sendCountryBlocked } from '../services/geoIp.js';
+import { getSecurityPolicy } from '../services/securityPolicy.js';
+import { sendAccountLocked } from '../services/accountLockout.js';
 
 export const ipSecurity = async (req, res, next) => {
   try {
-    const clientIP = getClientIP(req);
+    const clientIP = getClientIp(req);
 
     const originalUrl = req.originalUrl || req.url || '';
 
@@ -38,6 +29,14 @@ export const ipSecurity = async (req, res, next) => {
       });
     }
 
+    // Global country rules; organization rules are applied by authMiddleware once the
+    // user (and so the organization) is known.
+    const policy = await getSecurityPolicy();
+    const countryAccess = await checkCountryAccess(clientIP, policy.geo);
+    if (!countryAccess.allowed) {
+      return sendCountryBlocked(res, countryAccess.country, { success: false });
+    }
+
     req.clientIP = clientIP;
     return next();
   } catch (err) {
@@ -63,17 +62,7 @@ export const checkLoginAttempts = async (req, res, next) => {
     }
 
     if (user.isAccountLocked && user.isAccountLocked()) {
-      const retryAfter = Math.max(
-        0,
-        Math.ceil((user.security.lockUntil - new Date()) / 1000)
-      );
-
-      return res.status(429).json({
-        success: false,
-        message: 'Account temporarily locked. Please try again later.',
-        code: 'ACCOUNT_LOCKED',
-        retryAfter,
-      });
+      return sendAccountLocked(res, user, { success: false });
     }
 
     req.userSecurity = user.security || {};
@@ -83,53 +72,3 @@ export const checkLoginAttempts = async (req, res, next) => {
     return next();
   }
 };
-
-export const checkIPWhitelist = async (req, res, next) => {
-  if (!req.user) {
-    return next();
-  }
-
-  try {
-    const user = await User.findById(req.user._id, {
-      security: 1,
-      allowedIPs: 1,
-    });
-
-    if (!user || !user.security || !user.security.requireIPWhitelist) {
-      return next();
-    }
-
-    const clientIP = req.clientIP || getClientIP(req);
-
-    const allowedIP = (user.allowedIPs || []).find(
-      (item) => item.ip === clientIP && item.isActive !== false
-    );
-
-    if (!allowedIP) {
-      await User.findByIdAndUpdate(user._id, {
-        $push: {
-          loginHistory: {
-            ip: clientIP,
-            userAgent: req.headers['user-agent'] || '',
-            status: 'failed',
-            reason: 'IP not whitelisted',
-          },
-        },
-      });
-
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied: IP not whitelisted',
-        code: 'IP_NOT_WHITELISTED',
-      });
-    }
-
-    allowedIP.lastUsed = new Date();
-    await user.save();
-
-    return next();
-  } catch (err) {
-    console.error('IP whitelist check error', err);
-    return next(err);
-  }
-};
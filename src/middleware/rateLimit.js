@@ -0,0 +1,181 @@
+import jwt from 'jsonwebtoken';
+import { getClientIp } from '../services/clientIp.js';
+import { parseApiKey } from '../services/apiKeys.js';
+import { incrementCounter } from '../services/sharedStore.js';
+
+// Fixed-window request limits, counted in the shared store (Redis, or process memory when
+// Redis is unavailable). Every policy whose route matches a request is applied; the first
+// one exhausted answers 429. Mounted before the body parsers, so it only looks at the
+// method, path and headers and rejects floods before their bodies are read. Limits can be
+// changed through RATE_LIMITS ("name=limit/windowSeconds,..."); RATE_LIMIT_DISABLED=true
+// turns limiting off.
+//
+// `by` picks the bucket: 'ip', or 'user' for the authenticated user (access token user or
+// API key), falling back to the client IP for anonymous requests.
+export const RATE_LIMIT_POLICIES = [
+  { name: 'api', limit: 600, windowSeconds: 60, by: 'user', paths: ['/api/'] },
+  {
+    name: 'login',
+    limit: 10,
+    windowSeconds: 60,
+    by: 'ip',
+    methods: ['POST'],
+    paths: ['/api/auth/login', '/api/auth/oidc/callback', '/api/auth/change-expired-password'],
+  },
+  {
+    name: 'account-email',
+    limit: 5,
+    windowSeconds: 15 * 60,
+    by: 'ip',
+    methods: ['POST'],
+    paths: ['/api/auth/register', '/api/auth/forgot-password', '/api/auth/resend-verification'],
+  },
+  {
+    name: 'token-redeem',
+    limit: 20,
+    windowSeconds: 15 * 60,
+    by: 'ip',
+    methods: ['POST'],
+    paths: ['/api/auth/reset-password', '/api/auth/verify-email'],
+  },
+  { name: 'refresh', limit: 60, windowSeconds: 60, by: 'ip', methods: ['POST'], paths: ['/api/auth/refresh'] },
+  {
+    name: 'render',
+    limit: 30,
+    windowSeconds: 60,
+    by: 'user',
+    methods: ['POST'],
+    paths: ['/api/docs/secure-render', '/api/docs/secure-print'],
+  },
+  {
+    name: 'pdf-generate',
+    limit: 10,
+    windowSeconds: 60,
+    by: 'user',
+    methods: ['POST'],
+    paths: ['/api/series/generate', '/api/generate-output-pdf'],
+  },
+  { name: 'upload', limit: 30, windowSeconds: 60, by: 'user', methods: ['POST'], paths: ['/api/docs/upload'] },
+];
+
+const EXEMPT_PATHS = ['/api/health'];
+
+const isDisabled = () => ['true', '1', 'yes'].includes(String(process.env.RATE_LIMIT_DISABLED || '').toLowerCase());
+
+// RATE_LIMITS overrides, parsed once per distinct value.
+let overridesRaw = null;
+let overrides = new Map();
+
+function getOverrides() {
+  const raw = process.env.RATE_LIMITS || '';
+  if (raw === overridesRaw) return overrides;
+
+  overridesRaw = raw;
+  overrides = new Map();
+  for (const entry of raw.split(',').map((e) => e.trim()).filter(Boolean)) {
+    const match = entry.match(/^([a-z0-9-]+)=(\d+)\/(\d+)$/);
+    if (!match || Number(match[3]) <= 0) {
+      console.warn('[rateLimit] ignoring invalid RATE_LIMITS entry', entry);
+      continue;
+    }
+    overrides.set(match[1], { limit: Number(match[2]), windowSeconds: Number(match[3]) });
+  }
+  return overrides;
+}
+
+const pathMatches = (path, prefix) =>
+  prefix.endsWith('/') ? path.startsWith(prefix) : path === prefix || path.startsWith(`${prefix}/`);
+
+export function matchingPolicies(method, path) {
+  const configured = getOverrides();
+  return RATE_LIMIT_POLICIES.filter(
+    (policy) =>
+      (!policy.methods || policy.methods.includes(method)) &&
+      policy.paths.some((prefix) => pathMatches(path, prefix))
+  ).map((policy) => ({ ...policy, ...configured.get(policy.name) }));
+}
+
+// Only signed tokens name a user; anything else would let a client pick its own bucket.
+// API keys are keyed by their prefix: a made-up key fails authentication before any work.
+function resolveUserKey(req) {
+  const authHeader = req.headers.authorization || '';
+
+  if (authHeader.startsWith('ApiKey ')) {
+    const parsed = parseApiKey(authHeader.slice(7));
+    return parsed ? `key:${parsed.prefix}` : null;
+  }
+
+  const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
+  if (token && process.env.JWT_SECRET) {
+    try {
+      const payload = jwt.verify(token, process.env.JWT_SECRET);
+      if (payload.userId) return `user:${payload.userId}`;
+    } catch (_) {
+      // Invalid or expired: limited by IP.
+    }
+  }
+
+  return null;
+}
+
+const bucketKey = (req, policy) => {
+  const userKey = policy.by === 'user' ? resolveUserKey(req) : null;
+  return userKey || `ip:${getClientIp(req)}`;
+};
+
+function setHeaders(res, { limit, remaining, resetSeconds, policy }) {
+  res.setHeader('RateLimit-Limit', String(limit));
+  res.setHeader('RateLimit-Remaining', String(Math.max(0, remaining)));
+  res.setHeader('RateLimit-Reset', String(resetSeconds));
+  res.setHeader('RateLimit-Policy', `${policy.limit};w=${policy.windowSeconds}`);
+}
+
+export const rateLimiter = async (req, res, next) => {
+  const path = req.path || '';
+  if (isDisabled() || EXEMPT_PATHS.includes(path)) {
+    return next();
+  }
+
+  const policies = matchingPolicies(req.method, path);
+  if (!policies.length) {
+    return next();
+  }
+
+  try {
+    const now = Date.now();
+    let tightest = null;
+
+    for (const policy of policies) {
+      const windowMs = policy.windowSeconds * 1000;
+      const windowIndex = Math.floor(now / windowMs);
+      const resetSeconds = Math.max(1, Math.ceil(((windowIndex + 1) * windowMs - now) / 1000));
+      const count = await incrementCounter(
+        `rl:${policy.name}:${bucketKey(req, policy)}:${windowIndex}`,
+        policy.windowSeconds
+      );
+      const state = { policy, limit: policy.limit, remaining: policy.limit - count, resetSeconds };
+
+      if (count > policy.limit) {
+        setHeaders(res, state);
+        res.setHeader('Retry-After', String(resetSeconds));
+        return res.status(429).json({
+          message: 'Too many requests, please try again later',
+          code: 'RATE_LIMITED',
+          policy: policy.name,
+          retryAfter: resetSeconds,
+        });
+      }
+
+      if (!tightest || state.remaining < tightest.remaining) {
+        tightest = state;
+      }
+    }
+
+    setHeaders(res, tightest);
+    return next();
+  } catch (err) {
+    // Limiting is a safeguard; a store failure must not take the API down.
+    console.error('Rate limit error', err);
+    return next();
+  }
+};
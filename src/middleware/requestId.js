@@ -0,0 +1,12 @@
+import crypto from 'crypto';
+
+// Correlates logs and audit events with one request. A well-formed X-Request-Id from the
+// caller (e.g. a gateway) is kept, otherwise a new one is generated; it is echoed back.
+const REQUEST_ID_REGEX = /^[A-Za-z0-9._:-]{1,128}$/;
+
+export const requestIdMiddleware = (req, res, next) => {
+  const incoming = req.headers['x-request-id'];
+  req.id = typeof incoming === 'string' && REQUEST_ID_REGEX.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.id);
+  next();
+};
@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+
+// Long-lived credentials for the print agent and integrations. The secret is only shown
+// once at creation; the prefix identifies the key and is safe to display.
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    prefix: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    secretHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    orgId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      index: true,
+    },
+    scopes: {
+      type: [String],
+      default: [],
+    },
+    // null = never expires
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedIp: {
+      type: String,
+      default: '',
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false,
+    collection: 'api_keys',
+  }
+);
+
+apiKeySchema.methods.isUsable = function (now = new Date()) {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > now);
+};
+
+const ApiKey = mongoose.models.ApiKey || mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
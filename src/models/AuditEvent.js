@@ -0,0 +1,125 @@
+import mongoose from 'mongoose';
+
+// Append-only record of admin and security actions (services/audit.js). Each event stores
+// the hash of its predecessor, so editing or removing any event breaks the chain.
+const auditEventSchema = new mongoose.Schema(
+  {
+    // Position in the hash chain, gap-free from 1
+    seq: {
+      type: Number,
+      required: true,
+      unique: true,
+    },
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+      index: true,
+    },
+    actorEmail: {
+      type: String,
+      default: '',
+    },
+    actorRole: {
+      type: String,
+      default: '',
+    },
+    // Organization the action belongs to (null = platform-wide)
+    orgId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      default: null,
+    },
+    // Dotted verb, e.g. "ip.block", "session.logout", "user.create"
+    action: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    targetType: {
+      type: String,
+      default: '',
+    },
+    targetId: {
+      type: String,
+      default: '',
+    },
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    // Top-level fields that differ between before and after: { field: { before, after } }
+    changes: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    ip: {
+      type: String,
+      default: '',
+    },
+    userAgent: {
+      type: String,
+      default: '',
+    },
+    requestId: {
+      type: String,
+      default: '',
+      index: true,
+    },
+    prevHash: {
+      type: String,
+      required: true,
+    },
+    hash: {
+      type: String,
+      required: true,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false,
+    // Keep empty objects so the stored event hashes the same as the one written.
+    minimize: false,
+    collection: 'audit_events',
+  }
+);
+
+auditEventSchema.index({ orgId: 1, createdAt: -1 });
+auditEventSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+const rejectMutation = function (next) {
+  next(new Error('Audit events are append-only'));
+};
+
+for (const op of [
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+]) {
+  auditEventSchema.pre(op, rejectMutation);
+}
+
+auditEventSchema.pre('save', function (next) {
+  if (!this.isNew) return next(new Error('Audit events are append-only'));
+  next();
+});
+
+const AuditEvent = mongoose.models.AuditEvent || mongoose.model('AuditEvent', auditEventSchema);
+
+export default AuditEvent;
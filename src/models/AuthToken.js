@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import { hashToken } from '../services/authTokens.js';
+
+// Single-use tokens mailed to users (password reset, email verification, login step-up). Only the hash is stored.
+const authTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    purpose: {
+      type: String,
+      enum: ['password_reset', 'email_verification', 'login_step_up'],
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+    requestedIp: {
+      type: String,
+      default: '',
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false,
+    collection: 'auth_tokens',
+  }
+);
+
+authTokenSchema.index({ userId: 1, purpose: 1, usedAt: 1 });
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Issues a new token and retires any outstanding one for the same purpose.
+authTokenSchema.statics.issue = async function (userId, purpose, ttlMs, requestedIp = '') {
+  const raw = crypto.randomBytes(32).toString('base64url');
+
+  await this.deleteMany({ userId, purpose, usedAt: null });
+  await this.create({
+    userId,
+    purpose,
+    tokenHash: hashToken(raw),
+    expiresAt: new Date(Date.now() + ttlMs),
+    requestedIp,
+  });
+
+  return raw;
+};
+
+// Looks a token up without using it, e.g. to validate a request before consuming the token.
+authTokenSchema.statics.findValid = function (raw, purpose) {
+  if (!raw || typeof raw !== 'string') return null;
+  return this.findOne({ tokenHash: hashToken(raw), purpose, usedAt: null, expiresAt: { $gt: new Date() } });
+};
+
+authTokenSchema.statics.consume = async function (raw, purpose) {
+  if (!raw || typeof raw !== 'string') return null;
+
+  const now = new Date();
+  return this.findOneAndUpdate(
+    { tokenHash: hashToken(raw), purpose, usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } },
+    { new: true }
+  );
+};
+
+const AuthToken = mongoose.models.AuthToken || mongoose.model('AuthToken', authTokenSchema);
+
+export default AuthToken;
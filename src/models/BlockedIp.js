@@ -1,22 +1,55 @@
 import mongoose from 'mongoose';
+import { networkStarts, parseIp, parseIpOrCidr, toRangeKey } from '../services/ipAddress.js';
 
 const blockedIpSchema = new mongoose.Schema(
   {
+    // Canonical address or CIDR ("10.0.0.0/24", "2001:db8::/32")
     ip: {
       type: String,
       required: true,
-      unique: true,
       trim: true,
       index: true,
     },
+    // Inclusive range covered by ip, as 32-char hex so string comparison matches numeric order
+    version: {
+      type: Number,
+      enum: [4, 6],
+    },
+    rangeStart: {
+      type: String,
+    },
+    rangeEnd: {
+      type: String,
+    },
+    prefixLength: {
+      type: Number,
+    },
+    // null = applies to every organization
+    orgId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      default: null,
+    },
     reason: {
       type: String,
       default: '',
     },
+    // 'manual' (admin action), 'auto' (failed-login detector) or 'feed:<name>' (imported
+    // list, replaced or removed as a unit by services/blocklistFeeds.js)
+    source: {
+      type: String,
+      default: 'manual',
+      index: true,
+    },
+    // Last import of the feed that listed this entry
+    lastSeenAt: {
+      type: Date,
+    },
     blockedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
     },
+    // null = never expires (feed entries stay until their feed drops them)
     expiresAt: {
       type: Date,
       default: () => new Date(Date.now() + 24 * 60 * 60 * 1000),
@@ -36,16 +69,93 @@ const blockedIpSchema = new mongoose.Schema(
   }
 );
 
+blockedIpSchema.index({ ip: 1, orgId: 1 }, { unique: true });
 blockedIpSchema.index({ ip: 1, isActive: 1 });
+blockedIpSchema.index({ version: 1, rangeStart: 1, rangeEnd: 1 });
 blockedIpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
-blockedIpSchema.statics.isBlocked = async function (ip) {
-  const blocked = await this.findOne({
-    ip,
+const rangeFields = (ip) => {
+  const range = parseIpOrCidr(ip);
+  if (!range) return null;
+  return {
+    ip: range.canonical,
+    version: range.version,
+    rangeStart: toRangeKey(range.start),
+    rangeEnd: toRangeKey(range.end),
+    prefixLength: range.prefixLength,
+  };
+};
+
+blockedIpSchema.pre('validate', function (next) {
+  if (this.isModified('ip') || !this.rangeStart) {
+    const fields = rangeFields(this.ip);
+    if (!fields) return next(new Error(`Invalid IP address or CIDR range: ${this.ip}`));
+    Object.assign(this, fields);
+  }
+  next();
+});
+
+// Canonical form of an address/CIDR for lookups by ip, or null when invalid.
+blockedIpSchema.statics.canonicalIp = function (ip) {
+  const range = parseIpOrCidr(ip);
+  return range ? range.canonical : null;
+};
+
+// Creates or re-activates a block for an address or CIDR range. Returns null for invalid input.
+blockedIpSchema.statics.block = async function ({ ip, orgId = null, ...fields }) {
+  const range = rangeFields(ip);
+  if (!range) return null;
+
+  return this.findOneAndUpdate(
+    { ip: range.ip, orgId: orgId || null },
+    { $set: { ...range, isActive: true, ...fields } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Active blocks whose range contains ip. Without an orgId only global blocks are
+// considered (e.g. before the user is known). Ranges are aligned CIDRs, so matching looks
+// up the few network starts containing ip (index equality) instead of scanning every
+// range that starts below it.
+blockedIpSchema.statics.findMatching = async function (ip, orgId = null, { limit = 0 } = {}) {
+  const address = parseIp(ip);
+  if (!address) return [];
+
+  const key = toRangeKey(address.value);
+  return this.find({
+    version: address.version,
+    rangeStart: { $in: [...new Set(networkStarts(address).map(toRangeKey))] },
+    rangeEnd: { $gte: key },
+    orgId: orgId ? { $in: [null, orgId] } : null,
     isActive: true,
-    $or: [{ expiresAt: { $exists: false } }, { expiresAt: { $gt: new Date() } }],
-  });
-  return !!blocked;
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+  })
+    .limit(limit)
+    .lean();
+};
+
+blockedIpSchema.statics.isBlocked = async function (ip, orgId = null) {
+  const blocked = await this.findMatching(ip, orgId, { limit: 1 });
+  return blocked.length > 0;
+};
+
+// Fills range fields for blocks created before range matching existed.
+blockedIpSchema.statics.backfillRanges = async function () {
+  const legacy = await this.find({ rangeStart: { $exists: false } }).select('ip').lean();
+  for (const doc of legacy) {
+    const fields = rangeFields(doc.ip);
+    if (!fields) {
+      console.warn('[BlockedIp] cannot parse legacy entry, leaving it unmatched', doc.ip);
+      continue;
+    }
+    await this.updateOne({ _id: doc._id }, { $set: fields }).catch((err) => {
+      // A legacy duplicate of an already-canonical entry; keep the range but not the new ip text.
+      if (err.code !== 11000) throw err;
+      const { ip, ...range } = fields;
+      return this.updateOne({ _id: doc._id }, { $set: range });
+    });
+  }
+  return legacy.length;
 };
 
 const BlockedIp =
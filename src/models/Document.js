@@ -1,5 +1,25 @@
 import mongoose from "mongoose";
 
+// One uploaded source file. fileKey / fileUrl / mimeType on the document always mirror
+// the current version; documents created before versioning have no versions yet.
+const documentVersionSchema = new mongoose.Schema(
+  {
+    version: { type: Number, required: true },
+    fileKey: { type: String, required: true },
+    fileUrl: { type: String, required: true },
+    mimeType: { type: String, default: "application/pdf" },
+    // sha256 of the file bytes, hex
+    checksum: { type: String, default: null },
+    size: { type: Number, default: null },
+    pageCount: { type: Number, default: null },
+    title: { type: String, default: "" },
+    notes: { type: String, default: "" },
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
 const documentSchema = new mongoose.Schema(
   {
     title: {
@@ -33,23 +53,153 @@ const documentSchema = new mongoose.Schema(
       index: true,
     },
 
+    orgId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      index: true,
+    },
+
     mimeType: {
       type: String,
       default: "application/pdf",
     },
 
+    // Of the current version; SVGs count as one page. null for files uploaded before
+    // uploads were inspected.
+    pageCount: {
+      type: Number,
+      default: null,
+    },
+
+    // sha256 of the current file, hex; print agents check downloads against it. Files
+    // with the same checksum in an organization share one S3 object (models/StoredObject.js).
+    // null for files uploaded before checksums were stored.
+    checksum: {
+      type: String,
+      default: null,
+    },
+
     documentType: {
       type: String,
       enum: ["source", "generated-output"],
       default: "source",
       index: true,
     },
+
+    currentVersion: {
+      type: Number,
+      default: 1,
+    },
+
+    versions: {
+      type: [documentVersionSchema],
+      default: [],
+    },
+
+    description: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+
+    // Free-form labels, stored lowercased (see services/documentCatalog.js normalizeTags)
+    tags: {
+      type: [String],
+      default: [],
+      index: true,
+    },
+
+    folderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Folder",
+      default: null,
+      index: true,
+    },
+
+    // Generated outputs: the job that produced them and the source documents they were built from
+    sourceJobId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DocumentJobs",
+      default: null,
+    },
+
+    sourceDocumentIds: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Document" }],
+      default: [],
+    },
+
+    // archived: hidden from lists and closed to new assignments, existing grants keep
+    // printing. deleted: grants revoked; restorable until services/documentRetention.js
+    // purges the files and rows after the retention window.
+    status: {
+      type: String,
+      enum: ["active", "archived", "deleted"],
+      default: "active",
+      index: true,
+    },
+
+    archivedAt: {
+      type: Date,
+      default: null,
+    },
+
+    archivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    // "admin" or "retention" (expired by the retention policy)
+    deleteReason: {
+      type: String,
+      default: null,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+documentSchema.index(
+  { title: "text", description: "text", tags: "text" },
+  { name: "document_search", weights: { title: 5, tags: 3, description: 1 } }
+);
+documentSchema.index({ orgId: 1, createdAt: -1, _id: -1 });
+documentSchema.index({ status: 1, deletedAt: 1 });
+
+// The file of a version (null = current). Legacy documents only have their top-level file.
+documentSchema.methods.fileForVersion = function (version = null) {
+  const wanted = version || this.currentVersion || 1;
+  const entry = (this.versions || []).find((v) => v.version === wanted);
+  if (entry) {
+    return {
+      version: entry.version,
+      fileKey: entry.fileKey,
+      fileUrl: entry.fileUrl,
+      mimeType: entry.mimeType,
+      checksum: entry.checksum,
+    };
+  }
+  return {
+    version: this.currentVersion || 1,
+    fileKey: this.fileKey,
+    fileUrl: this.fileUrl,
+    mimeType: this.mimeType,
+    checksum: this.checksum,
+  };
+};
+
 const Document =
   mongoose.models.Document || mongoose.model("Document", documentSchema);
 
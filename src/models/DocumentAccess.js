@@ -4,9 +4,18 @@ const documentAccessSchema = new mongoose.Schema(
   {
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
     documentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Document', required: true },
+    orgId: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', index: true },
     assignedQuota: { type: Number, required: true },
     usedPrints: { type: Number, default: 0 },
     sessionToken: { type: String, index: true, unique: true, sparse: true },
+    // Document version this grant prints; null follows the document's current version
+    pinnedVersion: { type: Number, default: null },
+    // exhausted: quota used up (see POST /api/docs/print-confirm). revoked: withdrawn, e.g.
+    // because the document was deleted; revokedReason tells restore which grants to give back.
+    status: { type: String, enum: ['active', 'exhausted', 'revoked'], default: 'active' },
+    exhaustedAt: { type: Date, default: null },
+    revokedAt: { type: Date, default: null },
+    revokedReason: { type: String, default: null },
   },
   { timestamps: true }
 );
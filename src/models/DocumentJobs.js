@@ -3,6 +3,9 @@ import mongoose from 'mongoose';
 const documentJobSchema = new mongoose.Schema(
   {
     email: { type: String, required: true },
+    // Title given to the output document; see services/documentCatalog.js generatedOutputTitle
+    title: { type: String, default: '' },
+    sourceDocumentIds: { type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Document' }], default: [] },
     assignedQuota: { type: Number, required: true },
     // Optional lightweight copy or summary of layout; full pages are kept only in the queue payload
     layoutPages: { type: Array, default: [] },
@@ -30,6 +33,7 @@ const documentJobSchema = new mongoose.Schema(
       default: 'pending',
     },
     createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    orgId: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', index: true },
   },
   {
     timestamps: true,
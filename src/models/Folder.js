@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+// Admin-side grouping of documents. Folders nest through parentId (null = top level) and
+// belong to one organization; documents point at their folder with Document.folderId.
+const folderSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    parentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Folder',
+      default: null,
+    },
+    orgId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      default: null,
+      index: true,
+    },
+    description: {
+      type: String,
+      default: '',
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Sibling folders need distinct names (compared case-insensitively).
+folderSchema.index(
+  { orgId: 1, parentId: 1, name: 1 },
+  { unique: true, collation: { locale: 'en', strength: 2 } }
+);
+
+const Folder = mongoose.models.Folder || mongoose.model('Folder', folderSchema);
+
+export default Folder;
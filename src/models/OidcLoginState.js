@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+// Pending OIDC authorization request: binds the callback to the state, nonce and PKCE
+// verifier we generated and to the address that started the login. Each state can be
+// consumed once.
+const oidcLoginStateSchema = new mongoose.Schema(
+  {
+    state: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    nonce: {
+      type: String,
+      required: true,
+    },
+    codeVerifier: {
+      type: String,
+      required: true,
+    },
+    requestedIp: {
+      type: String,
+      default: '',
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false,
+    collection: 'oidc_login_states',
+  }
+);
+
+oidcLoginStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+oidcLoginStateSchema.statics.consume = function (state) {
+  if (!state || typeof state !== 'string') return null;
+  return this.findOneAndDelete({ state, expiresAt: { $gt: new Date() } });
+};
+
+const OidcLoginState =
+  mongoose.models.OidcLoginState || mongoose.model('OidcLoginState', oidcLoginStateSchema);
+
+export default OidcLoginState;
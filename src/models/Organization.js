@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+export const DEFAULT_ORG_SLUG = 'default';
+
+const organizationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: /^[a-z0-9][a-z0-9-]{1,62}$/,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'organizations',
+  }
+);
+
+let defaultOrgId = null;
+
+// Organization that self-registered and legacy (pre-tenancy) records belong to.
+organizationSchema.statics.getDefaultId = async function () {
+  if (defaultOrgId) return defaultOrgId;
+
+  const org = await this.findOneAndUpdate(
+    { slug: DEFAULT_ORG_SLUG },
+    { $setOnInsert: { name: 'Default', slug: DEFAULT_ORG_SLUG } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+  defaultOrgId = org._id;
+  return defaultOrgId;
+};
+
+const Organization =
+  mongoose.models.Organization || mongoose.model('Organization', organizationSchema);
+
+export default Organization;
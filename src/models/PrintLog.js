@@ -4,8 +4,20 @@ const printLogSchema = new mongoose.Schema(
   {
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
     documentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Document', required: true },
+    orgId: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', index: true },
     count: { type: Number, default: 1 },
     meta: { type: Object },
+    // Where the print was requested from (client IP and its GeoIP country / network)
+    ip: { type: String },
+    geo: {
+      country: String,
+      countryName: String,
+      asn: Number,
+      asnOrg: String,
+      latitude: Number,
+      longitude: Number,
+      accuracyRadiusKm: Number,
+    },
   },
   { timestamps: true }
 );
@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: /^[a-z][a-z0-9_-]{1,39}$/,
+    },
+    description: {
+      type: String,
+      default: '',
+      trim: true,
+    },
+    permissions: {
+      type: [String],
+      default: [],
+    },
+    // Built-in roles can be edited but not deleted; "admin" keeps every permission.
+    isSystem: {
+      type: Boolean,
+      default: false,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'roles',
+  }
+);
+
+const Role = mongoose.models.Role || mongoose.model('Role', roleSchema);
+
+export default Role;
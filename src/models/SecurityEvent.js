@@ -0,0 +1,102 @@
+import mongoose from 'mongoose';
+
+// Suspicious-login findings (services/loginAnomalies.js), shown to admins as a feed.
+const securityEventSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['new_device', 'impossible_travel'],
+      required: true,
+    },
+    severity: {
+      type: String,
+      enum: ['low', 'medium', 'high'],
+      default: 'medium',
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    orgId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      default: null,
+    },
+    ip: {
+      type: String,
+      default: '',
+    },
+    userAgent: {
+      type: String,
+      default: '',
+    },
+    deviceInfo: {
+      browser: String,
+      os: String,
+      device: String,
+      platform: String,
+    },
+    geo: {
+      country: String,
+      countryName: String,
+      asn: Number,
+      asnOrg: String,
+      latitude: Number,
+      longitude: Number,
+      accuracyRadiusKm: Number,
+    },
+    // What the login was compared against, e.g. previous location, distance and speed
+    details: {
+      type: Object,
+      default: {},
+    },
+    // Response configured in the policy: 'none', 'step_up' or 'revoke_others'
+    action: {
+      type: String,
+      enum: ['none', 'step_up', 'revoke_others'],
+      default: 'none',
+    },
+    // Session created by the login (unset while step-up verification is pending)
+    sessionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Session',
+      default: null,
+    },
+    stepUpVerifiedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedSessionCount: {
+      type: Number,
+      default: 0,
+    },
+    acknowledgedAt: {
+      type: Date,
+      default: null,
+    },
+    acknowledgedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false,
+    collection: 'security_events',
+  }
+);
+
+securityEventSchema.index({ orgId: 1, createdAt: -1 });
+securityEventSchema.index({ userId: 1, createdAt: -1 });
+securityEventSchema.index({ acknowledgedAt: 1, createdAt: -1 });
+
+const SecurityEvent =
+  mongoose.models.SecurityEvent || mongoose.model('SecurityEvent', securityEventSchema);
+
+export default SecurityEvent;
@@ -0,0 +1,277 @@
+import mongoose from 'mongoose';
+
+const securityPolicySchema = new mongoose.Schema(
+  {
+    // 'global' for the platform defaults, 'org:<orgId>' for an organization's overrides.
+    // Organization documents only contain the settings that were explicitly changed.
+    scope: {
+      type: String,
+      required: true,
+      unique: true,
+      default: 'global',
+    },
+    orgId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      default: null,
+    },
+    mfa: {
+      requireForAdmins: {
+        type: Boolean,
+        default: false,
+      },
+    },
+    passwordPolicy: {
+      minLength: {
+        type: Number,
+        default: 8,
+      },
+      requireUppercase: {
+        type: Boolean,
+        default: false,
+      },
+      requireLowercase: {
+        type: Boolean,
+        default: false,
+      },
+      requireDigit: {
+        type: Boolean,
+        default: false,
+      },
+      requireSymbol: {
+        type: Boolean,
+        default: false,
+      },
+      // Number of previous passwords that may not be reused (0 = no history check)
+      historyCount: {
+        type: Number,
+        default: 5,
+      },
+      // Days after which a password must be changed at next login (0 = never)
+      maxAgeDays: {
+        type: Number,
+        default: 0,
+      },
+      // Only effective when BREACHED_PASSWORDS_PATH points at a local hash list
+      rejectBreached: {
+        type: Boolean,
+        default: true,
+      },
+    },
+    sessions: {
+      // Minutes without requests before a session ends (0 = no idle timeout)
+      idleTimeoutMinutes: {
+        type: Number,
+        default: 60,
+      },
+      // Hours after login when a session ends regardless of activity (0 = refresh token TTL only)
+      absoluteLifetimeHours: {
+        type: Number,
+        default: 0,
+      },
+      // Per-role replacements for the two values above; unset fields inherit
+      roleOverrides: {
+        type: [
+          {
+            _id: false,
+            role: { type: String, required: true, lowercase: true, trim: true },
+            idleTimeoutMinutes: { type: Number },
+            absoluteLifetimeHours: { type: Number },
+          },
+        ],
+        default: [],
+      },
+    },
+    // Country rules based on the offline GeoIP database (services/geoIp.js)
+    geo: {
+      // 'off', 'allow' (only listed countries) or 'deny' (all but listed countries)
+      mode: {
+        type: String,
+        enum: ['off', 'allow', 'deny'],
+        default: 'off',
+      },
+      // ISO 3166-1 alpha-2 codes, upper case
+      countries: {
+        type: [String],
+        default: [],
+      },
+      // Addresses without a country (private ranges, missing from the database)
+      allowUnknown: {
+        type: Boolean,
+        default: true,
+      },
+    },
+    // New-device and impossible-travel detection on login (services/loginAnomalies.js)
+    loginAnomalies: {
+      enabled: {
+        type: Boolean,
+        default: true,
+      },
+      // How far back logins count as known devices / previous locations
+      lookbackDays: {
+        type: Number,
+        default: 90,
+      },
+      // Travel faster than this between two logins is flagged (roughly airliner speed)
+      maxTravelSpeedKmh: {
+        type: Number,
+        default: 900,
+      },
+      // Response per finding: 'none' (record only), 'step_up' (confirm the login by email)
+      // or 'revoke_others' (let the login through and end the user's other sessions)
+      newDeviceAction: {
+        type: String,
+        enum: ['none', 'step_up', 'revoke_others'],
+        default: 'none',
+      },
+      impossibleTravelAction: {
+        type: String,
+        enum: ['none', 'step_up', 'revoke_others'],
+        default: 'none',
+      },
+    },
+    // Account lockout after failed logins (User.incrementLoginAttempts)
+    lockout: {
+      maxFailedAttempts: {
+        type: Number,
+        default: 5,
+      },
+      lockMinutes: {
+        type: Number,
+        default: 30,
+      },
+      // Each further lock lasts lockGrowthFactor times the previous one (1 = no growth)
+      lockGrowthFactor: {
+        type: Number,
+        default: 2,
+      },
+      maxLockMinutes: {
+        type: Number,
+        default: 24 * 60,
+      },
+      // Lock until an admin unlocks after this many locks (0 = never)
+      permanentLockAfter: {
+        type: Number,
+        default: 0,
+      },
+      // Locks older than this are forgotten when sizing the next one
+      lockCountResetDays: {
+        type: Number,
+        default: 30,
+      },
+      // Email the organization's user managers when an account is locked
+      notifyAdmins: {
+        type: Boolean,
+        default: false,
+      },
+    },
+    // IP whitelisting (services/ipWhitelist.js). Users with security.requireIPWhitelist are
+    // always whitelisted; `required` extends that to every user in scope.
+    ipWhitelist: {
+      required: {
+        type: Boolean,
+        default: false,
+      },
+      // Addresses / CIDRs allowed for every user in scope, on top of their own allowedIPs
+      ranges: {
+        type: [String],
+        default: [],
+      },
+    },
+    // Document retention (services/documentRetention.js), per documentType
+    retention: {
+      // Days a deleted source document stays restorable before its files and rows are purged
+      sourceDeletedDays: {
+        type: Number,
+        default: 30,
+      },
+      generatedDeletedDays: {
+        type: Number,
+        default: 7,
+      },
+      // Generated outputs older than this are deleted automatically (0 = keep)
+      generatedMaxAgeDays: {
+        type: Number,
+        default: 0,
+      },
+      // Per-page render files of completed jobs; only needed until the merge is done
+      pageArtifactDays: {
+        type: Number,
+        default: 2,
+      },
+    },
+    // Automatic IP blocking on failed-login bursts. Platform-wide: only read from the global policy.
+    autoBlock: {
+      enabled: {
+        type: Boolean,
+        default: true,
+      },
+      // Detect and log, but do not create blocks. On until turned off, so a proxy missing from
+      // TRUSTED_PROXIES (every client then shares its address) is not blocked for everyone.
+      dryRun: {
+        type: Boolean,
+        default: true,
+      },
+      windowMinutes: {
+        type: Number,
+        default: 15,
+      },
+      // Failed logins from one address within the window
+      ipThreshold: {
+        type: Number,
+        default: 20,
+      },
+      // Failed logins from one /24 (IPv4) or /64 (IPv6) within the window
+      subnetThreshold: {
+        type: Number,
+        default: 60,
+      },
+      // Distinct accounts tried from one address within the window (credential stuffing)
+      distinctAccountsThreshold: {
+        type: Number,
+        default: 10,
+      },
+      // First block lasts baseBlockMinutes; each repeat within strikeMemoryDays doubles it
+      baseBlockMinutes: {
+        type: Number,
+        default: 60,
+      },
+      maxBlockMinutes: {
+        type: Number,
+        default: 7 * 24 * 60,
+      },
+      strikeMemoryDays: {
+        type: Number,
+        default: 30,
+      },
+      // Addresses / CIDRs that are never auto-blocked (office networks, monitoring)
+      exemptRanges: {
+        type: [String],
+        default: [],
+      },
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'security_policies',
+  }
+);
+
+// Settings added after the global document was created are filled from schema defaults.
+securityPolicySchema.statics.getGlobal = async function () {
+  const doc = await this.findOneAndUpdate(
+    { scope: 'global' },
+    { $setOnInsert: { scope: 'global' } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  ).lean();
+  return this.hydrate(doc).toObject();
+};
+
+const SecurityPolicy =
+  mongoose.models.SecurityPolicy || mongoose.model('SecurityPolicy', securityPolicySchema);
+
+export default SecurityPolicy;
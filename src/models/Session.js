@@ -14,6 +14,25 @@ const sessionSchema = new mongoose.Schema(
       unique: true,
       index: true,
     },
+    familyId: {
+      type: String,
+      index: true,
+    },
+    refreshTokenHash: {
+      type: String,
+      index: true,
+    },
+    usedRefreshTokenHashes: {
+      type: [String],
+      default: [],
+    },
+    rotatedAt: {
+      type: Date,
+    },
+    rotationCount: {
+      type: Number,
+      default: 0,
+    },
     ip: {
       type: String,
       required: true,
@@ -39,6 +58,16 @@ const sessionSchema = new mongoose.Schema(
       default: true,
       index: true,
     },
+    // Country / network of ip from the GeoIP database, when known
+    geo: {
+      country: String,
+      countryName: String,
+      asn: Number,
+      asnOrg: String,
+      latitude: Number,
+      longitude: Number,
+      accuracyRadiusKm: Number,
+    },
     deviceInfo: {
       browser: String,
       os: String,
@@ -82,6 +111,21 @@ sessionSchema.statics.invalidateAllForUser = async function (userId) {
   );
 };
 
+// A refresh token presented after it was rotated means it leaked; every session
+// descended from the same login is revoked.
+sessionSchema.statics.revokeFamily = async function (familyId) {
+  if (!familyId) return null;
+  return this.updateMany(
+    { familyId, isActive: true },
+    {
+      $set: {
+        isActive: false,
+        expiresAt: new Date(),
+      },
+    }
+  );
+};
+
 const Session =
   mongoose.models.Session || mongoose.model('Session', sessionSchema);
 
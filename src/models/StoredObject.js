@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+// One S3 object holding document bytes, shared by every document (version) in the
+// organization with the same content. refCount is the number of those references;
+// services/objectStore.js releases it and deletes the file when it reaches zero.
+const storedObjectSchema = new mongoose.Schema(
+  {
+    orgId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      default: null,
+    },
+    // sha256 of the file bytes, hex
+    checksum: {
+      type: String,
+      required: true,
+    },
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    url: {
+      type: String,
+      required: true,
+    },
+    mimeType: {
+      type: String,
+      default: 'application/pdf',
+    },
+    size: {
+      type: Number,
+      default: null,
+    },
+    refCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+storedObjectSchema.index({ orgId: 1, checksum: 1 }, { unique: true });
+
+const StoredObject = mongoose.models.StoredObject || mongoose.model('StoredObject', storedObjectSchema);
+
+export default StoredObject;
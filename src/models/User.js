@@ -13,11 +13,45 @@ const userSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // Previous password hashes, newest last; length is capped by passwordPolicy.historyCount
+    passwordHistory: {
+      type: [
+        {
+          hash: { type: String, required: true },
+          changedAt: { type: Date, default: Date.now },
+        },
+      ],
+      default: [],
+      select: false,
+    },
+    passwordChangedAt: {
+      type: Date,
+    },
+    // Set by an admin to force a new password at next login; cleared by any password change
+    mustChangePassword: {
+      type: Boolean,
+      default: false,
+    },
+    // Left unset for accounts created before verification existed (or by admins);
+    // only an explicit false blocks login when REQUIRE_EMAIL_VERIFICATION is on.
+    emailVerified: {
+      type: Boolean,
+    },
+    emailVerifiedAt: {
+      type: Date,
+    },
+    // Name of a Role document; permissions are resolved through services/permissions.js
     role: {
       type: String,
-      enum: ['admin', 'user'],
       default: 'user',
       required: true,
+      lowercase: true,
+      trim: true,
+    },
+    orgId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      index: true,
     },
     lastLoginIP: {
       type: String,
@@ -29,10 +63,26 @@ const userSchema = new mongoose.Schema(
           required: true,
           trim: true,
         },
+        label: {
+          type: String,
+          trim: true,
+          default: '',
+        },
         isActive: {
           type: Boolean,
           default: true,
         },
+        // null = never expires
+        expiresAt: {
+          type: Date,
+          default: null,
+        },
+        // Set when an admin added the entry for the user
+        addedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          default: null,
+        },
         lastUsed: {
           type: Date,
         },
@@ -61,16 +111,81 @@ const userSchema = new mongoose.Schema(
         reason: {
           type: String,
         },
+        geo: {
+          country: String,
+          countryName: String,
+          asn: Number,
+          asnOrg: String,
+          latitude: Number,
+          longitude: Number,
+          accuracyRadiusKm: Number,
+        },
       },
     ],
+    // External identity for OIDC single sign-on (issuer + subject is the stable key)
+    oidc: {
+      issuer: {
+        type: String,
+      },
+      subject: {
+        type: String,
+      },
+      linkedAt: {
+        type: Date,
+      },
+    },
+    mfa: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      enrolledAt: {
+        type: Date,
+      },
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      recoveryCodes: {
+        type: [
+          {
+            codeHash: { type: String, required: true },
+            usedAt: { type: Date, default: null },
+          },
+        ],
+        default: [],
+        select: false,
+      },
+    },
     security: {
+      // Per-user session limits; null inherits the role / organization policy
+      sessionPolicy: {
+        idleTimeoutMinutes: {
+          type: Number,
+          default: null,
+        },
+        absoluteLifetimeHours: {
+          type: Number,
+          default: null,
+        },
+      },
       requireIPWhitelist: {
         type: Boolean,
         default: false,
       },
-      maxFailedAttempts: {
-        type: Number,
-        default: 5,
+      // Set when an admin turned whitelisting on; the user cannot turn it off then
+      requireIPWhitelistSetBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
       },
       failedLoginAttempts: {
         type: Number,
@@ -79,6 +194,7 @@ const userSchema = new mongoose.Schema(
       lastFailedAttempt: {
         type: Date,
       },
+      // A lock with isLocked and no lockUntil lasts until an admin unlocks the account.
       isLocked: {
         type: Boolean,
         default: false,
@@ -86,6 +202,24 @@ const userSchema = new mongoose.Schema(
       lockUntil: {
         type: Date,
       },
+      // 'failed_attempts' (automatic) or 'admin'
+      lockReason: {
+        type: String,
+        default: null,
+      },
+      lockedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+      },
+      // Automatic locks so far; lock durations grow with it (services/accountLockout.js)
+      lockCount: {
+        type: Number,
+        default: 0,
+      },
+      lastLockedAt: {
+        type: Date,
+      },
     },
   },
   {
@@ -95,40 +229,74 @@ const userSchema = new mongoose.Schema(
 
 userSchema.index({ 'allowedIPs.ip': 1 });
 userSchema.index({ 'security.isLocked': 1, 'security.lockUntil': 1 });
+userSchema.index({ 'oidc.issuer': 1, 'oidc.subject': 1 }, { unique: true, partialFilterExpression: { 'oidc.subject': { $type: 'string' } } });
 
 userSchema.methods.isAccountLocked = function () {
-  return (
+  return !!(
     this.security &&
     this.security.isLocked &&
-    this.security.lockUntil &&
-    this.security.lockUntil > new Date()
+    (!this.security.lockUntil || this.security.lockUntil > new Date())
   );
 };
 
-userSchema.methods.incrementLoginAttempts = async function () {
-  const updates = {
-    $inc: { 'security.failedLoginAttempts': 1 },
-    $set: { 'security.lastFailedAttempt': new Date() },
-  };
+userSchema.methods.isLockedPermanently = function () {
+  return !!(this.security && this.security.isLocked && !this.security.lockUntil);
+};
 
-  const currentFailed = this.security?.failedLoginAttempts || 0;
-  const maxAttempts = this.security?.maxFailedAttempts || 5;
+// Counts a failed login and, at settings.maxFailedAttempts, locks the account
+// (see services/accountLockout.js for the settings). Returns the lock, or null.
+userSchema.methods.incrementLoginAttempts = async function (settings) {
+  const now = new Date();
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    {
+      $inc: { 'security.failedLoginAttempts': 1 },
+      $set: { 'security.lastFailedAttempt': now },
+    },
+    { new: true, projection: { security: 1 } }
+  );
 
-  if (currentFailed + 1 >= maxAttempts) {
-    const lockTime = 30 * 60 * 1000;
-    updates.$set['security.isLocked'] = true;
-    updates.$set['security.lockUntil'] = new Date(Date.now() + lockTime);
+  const security = updated?.security || {};
+  if (!updated || security.failedLoginAttempts < settings.maxFailedAttempts || updated.isAccountLocked()) {
+    return null;
   }
 
-  return this.updateOne(updates);
+  // Locks older than lockCountResetDays no longer make the next one longer.
+  const remembered =
+    security.lastLockedAt && now - security.lastLockedAt < settings.lockCountResetDays * 24 * 60 * 60 * 1000;
+  const lockCount = (remembered ? security.lockCount || 0 : 0) + 1;
+  const permanent = settings.permanentLockAfter > 0 && lockCount >= settings.permanentLockAfter;
+  const minutes = Math.min(
+    settings.lockMinutes * settings.lockGrowthFactor ** (lockCount - 1),
+    settings.maxLockMinutes
+  );
+  const lockUntil = permanent ? null : new Date(now.getTime() + minutes * 60 * 1000);
+
+  // A fresh set of attempts once the lock ends.
+  await this.updateOne({
+    $set: {
+      'security.isLocked': true,
+      'security.lockUntil': lockUntil,
+      'security.lockReason': 'failed_attempts',
+      'security.lockedBy': null,
+      'security.lockCount': lockCount,
+      'security.lastLockedAt': now,
+      'security.failedLoginAttempts': 0,
+    },
+  });
+
+  return { lockCount, permanent, lockUntil, failedAttempts: security.failedLoginAttempts };
 };
 
+// After a successful login. lockCount is kept so that repeated locks keep growing.
 userSchema.methods.resetLoginAttempts = async function () {
   return this.updateOne({
     $set: {
       'security.failedLoginAttempts': 0,
       'security.isLocked': false,
       'security.lockUntil': null,
+      'security.lockReason': null,
+      'security.lockedBy': null,
     },
   });
 };
@@ -12,15 +12,57 @@ import { GetObjectCommand } from '@aws-sdk/client-s3';
 import { PDFDocument } from 'pdf-lib';
 import { outputPdfQueue } from '../../queues/outputPdfQueue.js';
 import { redisEnabled } from '../redisAvailability.js';
-import { authMiddleware, requireAdmin } from '../middleware/auth.js';
+import { authMiddleware, requirePermission } from '../middleware/auth.js';
 import Session from '../models/Session.js';
 import BlockedIp from '../models/BlockedIp.js';
+import { canManageRole, roleExists } from '../services/permissions.js';
+import { findUserInScope, isSameOrg, orgFilter, targetOrgId } from '../services/orgScope.js';
+import { recordAudit, snapshot } from '../services/audit.js';
+import {
+  GRANT_MODES,
+  addDocumentVersion,
+  buildVersionEntry,
+  hasVersion,
+  listDocumentVersions,
+} from '../services/documentVersions.js';
+import {
+  describeJobOutput,
+  findFolderInScope,
+  generatedOutputTitle,
+  normalizeTags,
+  searchDocuments,
+} from '../services/documentCatalog.js';
+import { archiveDocument, deleteDocument, restoreDocument } from '../services/documentRetention.js';
+import { discardObject, storeObject } from '../services/objectStore.js';
+import { validateDocumentUpload, validateImageUpload } from '../services/uploadValidation.js';
+import {
+  buildPasswordUpdate,
+  getPasswordPolicy,
+  passwordPolicyError,
+  validatePassword,
+} from '../services/passwordPolicy.js';
 
 const router = express.Router();
 const upload = multer();
 
+const ARCHIVED_MESSAGE = 'The document is archived; restore it first';
+
+// Loads a session together with its user's org, or null when it is outside the caller's scope.
+const findSessionInScope = async (req, sessionId) => {
+  if (!mongoose.Types.ObjectId.isValid(String(sessionId))) return null;
+
+  const session = await Session.findById(sessionId);
+  if (!session) return null;
+
+  const user = await User.findById(session.userId).select('orgId');
+  if (!user || !isSameOrg(req, user)) return null;
+
+  session.user = user;
+  return session;
+};
+
 // Upload a single base64 ticket image to S3 and return its key
-router.post('/upload-ticket-image', authMiddleware, requireAdmin, async (req, res) => {
+router.post('/upload-ticket-image', authMiddleware, requirePermission('docs:assign'), async (req, res) => {
   try {
     const { base64 } = req.body || {};
 
@@ -33,24 +75,27 @@ router.post('/upload-ticket-image', authMiddleware, requireAdmin, async (req, re
       return res.status(400).json({ message: 'Invalid base64 data URL' });
     }
 
-    const contentType = match[1] || 'image/png';
-    const base64Data = match[2];
+    const buffer = Buffer.from(match[2], 'base64');
+    const { mimetype } = validateImageUpload(buffer, match[1]);
 
-    const buffer = Buffer.from(base64Data, 'base64');
+    const { key } = await uploadToS3(buffer, mimetype, 'generated/images/');
 
-    const { key } = await uploadToS3(buffer, contentType, 'generated/images/');
+    await recordAudit(req, { action: 'ticket_image.upload', targetType: 'file', targetId: key });
 
     return res.status(201).json({ success: true, key });
   } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
     console.error('Upload ticket image error', err);
     return res.status(500).json({ message: 'Internal server error' });
   }
 });
 
 // Upload document (PDF/SVG) and create Document record
-router.post('/documents', authMiddleware, requireAdmin, upload.single('file'), async (req, res) => {
+router.post('/documents', authMiddleware, requirePermission('docs:upload'), upload.single('file'), async (req, res) => {
   try {
-    const { title, totalPrints } = req.body;
+    const { title, totalPrints, description = '', folderId } = req.body;
     const file = req.file;
 
     if (!file) {
@@ -61,31 +106,76 @@ router.post('/documents', authMiddleware, requireAdmin, upload.single('file'), a
       return res.status(400).json({ message: 'Title is required' });
     }
 
+    const tags = normalizeTags(req.body.tags);
+
+    const folder = folderId ? await findFolderInScope(req, folderId) : null;
+    if (folderId && !folder) {
+      return res.status(400).json({ message: 'Folder not found' });
+    }
+
     const parsedTotalRaw = totalPrints === undefined || totalPrints === null ? 0 : Number(totalPrints);
     if (!Number.isFinite(parsedTotalRaw) || parsedTotalRaw < 0) {
       return res.status(400).json({ message: 'totalPrints must be a non-negative number' });
     }
     const parsedTotal = parsedTotalRaw;
 
-    const { key, url } = await uploadToS3(file.buffer, file.mimetype);
+    const validated = await validateDocumentUpload(file, { title });
+    const orgId = folder ? folder.orgId : targetOrgId(req) || req.user.orgId;
+    const stored = await storeObject(validated.buffer, { mimeType: validated.mimetype, orgId });
 
-    const doc = await Document.create({
-      title,
-      fileKey: key,
-      fileUrl: url,
-      totalPrints: parsedTotal,
-      createdBy: req.user._id,
+    let doc;
+    try {
+      doc = await Document.create({
+        title,
+        fileKey: stored.key,
+        fileUrl: stored.url,
+        mimeType: validated.mimetype,
+        pageCount: validated.pageCount,
+        checksum: stored.checksum,
+        totalPrints: parsedTotal,
+        description: String(description).slice(0, 2000),
+        tags,
+        folderId: folder ? folder._id : null,
+        createdBy: req.user._id,
+        orgId,
+        currentVersion: 1,
+        versions: [buildVersionEntry({ version: 1, stored, file: validated, title, uploadedBy: req.user._id })],
+      });
+    } catch (err) {
+      await discardObject(stored.key);
+      throw err;
+    }
+
+    await recordAudit(req, {
+      action: 'document.upload',
+      targetType: 'document',
+      targetId: doc._id,
+      orgId: doc.orgId,
+      after: {
+        title: doc.title,
+        fileKey: doc.fileKey,
+        mimeType: doc.mimeType,
+        checksum: doc.checksum,
+        totalPrints: doc.totalPrints,
+      },
+      metadata: {
+        deduplicated: stored.deduplicated,
+        ...(validated.sanitized ? { svgSanitized: validated.sanitized } : {}),
+      },
     });
 
     return res.status(201).json(doc);
   } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
     console.error('Upload document error', err);
     return res.status(500).json({ message: 'Internal server error' });
   }
 });
 
 // Create background assignment job instead of synchronous PDF generation
-router.post('/assign-job', authMiddleware, requireAdmin, async (req, res) => {
+router.post('/assign-job', authMiddleware, requirePermission('docs:assign'), async (req, res) => {
   try {
     const { email, assignedQuota, layoutPages } = req.body || {};
 
@@ -142,15 +232,23 @@ router.post('/assign-job', authMiddleware, requireAdmin, async (req, res) => {
       };
     });
 
-    const user = await User.findOne({ email: email.toLowerCase() });
+    const user = await User.findOne({ email: email.toLowerCase(), ...orgFilter(req) });
     if (!user) {
       return res.status(404).json({ message: 'User with this email not found' });
     }
 
     const totalPages = sanitizedLayoutPages.length;
+    const output = await describeJobOutput({
+      layoutPages: sanitizedLayoutPages,
+      email: user.email,
+      orgId: user.orgId,
+    });
+    const customTitle = typeof req.body.title === 'string' ? req.body.title.trim().slice(0, 200) : '';
 
     const jobDoc = await DocumentJobs.create({
       email: email.toLowerCase(),
+      title: customTitle || output.title,
+      sourceDocumentIds: output.sourceDocumentIds,
       assignedQuota: pagesNum,
       // Optional lightweight meta; we do not store full layout in Mongo
       layoutPages: sanitizedLayoutPages,
@@ -161,6 +259,15 @@ router.post('/assign-job', authMiddleware, requireAdmin, async (req, res) => {
       outputDocumentId: null,
       userId: user._id,
       createdBy: req.user._id,
+      orgId: user.orgId,
+    });
+
+    await recordAudit(req, {
+      action: 'quota.assign_job',
+      targetType: 'user',
+      targetId: user._id,
+      orgId: user.orgId,
+      after: { jobId: jobDoc._id, assignedQuota: pagesNum, totalPages },
     });
 
     console.log('[admin/assign-job] job created', {
@@ -250,7 +357,7 @@ router.post('/assign-job', authMiddleware, requireAdmin, async (req, res) => {
   }
 });
 
-router.post('/assign-batch-range', authMiddleware, requireAdmin, async (req, res) => {
+router.post('/assign-batch-range', authMiddleware, requirePermission('docs:assign'), async (req, res) => {
   try {
     const { email, documentId, startPage, endPage } = req.body || {};
 
@@ -273,16 +380,20 @@ router.post('/assign-batch-range', authMiddleware, requireAdmin, async (req, res
       return res.status(500).json({ message: 'S3 not configured' });
     }
 
-    const user = await User.findOne({ email: String(email).toLowerCase() });
+    const user = await User.findOne({ email: String(email).toLowerCase(), ...orgFilter(req) });
     if (!user) {
       return res.status(404).json({ message: 'User with this email not found' });
     }
 
-    const srcDoc = await Document.findById(documentId);
+    const srcDoc = await Document.findOne({ _id: documentId, orgId: user.orgId, status: { $ne: 'deleted' } });
     if (!srcDoc || !srcDoc.fileKey) {
       return res.status(404).json({ message: 'Source document not found' });
     }
 
+    if (srcDoc.status === 'archived') {
+      return res.status(409).json({ message: ARCHIVED_MESSAGE });
+    }
+
     if (typeof srcDoc.mimeType === 'string' && srcDoc.mimeType.trim() && !srcDoc.mimeType.toLowerCase().includes('pdf')) {
       return res.status(400).json({ message: 'Source document must be a PDF' });
     }
@@ -333,17 +444,28 @@ router.post('/assign-batch-range', authMiddleware, requireAdmin, async (req, res
     const outBytes = await outPdf.save();
     const outBuffer = Buffer.from(outBytes);
 
-    const { key, url } = await uploadToS3(outBuffer, 'application/pdf', 'generated/batch/');
+    const stored = await storeObject(outBuffer, { mimeType: 'application/pdf', orgId: user.orgId });
 
-    const outDoc = await Document.create({
-      title: 'Generated Output',
-      fileKey: key,
-      fileUrl: url,
-      totalPrints: 0,
-      createdBy: req.user._id,
-      mimeType: 'application/pdf',
-      documentType: 'generated-output',
-    });
+    let outDoc;
+    try {
+      outDoc = await Document.create({
+        title: generatedOutputTitle({ sourceTitles: [srcDoc.title], email: user.email, pageRange: { start, end } }),
+        fileKey: stored.key,
+        fileUrl: stored.url,
+        totalPrints: 0,
+        createdBy: req.user._id,
+        mimeType: 'application/pdf',
+        checksum: stored.checksum,
+        documentType: 'generated-output',
+        tags: srcDoc.tags || [],
+        folderId: srcDoc.folderId || null,
+        sourceDocumentIds: [srcDoc._id],
+        orgId: user.orgId,
+      });
+    } catch (err) {
+      await discardObject(stored.key);
+      throw err;
+    }
 
     const sessionToken = crypto.randomBytes(32).toString('hex');
     const assignedQuota = end - start + 1;
@@ -351,11 +473,20 @@ router.post('/assign-batch-range', authMiddleware, requireAdmin, async (req, res
     await DocumentAccess.create({
       userId: user._id,
       documentId: outDoc._id,
+      orgId: user.orgId,
       assignedQuota,
       usedPrints: 0,
       sessionToken,
     });
 
+    await recordAudit(req, {
+      action: 'quota.assign_batch_range',
+      targetType: 'user',
+      targetId: user._id,
+      orgId: user.orgId,
+      after: { documentId: outDoc._id, sourceDocumentId: srcDoc._id, startPage: start, endPage: end, assignedQuota },
+    });
+
     return res.status(201).json({
       success: true,
       documentId: outDoc._id,
@@ -374,10 +505,15 @@ router.post('/assign-batch-range', authMiddleware, requireAdmin, async (req, res
   }
 });
 
-router.get('/users/:userId/sessions', authMiddleware, requireAdmin, async (req, res) => {
+router.get('/users/:userId/sessions', authMiddleware, requirePermission('sessions:read'), async (req, res) => {
   try {
     const { userId } = req.params;
 
+    const user = await findUserInScope(req, userId, '_id');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
     const sessions = await Session.find({ userId }).sort({ createdAt: -1 });
 
     return res.json({ sessions });
@@ -387,11 +523,24 @@ router.get('/users/:userId/sessions', authMiddleware, requireAdmin, async (req,
   }
 });
 
-router.post('/sessions/:sessionId/logout', authMiddleware, requireAdmin, async (req, res) => {
+router.post('/sessions/:sessionId/logout', authMiddleware, requirePermission('sessions:manage'), async (req, res) => {
   try {
     const { sessionId } = req.params;
 
-    await Session.deleteOne({ _id: sessionId });
+    const session = await findSessionInScope(req, sessionId);
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await Session.deleteOne({ _id: session._id });
+
+    await recordAudit(req, {
+      action: 'session.logout',
+      targetType: 'session',
+      targetId: session._id,
+      orgId: session.user.orgId,
+      before: { userId: session.userId, ip: session.ip, isActive: session.isActive },
+    });
 
     return res.json({ success: true });
   } catch (err) {
@@ -400,30 +549,40 @@ router.post('/sessions/:sessionId/logout', authMiddleware, requireAdmin, async (
   }
 });
 
-router.post('/sessions/:sessionId/block-ip', authMiddleware, requireAdmin, async (req, res) => {
+router.post('/sessions/:sessionId/block-ip', authMiddleware, requirePermission('sessions:manage', 'ips:manage'), async (req, res) => {
   try {
     const { sessionId } = req.params;
     const { reason } = req.body || {};
 
-    const session = await Session.findById(sessionId);
+    const session = await findSessionInScope(req, sessionId);
     if (!session) {
       return res.status(404).json({ message: 'Session not found' });
     }
 
     const ip = session.ip;
+    const orgId = session.user.orgId || null;
+
+    await BlockedIp.block({
+      ip,
+      orgId,
+      reason: reason || 'Blocked from admin panel',
+      blockedBy: req.user._id,
+      createdAt: new Date(),
+      expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    });
 
-    await BlockedIp.findOneAndUpdate(
-      { ip },
-      {
-        ip,
-        reason: reason || 'Blocked from admin panel',
-        blockedBy: req.user._id,
-        createdAt: new Date(),
-      },
-      { upsert: true, new: true }
-    );
-
-    await Session.deleteMany({ ip });
+    // Only end sessions from this IP that belong to the same organization.
+    const orgUserIds = await User.find({ orgId: session.user.orgId }).distinct('_id');
+    const ended = await Session.deleteMany({ ip, userId: { $in: orgUserIds } });
+
+    await recordAudit(req, {
+      action: 'ip.block',
+      targetType: 'ip',
+      targetId: ip,
+      orgId,
+      after: { ip, reason: reason || 'Blocked from admin panel', expiresInHours: 24 },
+      metadata: { fromSessionId: session._id, sessionsEnded: ended.deletedCount || 0 },
+    });
 
     return res.json({ success: true });
   } catch (err) {
@@ -432,7 +591,7 @@ router.post('/sessions/:sessionId/block-ip', authMiddleware, requireAdmin, async
   }
 });
 
-router.post('/logout-all', authMiddleware, requireAdmin, async (req, res) => {
+router.post('/logout-all', authMiddleware, requirePermission('sessions:manage'), async (req, res) => {
   try {
     const { userId } = req.body;
 
@@ -440,7 +599,20 @@ router.post('/logout-all', authMiddleware, requireAdmin, async (req, res) => {
       return res.status(400).json({ message: 'userId is required' });
     }
 
-    await Session.deleteMany({ userId });
+    const user = await findUserInScope(req, userId, 'orgId');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const ended = await Session.deleteMany({ userId: user._id });
+
+    await recordAudit(req, {
+      action: 'session.logout_all',
+      targetType: 'user',
+      targetId: user._id,
+      orgId: user.orgId,
+      metadata: { sessionsEnded: ended.deletedCount || 0 },
+    });
 
     return res.json({ success: true });
   } catch (err) {
@@ -449,10 +621,13 @@ router.post('/logout-all', authMiddleware, requireAdmin, async (req, res) => {
   }
 });
 
-// Get all documents created by admin
-router.get('/documents', authMiddleware, requireAdmin, async (req, res) => {
+// Get all documents created by admin. Kept for existing clients; /documents/search pages
+// through the whole organization.
+router.get('/documents', authMiddleware, requirePermission('docs:read'), async (req, res) => {
   try {
-    const docs = await Document.find({ createdBy: req.user._id }).sort({ createdAt: -1 });
+    const docs = await Document.find({ createdBy: req.user._id, status: { $ne: 'deleted' }, ...orgFilter(req) }).sort({
+      createdAt: -1,
+    });
     return res.json(docs);
   } catch (err) {
     console.error('List documents error', err);
@@ -460,8 +635,330 @@ router.get('/documents', authMiddleware, requireAdmin, async (req, res) => {
   }
 });
 
+// Full-text search with filters, sorting and cursor pagination; parameters are described
+// at services/documentCatalog.js searchDocuments.
+router.get('/documents/search', authMiddleware, requirePermission('docs:read'), async (req, res) => {
+  try {
+    const result = await searchDocuments(req, req.query);
+    return res.json(result);
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
+    console.error('Search documents error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Tags in use with their document counts, most used first
+router.get('/documents/tags', authMiddleware, requirePermission('docs:read'), async (req, res) => {
+  try {
+    const tags = await Document.aggregate([
+      { $match: orgFilter(req) },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: 500 },
+    ]);
+    return res.json({ tags: tags.map((t) => ({ tag: t._id, count: t.count })) });
+  } catch (err) {
+    console.error('List document tags error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+const findDocumentInScope = async (req, id) => {
+  if (!mongoose.Types.ObjectId.isValid(String(id))) return null;
+  const doc = await Document.findById(id);
+  return doc && isSameOrg(req, doc) ? doc : null;
+};
+
+// Edit catalog fields: { title?, description?, tags?, folderId? } (folderId null = no folder)
+router.patch('/documents/:id', authMiddleware, requirePermission('docs:upload'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const doc = await findDocumentInScope(req, req.params.id);
+    if (!doc) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    const updates = {};
+
+    if (body.title !== undefined) {
+      const title = typeof body.title === 'string' ? body.title.trim() : '';
+      if (!title) {
+        return res.status(400).json({ message: 'title must be a non-empty string' });
+      }
+      updates.title = title;
+    }
+
+    if (body.description !== undefined) {
+      if (typeof body.description !== 'string') {
+        return res.status(400).json({ message: 'description must be a string' });
+      }
+      updates.description = body.description.trim().slice(0, 2000);
+    }
+
+    if (body.tags !== undefined) {
+      updates.tags = normalizeTags(body.tags);
+    }
+
+    if (body.folderId !== undefined) {
+      if (body.folderId === null) {
+        updates.folderId = null;
+      } else {
+        const folder = await findFolderInScope(req, body.folderId);
+        if (!folder || String(folder.orgId || '') !== String(doc.orgId || '')) {
+          return res.status(400).json({ message: 'Folder not found' });
+        }
+        updates.folderId = folder._id;
+      }
+    }
+
+    if (!Object.keys(updates).length) {
+      return res.status(400).json({ message: 'title, description, tags or folderId is required' });
+    }
+
+    const before = snapshot(doc, 'title description tags folderId');
+    doc.set(updates);
+    await doc.save();
+
+    await recordAudit(req, {
+      action: 'document.update',
+      targetType: 'document',
+      targetId: doc._id,
+      orgId: doc.orgId,
+      before,
+      after: snapshot(doc, 'title description tags folderId'),
+    });
+
+    return res.json(doc);
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
+    console.error('Update document error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+const LIFECYCLE_FIELDS = 'status archivedAt deletedAt deleteReason';
+
+// Hide from lists and close to new assignments; existing grants keep printing.
+router.post('/documents/:id/archive', authMiddleware, requirePermission('docs:delete'), async (req, res) => {
+  try {
+    const doc = await findDocumentInScope(req, req.params.id);
+    if (!doc) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    const updated = await archiveDocument(doc, { by: req.user._id });
+
+    await recordAudit(req, {
+      action: 'document.archive',
+      targetType: 'document',
+      targetId: doc._id,
+      orgId: doc.orgId,
+      before: snapshot(doc, LIFECYCLE_FIELDS),
+      after: snapshot(updated, LIFECYCLE_FIELDS),
+    });
+
+    return res.json(updated);
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
+    console.error('Archive document error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Soft delete: revokes every grant. The document can be restored until the retention
+// policy purges it.
+router.delete('/documents/:id', authMiddleware, requirePermission('docs:delete'), async (req, res) => {
+  try {
+    const doc = await findDocumentInScope(req, req.params.id);
+    if (!doc) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    const result = await deleteDocument(doc, { by: req.user._id });
+
+    await recordAudit(req, {
+      action: 'document.delete',
+      targetType: 'document',
+      targetId: doc._id,
+      orgId: doc.orgId,
+      before: snapshot(doc, LIFECYCLE_FIELDS),
+      after: snapshot(result.doc, LIFECYCLE_FIELDS),
+      metadata: { grantsRevoked: result.grantsRevoked },
+    });
+
+    return res.json({ success: true, document: result.doc, grantsRevoked: result.grantsRevoked });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
+    console.error('Delete document error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Undo archive or delete; grants revoked by the delete are given back.
+router.post('/documents/:id/restore', authMiddleware, requirePermission('docs:delete'), async (req, res) => {
+  try {
+    const doc = await findDocumentInScope(req, req.params.id);
+    if (!doc) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    const result = await restoreDocument(doc);
+
+    await recordAudit(req, {
+      action: 'document.restore',
+      targetType: 'document',
+      targetId: doc._id,
+      orgId: doc.orgId,
+      before: snapshot(doc, LIFECYCLE_FIELDS),
+      after: snapshot(result.doc, LIFECYCLE_FIELDS),
+      metadata: { grantsRestored: result.grantsRestored },
+    });
+
+    return res.json({ success: true, document: result.doc, grantsRestored: result.grantsRestored });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
+    console.error('Restore document error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Upload a corrected file as the document's new version (multipart "file", optional title
+// and notes). grants=roll_forward (default) moves every grant to it; grants=pin keeps
+// grants on the version they print today.
+router.post('/documents/:id/versions', authMiddleware, requirePermission('docs:upload'), upload.single('file'), async (req, res) => {
+  try {
+    const { title, notes = '', grants = 'roll_forward' } = req.body || {};
+    const file = req.file;
+
+    if (!file) {
+      return res.status(400).json({ message: 'File is required' });
+    }
+
+    if (!GRANT_MODES.includes(grants)) {
+      return res.status(400).json({ message: `grants must be one of ${GRANT_MODES.join(', ')}` });
+    }
+
+    const doc = await findDocumentInScope(req, req.params.id);
+    if (!doc || doc.documentType === 'generated-output' || doc.status === 'deleted') {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    if (doc.status === 'archived') {
+      return res.status(409).json({ message: ARCHIVED_MESSAGE });
+    }
+
+    const result = await addDocumentVersion(doc, {
+      file: await validateDocumentUpload(file, { title }),
+      title: typeof title === 'string' && title.trim() ? title.trim() : null,
+      notes: String(notes).slice(0, 2000),
+      uploadedBy: req.user._id,
+      grants,
+    });
+
+    await recordAudit(req, {
+      action: 'document.version_upload',
+      targetType: 'document',
+      targetId: doc._id,
+      orgId: doc.orgId,
+      before: { currentVersion: doc.currentVersion || 1, fileKey: doc.fileKey, title: doc.title },
+      after: { currentVersion: result.version.version, fileKey: result.version.fileKey, title: result.version.title },
+      metadata: { grants, grantsUpdated: result.grantsUpdated, checksum: result.version.checksum },
+    });
+
+    return res.status(201).json({
+      document: result.doc,
+      version: result.version,
+      grants,
+      grantsUpdated: result.grantsUpdated,
+    });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
+    console.error('Upload document version error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Version history, newest first, with per-version metadata changes and grant counts
+router.get('/documents/:id/versions', authMiddleware, requirePermission('docs:read'), async (req, res) => {
+  try {
+    const doc = await findDocumentInScope(req, req.params.id);
+    if (!doc) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    return res.json({
+      documentId: doc._id,
+      currentVersion: doc.currentVersion || 1,
+      versions: await listDocumentVersions(doc),
+    });
+  } catch (err) {
+    console.error('List document versions error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Pin one grant to a version ({ version }) or let it follow the current one ({ version: null })
+router.put('/documents/:id/access/:accessId/version', authMiddleware, requirePermission('docs:assign'), async (req, res) => {
+  try {
+    const { version } = req.body || {};
+
+    if (version !== null && !Number.isInteger(version)) {
+      return res.status(400).json({ message: 'version must be an integer or null' });
+    }
+
+    const doc = await findDocumentInScope(req, req.params.id);
+    if (!doc) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    if (version !== null && !hasVersion(doc, version)) {
+      return res.status(400).json({ message: `Document has no version ${version}` });
+    }
+
+    const access = mongoose.Types.ObjectId.isValid(req.params.accessId)
+      ? await DocumentAccess.findOne({ _id: req.params.accessId, documentId: doc._id })
+      : null;
+    if (!access) {
+      return res.status(404).json({ message: 'Access not found' });
+    }
+
+    const previous = access.pinnedVersion;
+    access.pinnedVersion = version;
+    await access.save();
+
+    await recordAudit(req, {
+      action: 'document_access.pin_version',
+      targetType: 'document_access',
+      targetId: access._id,
+      orgId: doc.orgId,
+      before: { pinnedVersion: previous ?? null },
+      after: { pinnedVersion: access.pinnedVersion },
+      metadata: { documentId: doc._id, userId: access.userId },
+    });
+
+    return res.json(access);
+  } catch (err) {
+    console.error('Pin document version error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
 // Assign or update quota for a user on a document (by userId)
-router.post('/documents/:id/assign', authMiddleware, requireAdmin, async (req, res) => {
+router.post('/documents/:id/assign', authMiddleware, requirePermission('docs:assign'), async (req, res) => {
   try {
     const { id } = req.params;
     const { userId, assignedQuota } = req.body;
@@ -475,12 +972,39 @@ router.post('/documents/:id/assign', authMiddleware, requireAdmin, async (req, r
       return res.status(400).json({ message: 'assignedQuota must be a positive number' });
     }
 
+    const user = await findUserInScope(req, userId, 'orgId');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const doc = mongoose.Types.ObjectId.isValid(id) ? await Document.findById(id).select('orgId status') : null;
+    if (!doc || String(doc.orgId || '') !== String(user.orgId || '') || doc.status === 'deleted') {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    if (doc.status === 'archived') {
+      return res.status(409).json({ message: ARCHIVED_MESSAGE });
+    }
+
+    const previous = await DocumentAccess.findOne({ userId: user._id, documentId: doc._id })
+      .select('assignedQuota')
+      .lean();
     const access = await DocumentAccess.findOneAndUpdate(
-      { userId, documentId: id },
-      { userId, documentId: id, assignedQuota: parsedQuota },
+      { userId: user._id, documentId: doc._id },
+      { userId: user._id, documentId: doc._id, assignedQuota: parsedQuota, orgId: user.orgId },
       { upsert: true, new: true }
     );
 
+    await recordAudit(req, {
+      action: 'quota.assign',
+      targetType: 'document_access',
+      targetId: access._id,
+      orgId: user.orgId,
+      before: previous ? { assignedQuota: previous.assignedQuota } : null,
+      after: { assignedQuota: access.assignedQuota },
+      metadata: { userId: user._id, documentId: doc._id },
+    });
+
     return res.json(access);
   } catch (err) {
     console.error('Assign quota error', err);
@@ -489,7 +1013,7 @@ router.post('/documents/:id/assign', authMiddleware, requireAdmin, async (req, r
 });
 
 // Assign or update quota for a user on a document, using user email
-router.post('/documents/:id/assign-by-email', authMiddleware, requireAdmin, async (req, res) => {
+router.post('/documents/:id/assign-by-email', authMiddleware, requirePermission('docs:assign'), async (req, res) => {
   try {
     const { id } = req.params;
     const { email, assignedQuota } = req.body;
@@ -503,17 +1027,39 @@ router.post('/documents/:id/assign-by-email', authMiddleware, requireAdmin, asyn
       return res.status(400).json({ message: 'assignedQuota must be a positive number' });
     }
 
-    const user = await User.findOne({ email: email.toLowerCase() });
+    const user = await User.findOne({ email: email.toLowerCase(), ...orgFilter(req) });
     if (!user) {
       return res.status(404).json({ message: 'User with this email not found' });
     }
 
+    const doc = mongoose.Types.ObjectId.isValid(id) ? await Document.findById(id).select('orgId status') : null;
+    if (!doc || String(doc.orgId || '') !== String(user.orgId || '') || doc.status === 'deleted') {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    if (doc.status === 'archived') {
+      return res.status(409).json({ message: ARCHIVED_MESSAGE });
+    }
+
+    const previous = await DocumentAccess.findOne({ userId: user._id, documentId: doc._id })
+      .select('assignedQuota')
+      .lean();
     const access = await DocumentAccess.findOneAndUpdate(
-      { userId: user._id, documentId: id },
-      { userId: user._id, documentId: id, assignedQuota: parsedQuota },
+      { userId: user._id, documentId: doc._id },
+      { userId: user._id, documentId: doc._id, assignedQuota: parsedQuota, orgId: user.orgId },
       { upsert: true, new: true }
     );
 
+    await recordAudit(req, {
+      action: 'quota.assign',
+      targetType: 'document_access',
+      targetId: access._id,
+      orgId: user.orgId,
+      before: previous ? { assignedQuota: previous.assignedQuota } : null,
+      after: { assignedQuota: access.assignedQuota },
+      metadata: { userId: user._id, documentId: doc._id },
+    });
+
     if (!access.sessionToken) {
       access.sessionToken = crypto.randomBytes(32).toString('hex');
       await access.save();
@@ -527,7 +1073,7 @@ router.post('/documents/:id/assign-by-email', authMiddleware, requireAdmin, asyn
 });
 
 // Create a new user (admin only)
-router.post('/users', authMiddleware, requireAdmin, async (req, res) => {
+router.post('/users', authMiddleware, requirePermission('users:manage'), async (req, res) => {
   try {
     const { email, password, role = 'user' } = req.body;
 
@@ -535,8 +1081,13 @@ router.post('/users', authMiddleware, requireAdmin, async (req, res) => {
       return res.status(400).json({ message: 'Email and password are required' });
     }
 
-    if (!['admin', 'user'].includes(role)) {
-      return res.status(400).json({ message: 'Invalid role. Must be either "admin" or "user"' });
+    const roleName = String(role).toLowerCase();
+    if (!(await roleExists(roleName))) {
+      return res.status(400).json({ message: `Unknown role "${role}"` });
+    }
+
+    if (!(await canManageRole(req.permissions, roleName))) {
+      return res.status(403).json({ message: `You cannot assign the "${roleName}" role` });
     }
 
     const existingUser = await User.findOne({ email: email.toLowerCase() });
@@ -544,12 +1095,28 @@ router.post('/users', authMiddleware, requireAdmin, async (req, res) => {
       return res.status(400).json({ message: 'Email already registered' });
     }
 
+    const orgId = targetOrgId(req) || req.user.orgId;
+    const passwordErrors = await validatePassword(password, await getPasswordPolicy(orgId), { email });
+    if (passwordErrors.length) {
+      return passwordPolicyError(res, passwordErrors);
+    }
+
     const passwordHash = await bcrypt.hash(password, 10);
 
     const user = await User.create({
       email: email.toLowerCase(),
       passwordHash,
-      role,
+      passwordChangedAt: new Date(),
+      role: roleName,
+      orgId,
+    });
+
+    await recordAudit(req, {
+      action: 'user.create',
+      targetType: 'user',
+      targetId: user._id,
+      orgId: user.orgId,
+      after: { email: user.email, role: user.role },
     });
 
     return res.status(201).json({
@@ -562,7 +1129,7 @@ router.post('/users', authMiddleware, requireAdmin, async (req, res) => {
 });
 
 // Admin password change
-router.put('/change-password', authMiddleware, requireAdmin, async (req, res) => {
+router.put('/change-password', authMiddleware, requirePermission('account:password'), async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
 
@@ -570,12 +1137,8 @@ router.put('/change-password', authMiddleware, requireAdmin, async (req, res) =>
       return res.status(400).json({ message: 'Current password and new password are required' });
     }
 
-    if (newPassword.length < 6) {
-      return res.status(400).json({ message: 'New password must be at least 6 characters long' });
-    }
-
     // Get current admin user
-    const admin = await User.findById(req.user._id);
+    const admin = await User.findById(req.user._id).select('+passwordHistory');
     if (!admin) {
       return res.status(404).json({ message: 'Admin user not found' });
     }
@@ -586,11 +1149,19 @@ router.put('/change-password', authMiddleware, requireAdmin, async (req, res) =>
       return res.status(400).json({ message: 'Current password is incorrect' });
     }
 
+    const policy = await getPasswordPolicy(admin.orgId);
+    const passwordErrors = await validatePassword(newPassword, policy, { user: admin });
+    if (passwordErrors.length) {
+      return passwordPolicyError(res, passwordErrors);
+    }
+
     // Hash new password
     const newPasswordHash = await bcrypt.hash(newPassword, 10);
 
-    // Update password
-    await User.findByIdAndUpdate(admin._id, { passwordHash: newPasswordHash });
+    // Update password (the previous hash moves into the reuse history)
+    await User.findByIdAndUpdate(admin._id, buildPasswordUpdate(admin, newPasswordHash, policy));
+
+    await recordAudit(req, { action: 'account.password_change', targetType: 'user', targetId: admin._id });
 
     return res.json({ success: true, message: 'Password changed successfully' });
   } catch (err) {
@@ -600,7 +1171,7 @@ router.put('/change-password', authMiddleware, requireAdmin, async (req, res) =>
 });
 
 // Create a new admin (admin only)
-router.post('/admins', authMiddleware, requireAdmin, async (req, res) => {
+router.post('/admins', authMiddleware, requirePermission('admins:manage'), async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -608,21 +1179,33 @@ router.post('/admins', authMiddleware, requireAdmin, async (req, res) => {
       return res.status(400).json({ message: 'Email and password are required' });
     }
 
-    if (password.length < 6) {
-      return res.status(400).json({ message: 'Password must be at least 6 characters long' });
-    }
-
     const existingUser = await User.findOne({ email: email.toLowerCase() });
     if (existingUser) {
       return res.status(400).json({ message: 'Email already registered' });
     }
 
+    const orgId = targetOrgId(req) || req.user.orgId;
+    const passwordErrors = await validatePassword(password, await getPasswordPolicy(orgId), { email });
+    if (passwordErrors.length) {
+      return passwordPolicyError(res, passwordErrors);
+    }
+
     const passwordHash = await bcrypt.hash(password, 10);
 
     const admin = await User.create({
       email: email.toLowerCase(),
       passwordHash,
+      passwordChangedAt: new Date(),
       role: 'admin',
+      orgId,
+    });
+
+    await recordAudit(req, {
+      action: 'admin.create',
+      targetType: 'user',
+      targetId: admin._id,
+      orgId: admin.orgId,
+      after: { email: admin.email, role: admin.role },
     });
 
     return res.status(201).json({
@@ -636,10 +1219,10 @@ router.post('/admins', authMiddleware, requireAdmin, async (req, res) => {
 });
 
 // Get all admins (admin only)
-router.get('/admins', authMiddleware, requireAdmin, async (req, res) => {
+router.get('/admins', authMiddleware, requirePermission('admins:manage'), async (req, res) => {
   try {
-    const admins = await User.find({ role: 'admin' })
-      .select('email role createdAt')
+    const admins = await User.find({ role: 'admin', ...orgFilter(req) })
+      .select('email role orgId createdAt')
       .sort({ createdAt: -1 });
 
     return res.json({ admins });
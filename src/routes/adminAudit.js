@@ -0,0 +1,85 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import AuditEvent from '../models/AuditEvent.js';
+import { authMiddleware, requirePermission } from '../middleware/auth.js';
+import { orgFilter } from '../services/orgScope.js';
+import { verifyAuditChain } from '../services/audit.js';
+
+const router = express.Router();
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+// Filters: actorId, action (exact, or a prefix ending in "." such as "ip."), targetType,
+// targetId, requestId, from / to (ISO dates). Newest first.
+router.get('/audit', authMiddleware, requirePermission('audit:read'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const page = parseInt(req.query.page, 10) || 1;
+    const skip = (page - 1) * limit;
+    const { actorId, action, targetType, targetId, requestId } = req.query;
+
+    const query = { ...orgFilter(req) };
+
+    if (actorId) {
+      if (!mongoose.Types.ObjectId.isValid(actorId)) {
+        return res.status(400).json({ message: 'Invalid actorId' });
+      }
+      query.actorId = actorId;
+    }
+
+    if (action) {
+      const value = String(action);
+      query.action = value.endsWith('.') ? { $regex: `^${escapeRegex(value)}` } : value;
+    }
+
+    if (targetType) query.targetType = String(targetType);
+    if (targetId) query.targetId = String(targetId);
+    if (requestId) query.requestId = String(requestId);
+
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({ message: 'from and to must be valid dates' });
+    }
+    if (from || to) {
+      query.createdAt = { ...(from && { $gte: from }), ...(to && { $lte: to }) };
+    }
+
+    const [events, total] = await Promise.all([
+      AuditEvent.find(query).sort({ seq: -1 }).skip(skip).limit(limit).lean(),
+      AuditEvent.countDocuments(query),
+    ]);
+
+    return res.json({
+      events,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (err) {
+    console.error('List audit events error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// The chain spans every organization, so only platform admins can verify it.
+router.get('/audit/verify', authMiddleware, requirePermission('audit:read', 'orgs:manage'), async (req, res) => {
+  try {
+    const result = await verifyAuditChain();
+    return res.json(result);
+  } catch (err) {
+    console.error('Verify audit chain error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+export default router;
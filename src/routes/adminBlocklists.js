@@ -0,0 +1,214 @@
+import express from 'express';
+import multer from 'multer';
+import BlockedIp from '../models/BlockedIp.js';
+import { authMiddleware, requirePermission } from '../middleware/auth.js';
+import { orgFilter, targetOrgId } from '../services/orgScope.js';
+import {
+  feedSource,
+  getConfiguredFeeds,
+  getFeedStatus,
+  importBlocklist,
+  isValidFeedName,
+  refreshFeed,
+  removeBlocklistSource,
+} from '../services/blocklistFeeds.js';
+import { recordAudit } from '../services/audit.js';
+
+const router = express.Router();
+
+const upload = multer({ limits: { fileSize: 20 * 1024 * 1024 } });
+
+// Active block counts per source (manual, auto, feed:<name>) plus configured feed files.
+router.get('/blocklists', authMiddleware, requirePermission('ips:read'), async (req, res) => {
+  try {
+    const now = new Date();
+    const sources = await BlockedIp.aggregate([
+      {
+        $match: {
+          ...orgFilter(req),
+          isActive: true,
+          $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+        },
+      },
+      {
+        $group: {
+          _id: { source: { $ifNull: ['$source', 'manual'] }, orgId: '$orgId' },
+          activeCount: { $sum: 1 },
+          lastSeenAt: { $max: '$lastSeenAt' },
+        },
+      },
+      { $sort: { '_id.source': 1 } },
+    ]);
+
+    return res.json({
+      sources: sources.map((row) => ({
+        source: row._id.source,
+        orgId: row._id.orgId,
+        activeCount: row.activeCount,
+        lastSeenAt: row.lastSeenAt || null,
+      })),
+      feeds: getFeedStatus(),
+    });
+  } catch (err) {
+    console.error('List blocklists error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Import an uploaded text/CSV file (field "file") or a "text" body as blocklist <name>.
+// mode=replace drops entries of the list that the new upload no longer contains.
+router.post('/blocklists/:name/import', authMiddleware, requirePermission('ips:manage'), upload.single('file'), async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { mode = 'merge', reason, expiresInHours } = req.body || {};
+    const text = req.file ? req.file.buffer.toString('utf8') : req.body?.text;
+
+    if (!text || typeof text !== 'string') {
+      return res.status(400).json({ message: 'Upload a file or provide text' });
+    }
+
+    if (getConfiguredFeeds().some((feed) => feed.name === name)) {
+      return res.status(400).json({ message: 'This name belongs to a configured feed file and is refreshed from disk' });
+    }
+
+    let expiresAt = null;
+    if (expiresInHours !== undefined && expiresInHours !== '') {
+      const hours = Number(expiresInHours);
+      if (!Number.isFinite(hours) || hours <= 0) {
+        return res.status(400).json({ message: 'expiresInHours must be a positive number' });
+      }
+      expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000);
+    }
+
+    const result = await importBlocklist({
+      name,
+      text,
+      orgId: targetOrgId(req),
+      mode,
+      reason,
+      blockedBy: req.user._id,
+      expiresAt,
+    });
+
+    await recordAudit(req, {
+      action: 'blocklist.import',
+      targetType: 'blocklist',
+      targetId: result.source,
+      orgId: targetOrgId(req),
+      metadata: {
+        mode,
+        expiresAt,
+        entries: result.entries,
+        upserted: result.upserted,
+        removed: result.removed,
+        skipped: result.skipped,
+        invalidCount: result.invalidCount,
+      },
+    });
+
+    return res.json({ success: true, ...result });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
+    console.error('Import blocklist error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Re-read a configured feed file now instead of waiting for the schedule
+router.post('/blocklists/:name/refresh', authMiddleware, requirePermission('ips:manage', 'orgs:manage'), async (req, res) => {
+  try {
+    const feed = getConfiguredFeeds().find((f) => f.name === req.params.name);
+    if (!feed) {
+      return res.status(404).json({ message: 'Feed not configured' });
+    }
+
+    const result = await refreshFeed(feed);
+
+    await recordAudit(req, {
+      action: 'blocklist.refresh',
+      targetType: 'blocklist',
+      targetId: result.source,
+      orgId: null,
+      metadata: { entries: result.entries, upserted: result.upserted, removed: result.removed },
+    });
+
+    return res.json({ success: true, ...result });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
+    console.error('Refresh blocklist feed error', err);
+    return res.status(500).json({ message: err.code === 'ENOENT' ? 'Feed file not found' : 'Internal server error' });
+  }
+});
+
+// Removes a whole list: every active entry of blocklist <name>
+router.delete('/blocklists/:name', authMiddleware, requirePermission('ips:manage'), async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    if (!isValidFeedName(name)) {
+      return res.status(400).json({ message: 'Invalid blocklist name' });
+    }
+
+    const unblocked = await removeBlocklistSource(feedSource(name), targetOrgId(req));
+
+    await recordAudit(req, {
+      action: 'blocklist.remove',
+      targetType: 'blocklist',
+      targetId: feedSource(name),
+      orgId: targetOrgId(req),
+      metadata: { unblocked },
+    });
+
+    return res.json({ success: true, unblocked });
+  } catch (err) {
+    console.error('Remove blocklist error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Bulk unblock by address/CIDR list and/or by source ('manual', 'auto', 'feed:<name>')
+router.post('/unblock-ips', authMiddleware, requirePermission('ips:manage'), async (req, res) => {
+  try {
+    const { ips, source } = req.body || {};
+    const orgId = targetOrgId(req);
+
+    if ((!Array.isArray(ips) || !ips.length) && !source) {
+      return res.status(400).json({ message: 'Provide ips (array) and/or source' });
+    }
+
+    const query = { orgId, isActive: true };
+
+    if (Array.isArray(ips) && ips.length) {
+      const canonical = ips.map((ip) => BlockedIp.canonicalIp(String(ip)));
+      const invalid = ips.filter((ip, i) => !canonical[i]);
+      if (invalid.length) {
+        return res.status(400).json({ message: 'Invalid IP address format', invalid });
+      }
+      query.ip = { $in: canonical };
+    }
+
+    if (source) {
+      query.source = String(source);
+    }
+
+    const result = await BlockedIp.updateMany(query, { $set: { isActive: false, expiresAt: new Date() } });
+
+    await recordAudit(req, {
+      action: 'ip.unblock_bulk',
+      targetType: 'ip',
+      orgId,
+      metadata: { ips: query.ip?.$in || null, source: query.source || null, unblocked: result.modifiedCount || 0 },
+    });
+
+    return res.json({ success: true, unblocked: result.modifiedCount || 0 });
+  } catch (err) {
+    console.error('Bulk unblock IPs error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,192 @@
+import express from 'express';
+import Folder from '../models/Folder.js';
+import Document from '../models/Document.js';
+import { authMiddleware, requirePermission } from '../middleware/auth.js';
+import { orgFilter, targetOrgId } from '../services/orgScope.js';
+import { findFolderInScope, isSameOrDescendant } from '../services/documentCatalog.js';
+import { recordAudit, snapshot } from '../services/audit.js';
+
+const router = express.Router();
+
+const FOLDER_FIELDS = 'name parentId description';
+const MAX_NAME_LENGTH = 120;
+
+const isDuplicateKey = (err) => err && err.code === 11000;
+const DUPLICATE_MESSAGE = 'A folder with this name already exists here';
+
+// name / description / parentId from a request body. parentId null moves to the top level.
+async function parseFolderFields(req, body, { requireName }) {
+  const fields = {};
+
+  if (body.name !== undefined || requireName) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      return { error: `name is required and must be at most ${MAX_NAME_LENGTH} characters` };
+    }
+    fields.name = name;
+  }
+
+  if (body.description !== undefined) {
+    if (typeof body.description !== 'string') {
+      return { error: 'description must be a string' };
+    }
+    fields.description = body.description.trim().slice(0, 2000);
+  }
+
+  if (body.parentId !== undefined) {
+    if (body.parentId === null) {
+      fields.parentId = null;
+    } else {
+      const parent = await findFolderInScope(req, body.parentId);
+      if (!parent) {
+        return { error: 'Parent folder not found' };
+      }
+      fields.parentId = parent._id;
+      fields.parent = parent;
+    }
+  }
+
+  return { fields };
+}
+
+// Every folder in scope with its number of documents; clients build the tree from parentId.
+router.get('/folders', authMiddleware, requirePermission('docs:read'), async (req, res) => {
+  try {
+    const scope = orgFilter(req);
+    const [folders, counts] = await Promise.all([
+      Folder.find(scope).sort({ name: 1 }).collation({ locale: 'en', strength: 2 }).lean(),
+      Document.aggregate([
+        { $match: { ...scope, folderId: { $ne: null }, status: { $ne: 'deleted' } } },
+        { $group: { _id: '$folderId', count: { $sum: 1 } } },
+      ]),
+    ]);
+    const documentCounts = new Map(counts.map((c) => [String(c._id), c.count]));
+
+    return res.json({
+      folders: folders.map((folder) => ({ ...folder, documentCount: documentCounts.get(String(folder._id)) || 0 })),
+    });
+  } catch (err) {
+    console.error('List folders error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// { name, parentId?, description? }
+router.post('/folders', authMiddleware, requirePermission('docs:upload'), async (req, res) => {
+  try {
+    const { fields, error } = await parseFolderFields(req, req.body || {}, { requireName: true });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const { parent, ...values } = fields;
+    const folder = await Folder.create({
+      ...values,
+      orgId: parent ? parent.orgId : targetOrgId(req) || req.user.orgId,
+      createdBy: req.user._id,
+    });
+
+    await recordAudit(req, {
+      action: 'folder.create',
+      targetType: 'folder',
+      targetId: folder._id,
+      orgId: folder.orgId,
+      after: snapshot(folder, FOLDER_FIELDS),
+    });
+
+    return res.status(201).json(folder);
+  } catch (err) {
+    if (isDuplicateKey(err)) {
+      return res.status(409).json({ message: DUPLICATE_MESSAGE });
+    }
+    console.error('Create folder error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Rename, describe or move: { name?, description?, parentId? }
+router.patch('/folders/:id', authMiddleware, requirePermission('docs:upload'), async (req, res) => {
+  try {
+    const folder = await findFolderInScope(req, req.params.id);
+    if (!folder) {
+      return res.status(404).json({ message: 'Folder not found' });
+    }
+
+    const { fields, error } = await parseFolderFields(req, req.body || {}, { requireName: false });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const { parent, ...values } = fields;
+    if (!Object.keys(values).length) {
+      return res.status(400).json({ message: 'name, description or parentId is required' });
+    }
+
+    if (parent) {
+      if (String(parent.orgId || '') !== String(folder.orgId || '')) {
+        return res.status(400).json({ message: 'Parent folder belongs to another organization' });
+      }
+      if (await isSameOrDescendant(folder._id, parent._id)) {
+        return res.status(400).json({ message: 'A folder cannot be moved into itself or one of its subfolders' });
+      }
+    }
+
+    const before = snapshot(folder, FOLDER_FIELDS);
+    folder.set(values);
+    await folder.save();
+
+    await recordAudit(req, {
+      action: 'folder.update',
+      targetType: 'folder',
+      targetId: folder._id,
+      orgId: folder.orgId,
+      before,
+      after: snapshot(folder, FOLDER_FIELDS),
+    });
+
+    return res.json(folder);
+  } catch (err) {
+    if (isDuplicateKey(err)) {
+      return res.status(409).json({ message: DUPLICATE_MESSAGE });
+    }
+    console.error('Update folder error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Only empty folders can be deleted; move or delete their contents first.
+router.delete('/folders/:id', authMiddleware, requirePermission('docs:upload'), async (req, res) => {
+  try {
+    const folder = await findFolderInScope(req, req.params.id);
+    if (!folder) {
+      return res.status(404).json({ message: 'Folder not found' });
+    }
+
+    const [subfolders, documents] = await Promise.all([
+      Folder.countDocuments({ parentId: folder._id }),
+      Document.countDocuments({ folderId: folder._id, status: { $ne: 'deleted' } }),
+    ]);
+    if (subfolders || documents) {
+      return res.status(409).json({ message: 'Folder is not empty', subfolders, documents });
+    }
+
+    await folder.deleteOne();
+    // Deleted documents waiting for purge come back outside any folder if restored.
+    await Document.updateMany({ folderId: folder._id }, { $set: { folderId: null } });
+
+    await recordAudit(req, {
+      action: 'folder.delete',
+      targetType: 'folder',
+      targetId: folder._id,
+      orgId: folder.orgId,
+      before: snapshot(folder, FOLDER_FIELDS),
+    });
+
+    return res.json({ success: true });
+  } catch (err) {
+    console.error('Delete folder error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,345 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import { authMiddleware, requirePermission } from '../middleware/auth.js';
+import { findUserInScope, targetOrgId } from '../services/orgScope.js';
+import { parseIpOrCidr } from '../services/ipAddress.js';
+import { getClientIp } from '../services/clientIp.js';
+import { evaluateIpWhitelist, isEntryActive } from '../services/ipWhitelist.js';
+import {
+  buildPolicyUpdate,
+  getSecurityPolicy,
+  pickPolicyValues,
+  updateSecurityPolicy,
+} from '../services/securityPolicy.js';
+import { recordAudit, snapshot } from '../services/audit.js';
+import { canManageRole } from '../services/permissions.js';
+
+const router = express.Router();
+
+const ENTRY_FIELDS = 'ip label isActive expiresAt';
+const MAX_LABEL_LENGTH = 100;
+
+const serializeEntry = (entry, now = new Date()) => ({
+  id: entry._id,
+  ip: entry.ip,
+  label: entry.label || '',
+  isActive: entry.isActive !== false,
+  expiresAt: entry.expiresAt || null,
+  expired: !!entry.expiresAt && new Date(entry.expiresAt) <= now,
+  addedBy: entry.addedBy || null,
+  lastUsed: entry.lastUsed || null,
+  createdAt: entry.createdAt,
+});
+
+// label / expiresInHours / isActive from a request body; expiresInHours null clears the expiry.
+function parseEntryFields(body) {
+  const fields = {};
+
+  if (body.label !== undefined) {
+    if (typeof body.label !== 'string' || body.label.length > MAX_LABEL_LENGTH) {
+      return { error: `label must be a string of at most ${MAX_LABEL_LENGTH} characters` };
+    }
+    fields.label = body.label.trim();
+  }
+
+  if (body.expiresInHours !== undefined) {
+    if (body.expiresInHours === null) {
+      fields.expiresAt = null;
+    } else {
+      const hours = Number(body.expiresInHours);
+      if (!Number.isFinite(hours) || hours <= 0) {
+        return { error: 'expiresInHours must be a positive number or null' };
+      }
+      fields.expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000);
+    }
+  }
+
+  if (body.isActive !== undefined) {
+    if (typeof body.isActive !== 'boolean') {
+      return { error: 'isActive must be a boolean' };
+    }
+    fields.isActive = body.isActive;
+  }
+
+  return { fields };
+}
+
+const loadUser = (req, userId) =>
+  mongoose.Types.ObjectId.isValid(userId)
+    ? findUserInScope(
+        req,
+        userId,
+        'email role orgId allowedIPs security.requireIPWhitelist security.requireIPWhitelistSetBy'
+      )
+    : null;
+
+// The user to change, or null after responding when they are missing or out of the admin's reach.
+async function loadManagedUser(req, res) {
+  const user = await loadUser(req, req.params.userId);
+  if (!user) {
+    res.status(404).json({ message: 'User not found' });
+    return null;
+  }
+  if (!(await canManageRole(req.permissions, user.role))) {
+    res.status(403).json({ message: "You cannot change this user's IP whitelist" });
+    return null;
+  }
+  return user;
+}
+
+// Changes an admin makes to their own whitelist must leave their current address allowed.
+async function locksOutSelf(req, user) {
+  if (String(user._id) !== String(req.user._id)) return false;
+  const policy = await getSecurityPolicy(user.orgId);
+  return !evaluateIpWhitelist(user, getClientIp(req), policy.ipWhitelist).allowed;
+}
+
+const LOCKOUT_MESSAGE = 'This change would block your own access from your current IP address';
+
+router.get('/users/:userId/ip-whitelist', authMiddleware, requirePermission('users:read'), async (req, res) => {
+  try {
+    const user = await loadUser(req, req.params.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const now = new Date();
+    return res.json({
+      userId: user._id,
+      email: user.email,
+      requireIPWhitelist: !!user.security?.requireIPWhitelist,
+      requireIPWhitelistSetBy: user.security?.requireIPWhitelistSetBy || null,
+      entries: (user.allowedIPs || []).map((entry) => serializeEntry(entry, now)),
+    });
+  } catch (err) {
+    console.error('Admin get IP whitelist error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Add an address or CIDR: { ip, label?, expiresInHours? }
+router.post('/users/:userId/ip-whitelist', authMiddleware, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const range = parseIpOrCidr(String(body.ip || ''));
+    if (!range) {
+      return res.status(400).json({ message: 'A valid IP address or CIDR is required' });
+    }
+
+    const { fields, error } = parseEntryFields({ ...body, isActive: undefined });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const user = await loadManagedUser(req, res);
+    if (!user) return;
+
+    if ((user.allowedIPs || []).some((entry) => entry.ip === range.canonical)) {
+      return res.status(400).json({ message: 'IP already in whitelist' });
+    }
+
+    user.allowedIPs.push({ ip: range.canonical, ...fields, isActive: true, addedBy: req.user._id });
+    await user.save();
+    const entry = user.allowedIPs[user.allowedIPs.length - 1];
+
+    await recordAudit(req, {
+      action: 'ip_whitelist.add',
+      targetType: 'user',
+      targetId: user._id,
+      orgId: user.orgId,
+      after: snapshot(entry, ENTRY_FIELDS),
+    });
+
+    return res.status(201).json({ success: true, entry: serializeEntry(entry) });
+  } catch (err) {
+    console.error('Admin add IP whitelist entry error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Change label / expiry / isActive of an entry
+router.patch('/users/:userId/ip-whitelist/:entryId', authMiddleware, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { fields, error } = parseEntryFields(req.body || {});
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    if (!Object.keys(fields).length) {
+      return res.status(400).json({ message: 'label, expiresInHours or isActive is required' });
+    }
+
+    const user = await loadManagedUser(req, res);
+    if (!user) return;
+
+    const entry = mongoose.Types.ObjectId.isValid(req.params.entryId) ? user.allowedIPs.id(req.params.entryId) : null;
+    if (!entry) {
+      return res.status(404).json({ message: 'Whitelist entry not found' });
+    }
+
+    const before = snapshot(entry, ENTRY_FIELDS);
+    entry.set(fields);
+
+    if (await locksOutSelf(req, user)) {
+      return res.status(400).json({ message: LOCKOUT_MESSAGE });
+    }
+
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'ip_whitelist.update',
+      targetType: 'user',
+      targetId: user._id,
+      orgId: user.orgId,
+      before,
+      after: snapshot(entry, ENTRY_FIELDS),
+    });
+
+    return res.json({ success: true, entry: serializeEntry(entry) });
+  } catch (err) {
+    console.error('Admin update IP whitelist entry error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.delete('/users/:userId/ip-whitelist/:entryId', authMiddleware, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const user = await loadManagedUser(req, res);
+    if (!user) return;
+
+    const entry = mongoose.Types.ObjectId.isValid(req.params.entryId) ? user.allowedIPs.id(req.params.entryId) : null;
+    if (!entry) {
+      return res.status(404).json({ message: 'Whitelist entry not found' });
+    }
+
+    const before = snapshot(entry, ENTRY_FIELDS);
+    entry.deleteOne();
+
+    if (await locksOutSelf(req, user)) {
+      return res.status(400).json({ message: LOCKOUT_MESSAGE });
+    }
+
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'ip_whitelist.remove',
+      targetType: 'user',
+      targetId: user._id,
+      orgId: user.orgId,
+      before,
+    });
+
+    return res.json({ success: true });
+  } catch (err) {
+    console.error('Admin remove IP whitelist entry error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Turn whitelisting on or off for one user: { enabled }
+router.put('/users/:userId/ip-whitelist/enforce', authMiddleware, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { enabled } = req.body || {};
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ message: 'enabled must be a boolean' });
+    }
+
+    const user = await loadManagedUser(req, res);
+    if (!user) return;
+
+    // Entries the user added themself do not count once an admin requires whitelisting.
+    const now = new Date();
+    if (enabled && !(user.allowedIPs || []).some((entry) => entry.addedBy && isEntryActive(entry, now))) {
+      return res.status(400).json({ message: 'The user has no active whitelist entries added by an administrator' });
+    }
+
+    const previous = !!user.security?.requireIPWhitelist;
+    user.set('security.requireIPWhitelist', enabled);
+    user.set('security.requireIPWhitelistSetBy', enabled ? req.user._id : null);
+
+    if (await locksOutSelf(req, user)) {
+      return res.status(400).json({ message: LOCKOUT_MESSAGE });
+    }
+
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'ip_whitelist.toggle',
+      targetType: 'user',
+      targetId: user._id,
+      orgId: user.orgId,
+      before: { requireIPWhitelist: previous },
+      after: { requireIPWhitelist: enabled },
+    });
+
+    return res.json({ success: true, requireIPWhitelist: enabled });
+  } catch (err) {
+    console.error('Admin toggle IP whitelist error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Organization-wide whitelisting. Organization admins edit their own organization; platform
+// admins edit the global default unless they target an organization with orgId.
+router.get('/ip-whitelist/policy', authMiddleware, requirePermission('security:policy'), async (req, res) => {
+  try {
+    const orgId = targetOrgId(req);
+    const policy = await getSecurityPolicy(orgId);
+    return res.json({ settings: policy.ipWhitelist, scope: orgId ? 'org' : 'global' });
+  } catch (err) {
+    console.error('Admin get IP whitelist policy error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// { required?, ranges? }
+router.put('/ip-whitelist/policy', authMiddleware, requirePermission('security:policy'), async (req, res) => {
+  try {
+    const orgId = targetOrgId(req);
+    const { set, errors } = buildPolicyUpdate({ ipWhitelist: req.body || {} }, { orgScoped: !!orgId, only: 'ipWhitelist' });
+
+    if (errors.length) {
+      return res.status(400).json({ message: errors.join('; ') });
+    }
+
+    if (!Object.keys(set).length) {
+      return res.status(400).json({ message: 'required or ranges is required' });
+    }
+
+    // The acting admin is affected by their own organization's policy and by the global one.
+    if (!orgId || String(orgId) === String(req.user.orgId || '')) {
+      const current = await getSecurityPolicy(req.user.orgId);
+      const next = { ...current.ipWhitelist };
+      for (const [path, value] of Object.entries(set)) {
+        next[path.slice('ipWhitelist.'.length)] = value;
+      }
+      const self = await User.findById(req.user._id)
+        .select('allowedIPs security.requireIPWhitelist security.requireIPWhitelistSetBy')
+        .lean();
+      if (!evaluateIpWhitelist(self || {}, getClientIp(req), next).allowed) {
+        return res.status(400).json({ message: LOCKOUT_MESSAGE });
+      }
+    }
+
+    const before = pickPolicyValues(await getSecurityPolicy(orgId), Object.keys(set));
+    await updateSecurityPolicy(set, req.user._id, orgId);
+    const policy = await getSecurityPolicy(orgId);
+
+    await recordAudit(req, {
+      action: 'security_policy.update',
+      targetType: 'security_policy',
+      targetId: orgId ? `org:${orgId}` : 'global',
+      orgId,
+      before,
+      after: pickPolicyValues(policy, Object.keys(set)),
+    });
+
+    return res.json({ success: true, settings: policy.ipWhitelist, scope: orgId ? 'org' : 'global' });
+  } catch (err) {
+    console.error('Admin update IP whitelist policy error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+export default router;
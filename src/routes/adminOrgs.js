@@ -0,0 +1,188 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Organization from '../models/Organization.js';
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+import { authMiddleware, requirePermission } from '../middleware/auth.js';
+import { recordAudit, snapshot } from '../services/audit.js';
+
+const router = express.Router();
+
+const SLUG_REGEX = /^[a-z0-9][a-z0-9-]{1,62}$/;
+
+router.get('/orgs', authMiddleware, requirePermission('orgs:manage'), async (req, res) => {
+  try {
+    const [orgs, counts] = await Promise.all([
+      Organization.find({}).sort({ createdAt: 1 }).lean(),
+      User.aggregate([{ $group: { _id: '$orgId', count: { $sum: 1 } } }]),
+    ]);
+    const countMap = new Map(counts.map((c) => [String(c._id), c.count]));
+
+    return res.json({
+      orgs: orgs.map((org) => ({ ...org, userCount: countMap.get(String(org._id)) || 0 })),
+    });
+  } catch (err) {
+    console.error('List organizations error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.post('/orgs', authMiddleware, requirePermission('orgs:manage'), async (req, res) => {
+  try {
+    const { name, slug } = req.body || {};
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ message: 'name is required' });
+    }
+
+    const normalizedSlug = String(slug || name)
+      .trim()
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+
+    if (!SLUG_REGEX.test(normalizedSlug)) {
+      return res.status(400).json({
+        message: 'slug must be 2-63 characters of lowercase letters, digits or "-"',
+      });
+    }
+
+    if (await Organization.exists({ slug: normalizedSlug })) {
+      return res.status(400).json({ message: 'Organization slug already exists' });
+    }
+
+    const org = await Organization.create({
+      name: name.trim(),
+      slug: normalizedSlug,
+      createdBy: req.user._id,
+    });
+
+    await recordAudit(req, {
+      action: 'org.create',
+      targetType: 'org',
+      targetId: org._id,
+      orgId: org._id,
+      after: snapshot(org, 'name slug isActive'),
+    });
+
+    return res.status(201).json({ org });
+  } catch (err) {
+    console.error('Create organization error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.put('/orgs/:orgId', authMiddleware, requirePermission('orgs:manage'), async (req, res) => {
+  try {
+    const { orgId } = req.params;
+    const { name, isActive } = req.body || {};
+
+    if (!mongoose.Types.ObjectId.isValid(orgId)) {
+      return res.status(400).json({ message: 'Invalid orgId' });
+    }
+
+    const update = {};
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ message: 'name must be a non-empty string' });
+      }
+      update.name = name.trim();
+    }
+    if (isActive !== undefined) {
+      if (typeof isActive !== 'boolean') {
+        return res.status(400).json({ message: 'isActive must be a boolean' });
+      }
+      if (!isActive && String(orgId) === String(req.user.orgId)) {
+        return res.status(400).json({ message: 'You cannot deactivate your own organization' });
+      }
+      update.isActive = isActive;
+    }
+
+    if (!Object.keys(update).length) {
+      return res.status(400).json({ message: 'Nothing to update' });
+    }
+
+    const previous = await Organization.findByIdAndUpdate(orgId, { $set: update });
+    if (!previous) {
+      return res.status(404).json({ message: 'Organization not found' });
+    }
+    const org = await Organization.findById(previous._id);
+
+    // Deactivation signs out every member; new logins are refused while inactive.
+    if (update.isActive === false) {
+      const userIds = await User.find({ orgId: org._id }).distinct('_id');
+      await Session.updateMany(
+        { userId: { $in: userIds }, isActive: true },
+        { $set: { isActive: false, expiresAt: new Date() } }
+      );
+    }
+
+    await recordAudit(req, {
+      action: 'org.update',
+      targetType: 'org',
+      targetId: org._id,
+      orgId: org._id,
+      before: snapshot(previous, Object.keys(update).join(' ')),
+      after: snapshot(org, Object.keys(update).join(' ')),
+    });
+
+    return res.json({ success: true, org });
+  } catch (err) {
+    console.error('Update organization error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Move an existing user into an organization; their sessions end so new tokens carry the new scope
+router.post('/orgs/:orgId/users', authMiddleware, requirePermission('orgs:manage'), async (req, res) => {
+  try {
+    const { orgId } = req.params;
+    const { userId, email } = req.body || {};
+
+    if (!mongoose.Types.ObjectId.isValid(orgId)) {
+      return res.status(400).json({ message: 'Invalid orgId' });
+    }
+
+    if (!userId && !email) {
+      return res.status(400).json({ message: 'userId or email is required' });
+    }
+
+    if (userId && !mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: 'Invalid userId' });
+    }
+
+    const org = await Organization.findById(orgId).select('_id');
+    if (!org) {
+      return res.status(404).json({ message: 'Organization not found' });
+    }
+
+    const previous = await User.findOneAndUpdate(
+      userId ? { _id: userId } : { email: String(email).toLowerCase() },
+      { $set: { orgId: org._id } }
+    ).select('orgId');
+
+    if (!previous) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    const user = await User.findById(previous._id).select('email role orgId');
+
+    await Session.invalidateAllForUser(user._id);
+
+    await recordAudit(req, {
+      action: 'user.org_change',
+      targetType: 'user',
+      targetId: user._id,
+      orgId: org._id,
+      before: { orgId: previous.orgId },
+      after: { orgId: user.orgId },
+      metadata: { email: user.email },
+    });
+
+    return res.json({ success: true, user });
+  } catch (err) {
+    console.error('Assign organization user error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,104 @@
+import express from 'express';
+import { authMiddleware, requirePermission } from '../middleware/auth.js';
+import { canAccessAllOrgs, orgFilter, targetOrgId } from '../services/orgScope.js';
+import {
+  buildPolicyUpdate,
+  getSecurityPolicy,
+  pickPolicyValues,
+  updateSecurityPolicy,
+} from '../services/securityPolicy.js';
+import { getRetentionStatus, runRetention } from '../services/documentRetention.js';
+import { recordAudit } from '../services/audit.js';
+
+const router = express.Router();
+
+// Retention windows in scope. Platform admins also see the schedule and its last report,
+// which spans every organization.
+router.get('/retention', authMiddleware, requirePermission('docs:delete'), async (req, res) => {
+  try {
+    const orgId = targetOrgId(req);
+    const policy = await getSecurityPolicy(orgId);
+    return res.json({
+      settings: policy.retention,
+      scope: orgId ? 'org' : 'global',
+      ...(canAccessAllOrgs(req) ? { schedule: getRetentionStatus() } : {}),
+    });
+  } catch (err) {
+    console.error('Get retention settings error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// { sourceDeletedDays?, generatedDeletedDays?, generatedMaxAgeDays?, pageArtifactDays? }
+router.put('/retention', authMiddleware, requirePermission('docs:delete', 'security:policy'), async (req, res) => {
+  try {
+    const orgId = targetOrgId(req);
+    const { set, errors } = buildPolicyUpdate({ retention: req.body || {} }, { orgScoped: !!orgId, only: 'retention' });
+
+    if (errors.length) {
+      return res.status(400).json({ message: errors.join('; ') });
+    }
+
+    if (!Object.keys(set).length) {
+      return res.status(400).json({ message: 'No retention settings given' });
+    }
+
+    const before = pickPolicyValues(await getSecurityPolicy(orgId), Object.keys(set));
+    await updateSecurityPolicy(set, req.user._id, orgId);
+    const policy = await getSecurityPolicy(orgId);
+
+    await recordAudit(req, {
+      action: 'security_policy.update',
+      targetType: 'security_policy',
+      targetId: orgId ? `org:${orgId}` : 'global',
+      orgId,
+      before,
+      after: pickPolicyValues(policy, Object.keys(set)),
+    });
+
+    return res.json({ success: true, settings: policy.retention, scope: orgId ? 'org' : 'global' });
+  } catch (err) {
+    console.error('Update retention settings error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Dry run: what a purge would expire and delete right now, changing nothing.
+router.get('/retention/report', authMiddleware, requirePermission('docs:delete'), async (req, res) => {
+  try {
+    const report = await runRetention({ scope: orgFilter(req), dryRun: true });
+    return res.json(report);
+  } catch (err) {
+    console.error('Retention report error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Purge now instead of waiting for the schedule.
+router.post('/retention/purge', authMiddleware, requirePermission('docs:delete'), async (req, res) => {
+  try {
+    const scope = orgFilter(req);
+    const report = await runRetention({ scope, dryRun: false });
+
+    await recordAudit(req, {
+      action: 'document.retention_purge',
+      targetType: 'retention',
+      targetId: scope.orgId ? `org:${scope.orgId}` : 'global',
+      orgId: scope.orgId || null,
+      metadata: {
+        expired: report.expired.length,
+        purged: report.purged.map((doc) => doc.id),
+        pageArtifactJobs: report.pageArtifacts.jobs,
+        objects: report.objects,
+        failed: report.failed.length,
+      },
+    });
+
+    return res.json(report);
+  } catch (err) {
+    console.error('Retention purge error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,255 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Role from '../models/Role.js';
+import User from '../models/User.js';
+import { authMiddleware, requirePermission } from '../middleware/auth.js';
+import {
+  LOCKED_ROLES,
+  PERMISSIONS,
+  canManageRole,
+  hasPermission,
+  invalidateRoleCache,
+  isKnownPermission,
+  roleExists,
+} from '../services/permissions.js';
+import { findUserInScope, orgFilter } from '../services/orgScope.js';
+import { recordAudit, snapshot } from '../services/audit.js';
+
+const router = express.Router();
+
+const validatePermissions = (permissions, grantedPermissions) => {
+  if (!Array.isArray(permissions)) {
+    return 'permissions must be an array';
+  }
+  const unknown = permissions.filter((p) => typeof p !== 'string' || !isKnownPermission(p));
+  if (unknown.length) {
+    return `Unknown permissions: ${unknown.join(', ')}`;
+  }
+  const notHeld = permissions.filter((p) => !hasPermission(grantedPermissions, p));
+  if (notHeld.length) {
+    return `You cannot grant permissions you do not hold: ${notHeld.join(', ')}`;
+  }
+  return null;
+};
+
+router.get('/permissions', authMiddleware, requirePermission('roles:manage'), async (req, res) => {
+  return res.json({
+    permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })),
+  });
+});
+
+router.get('/roles', authMiddleware, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const [roles, counts] = await Promise.all([
+      Role.find({}).sort({ isSystem: -1, name: 1 }).lean(),
+      User.aggregate([{ $match: orgFilter(req) }, { $group: { _id: '$role', count: { $sum: 1 } } }]),
+    ]);
+    const countMap = new Map(counts.map((c) => [c._id, c.count]));
+
+    return res.json({
+      roles: roles.map((role) => ({ ...role, userCount: countMap.get(role.name) || 0 })),
+    });
+  } catch (err) {
+    console.error('List roles error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Role definitions are shared by every organization, so changing them is a platform action;
+// organization admins can list roles and assign them to users.
+router.post('/roles', authMiddleware, requirePermission('roles:manage', 'orgs:manage'), async (req, res) => {
+  try {
+    const { name, description = '', permissions = [] } = req.body || {};
+
+    if (!name || typeof name !== 'string') {
+      return res.status(400).json({ message: 'name is required' });
+    }
+
+    const normalizedName = name.trim().toLowerCase();
+    if (!/^[a-z][a-z0-9_-]{1,39}$/.test(normalizedName)) {
+      return res.status(400).json({
+        message: 'name must be 2-40 characters of lowercase letters, digits, "_" or "-"',
+      });
+    }
+
+    const permissionsError = validatePermissions(permissions, req.permissions);
+    if (permissionsError) {
+      return res.status(400).json({ message: permissionsError });
+    }
+
+    if (await roleExists(normalizedName)) {
+      return res.status(400).json({ message: 'Role already exists' });
+    }
+
+    const role = await Role.create({
+      name: normalizedName,
+      description,
+      permissions,
+      isSystem: false,
+      updatedBy: req.user._id,
+    });
+    invalidateRoleCache();
+
+    await recordAudit(req, {
+      action: 'role.create',
+      targetType: 'role',
+      targetId: role.name,
+      orgId: null,
+      after: snapshot(role, 'name description permissions'),
+    });
+
+    return res.status(201).json({ role });
+  } catch (err) {
+    console.error('Create role error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.put('/roles/:name', authMiddleware, requirePermission('roles:manage', 'orgs:manage'), async (req, res) => {
+  try {
+    const name = String(req.params.name || '').toLowerCase();
+    const { description, permissions } = req.body || {};
+
+    const role = await Role.findOne({ name });
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    const update = {};
+    if (typeof description === 'string') {
+      update.description = description;
+    }
+
+    if (permissions !== undefined) {
+      if (LOCKED_ROLES.includes(name)) {
+        return res.status(400).json({ message: `The permissions of the ${name} role cannot be changed` });
+      }
+
+      const permissionsError = validatePermissions(permissions, req.permissions);
+      if (permissionsError) {
+        return res.status(400).json({ message: permissionsError });
+      }
+      update.permissions = permissions;
+    }
+
+    const updated = await Role.findOneAndUpdate(
+      { _id: role._id },
+      { $set: { ...update, updatedBy: req.user._id } },
+      { new: true }
+    );
+    invalidateRoleCache();
+
+    await recordAudit(req, {
+      action: 'role.update',
+      targetType: 'role',
+      targetId: role.name,
+      orgId: null,
+      before: snapshot(role, 'description permissions'),
+      after: snapshot(updated, 'description permissions'),
+    });
+
+    return res.json({ role: updated });
+  } catch (err) {
+    console.error('Update role error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.delete('/roles/:name', authMiddleware, requirePermission('roles:manage', 'orgs:manage'), async (req, res) => {
+  try {
+    const name = String(req.params.name || '').toLowerCase();
+
+    const role = await Role.findOne({ name });
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({ message: 'Built-in roles cannot be deleted' });
+    }
+
+    const assigned = await User.countDocuments({ role: name });
+    if (assigned > 0) {
+      return res.status(409).json({ message: `Role is assigned to ${assigned} user(s)` });
+    }
+
+    await Role.deleteOne({ _id: role._id });
+    invalidateRoleCache();
+
+    await recordAudit(req, {
+      action: 'role.delete',
+      targetType: 'role',
+      targetId: role.name,
+      orgId: null,
+      before: snapshot(role, 'name description permissions'),
+    });
+
+    return res.json({ success: true });
+  } catch (err) {
+    console.error('Delete role error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Change a user's role
+router.put('/users/:userId/role', authMiddleware, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body || {};
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: 'Invalid userId' });
+    }
+
+    const roleName = typeof role === 'string' ? role.trim().toLowerCase() : '';
+    if (!roleName || !(await roleExists(roleName))) {
+      return res.status(400).json({ message: `Unknown role "${role}"` });
+    }
+
+    const user = await findUserInScope(req, userId, 'email role orgId');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Granting or revoking a role requires holding all of its permissions (so e.g. only
+    // admins:manage holders can create or demote admins).
+    const [canRevoke, canGrant] = await Promise.all([
+      canManageRole(req.permissions, user.role),
+      canManageRole(req.permissions, roleName),
+    ]);
+    if (!canRevoke || !canGrant) {
+      return res.status(403).json({ message: 'You cannot change this user to or from that role' });
+    }
+
+    if (user.role === 'admin' && roleName !== 'admin') {
+      const remainingAdmins = await User.countDocuments({
+        role: 'admin',
+        orgId: user.orgId,
+        _id: { $ne: user._id },
+      });
+      if (remainingAdmins === 0) {
+        return res.status(400).json({ message: 'Cannot remove the last admin of this organization' });
+      }
+    }
+
+    const previousRole = user.role;
+    user.role = roleName;
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'user.role_change',
+      targetType: 'user',
+      targetId: user._id,
+      orgId: user.orgId,
+      before: { role: previousRole },
+      after: { role: user.role },
+    });
+
+    return res.json({ user: { id: user._id, email: user.email, role: user.role } });
+  } catch (err) {
+    console.error('Change user role error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,109 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import SecurityEvent from '../models/SecurityEvent.js';
+import { authMiddleware, requirePermission } from '../middleware/auth.js';
+import { orgFilter } from '../services/orgScope.js';
+import { recordAudit } from '../services/audit.js';
+
+const router = express.Router();
+
+const EVENT_TYPES = ['new_device', 'impossible_travel'];
+const SEVERITIES = ['low', 'medium', 'high'];
+
+// Feed of suspicious logins, newest first. Filters: type, severity, userId, acknowledged.
+router.get('/security-events', authMiddleware, requirePermission('logs:read'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const page = parseInt(req.query.page, 10) || 1;
+    const skip = (page - 1) * limit;
+    const { type, severity, userId, acknowledged } = req.query;
+
+    const query = { ...orgFilter(req) };
+
+    if (type) {
+      if (!EVENT_TYPES.includes(type)) {
+        return res.status(400).json({ message: `type must be one of ${EVENT_TYPES.join(', ')}` });
+      }
+      query.type = type;
+    }
+
+    if (severity) {
+      if (!SEVERITIES.includes(severity)) {
+        return res.status(400).json({ message: `severity must be one of ${SEVERITIES.join(', ')}` });
+      }
+      query.severity = severity;
+    }
+
+    if (userId) {
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({ message: 'Invalid userId' });
+      }
+      query.userId = userId;
+    }
+
+    if (acknowledged === 'true') {
+      query.acknowledgedAt = { $ne: null };
+    } else if (acknowledged === 'false') {
+      query.acknowledgedAt = null;
+    }
+
+    const [events, total] = await Promise.all([
+      SecurityEvent.find(query)
+        .populate('userId', 'email role')
+        .populate('acknowledgedBy', 'email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      SecurityEvent.countDocuments(query),
+    ]);
+
+    return res.json({
+      events,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (err) {
+    console.error('List security events error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.post('/security-events/:eventId/acknowledge', authMiddleware, requirePermission('sessions:manage'), async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(eventId)) {
+      return res.status(400).json({ message: 'Invalid eventId' });
+    }
+
+    const event = await SecurityEvent.findOneAndUpdate(
+      { _id: eventId, ...orgFilter(req), acknowledgedAt: null },
+      { $set: { acknowledgedAt: new Date(), acknowledgedBy: req.user._id } },
+      { new: true }
+    );
+
+    if (!event) {
+      return res.status(404).json({ message: 'Security event not found or already acknowledged' });
+    }
+
+    await recordAudit(req, {
+      action: 'security_event.acknowledge',
+      targetType: 'security_event',
+      targetId: event._id,
+      orgId: event.orgId,
+      metadata: { type: event.type, userId: event.userId },
+    });
+
+    return res.json({ success: true, event });
+  } catch (err) {
+    console.error('Acknowledge security event error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+export default router;
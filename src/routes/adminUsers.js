@@ -4,22 +4,43 @@ import mongoose from 'mongoose';
 import User from '../models/User.js';
 import Session from '../models/Session.js';
 import BlockedIp from '../models/BlockedIp.js';
-import { authMiddleware, requireAdmin } from '../middleware/auth.js';
+import { authMiddleware, requirePermission } from '../middleware/auth.js';
+import { disableMfa } from '../services/mfa.js';
+import {
+  buildPolicyUpdate,
+  getOrgPolicyOverrides,
+  getSecurityPolicy,
+  pickPolicyValues,
+  updateSecurityPolicy,
+} from '../services/securityPolicy.js';
+import { findUserInScope, orgFilter, targetOrgId } from '../services/orgScope.js';
+import { getPasswordPolicy, passwordPolicyError, validatePassword } from '../services/passwordPolicy.js';
+import { isValidIpOrCidr } from '../services/ipAddress.js';
+import { getRecentDetections } from '../services/autoBlock.js';
+import { lookupIp } from '../services/geoIp.js';
+import { recordAudit, snapshot } from '../services/audit.js';
+import { lockAccount, lockStatus, unlockAccount } from '../services/accountLockout.js';
+import { canManageRole } from '../services/permissions.js';
 
 const router = express.Router();
 
-router.get('/users', authMiddleware, requireAdmin, async (req, res) => {
+router.get('/users', authMiddleware, requirePermission('users:read'), async (req, res) => {
   try {
-    const { email } = req.query;
+    const { email, locked } = req.query;
 
-    const filter = {};
+    const filter = { ...orgFilter(req) };
     if (typeof email === 'string' && email.trim() !== '') {
       filter.email = { $regex: new RegExp(email.trim(), 'i') };
     }
 
+    if (locked === 'true') {
+      filter['security.isLocked'] = true;
+      filter.$or = [{ 'security.lockUntil': null }, { 'security.lockUntil': { $gt: new Date() } }];
+    }
+
     const users = await User.find(filter)
       .sort({ createdAt: -1 })
-      .select('email role createdAt');
+      .select('email role orgId createdAt security.isLocked security.lockUntil');
 
     return res.json({ users });
   } catch (err) {
@@ -28,7 +49,7 @@ router.get('/users', authMiddleware, requireAdmin, async (req, res) => {
   }
 });
 
-router.get('/users/:userId/ip-overview', authMiddleware, requireAdmin, async (req, res) => {
+router.get('/users/:userId/ip-overview', authMiddleware, requirePermission('logs:read'), async (req, res) => {
   try {
     const { userId } = req.params;
 
@@ -36,6 +57,11 @@ router.get('/users/:userId/ip-overview', authMiddleware, requireAdmin, async (re
       return res.status(400).json({ message: 'Invalid userId' });
     }
 
+    const user = await findUserInScope(req, userId, 'orgId');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
     const pipeline = [
       {
         $match: {
@@ -55,18 +81,25 @@ router.get('/users/:userId/ip-overview', authMiddleware, requireAdmin, async (re
     const sessionsByIp = await Session.aggregate(pipeline);
     const ips = sessionsByIp.map((s) => s._id);
 
-    const blockedDocs = await BlockedIp.find({ ip: { $in: ips } }).lean();
-    const blockedMap = new Map(blockedDocs.map((b) => [b.ip, b]));
+    // Range blocks (CIDR) count too, so each address is matched individually.
+    const matches = await Promise.all(
+      ips.map((ip) => BlockedIp.findMatching(ip, user.orgId, { limit: 1 }))
+    );
+    const blockedMap = new Map(ips.map((ip, i) => [ip, matches[i][0]]));
+    const geos = await Promise.all(ips.map((ip) => lookupIp(ip)));
+    const geoMap = new Map(ips.map((ip, i) => [ip, geos[i]]));
 
     const overview = sessionsByIp.map((row) => {
       const blocked = blockedMap.get(row._id);
-      const isBlocked = !!blocked && blocked.isActive;
+      const isBlocked = !!blocked;
       return {
         ip: row._id,
         sessionCount: row.sessionCount,
         lastSeen: row.lastSeen,
         isBlocked,
         blockedReason: blocked?.reason || null,
+        blockedRange: blocked?.ip || null,
+        geo: geoMap.get(row._id) || null,
       };
     });
 
@@ -77,7 +110,7 @@ router.get('/users/:userId/ip-overview', authMiddleware, requireAdmin, async (re
   }
 });
 
-router.post('/users/:userId/block-other-ips', authMiddleware, requireAdmin, async (req, res) => {
+router.post('/users/:userId/block-other-ips', authMiddleware, requirePermission('ips:manage', 'sessions:manage'), async (req, res) => {
   try {
     const { userId } = req.params;
     const { reason, keepIp } = req.body || {};
@@ -86,6 +119,11 @@ router.post('/users/:userId/block-other-ips', authMiddleware, requireAdmin, asyn
       return res.status(400).json({ message: 'Invalid userId' });
     }
 
+    const user = await findUserInScope(req, userId, 'orgId');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
     const now = new Date();
     const activeSessions = await Session.find({
       userId,
@@ -113,20 +151,17 @@ router.post('/users/:userId/block-other-ips', authMiddleware, requireAdmin, asyn
 
     await Promise.all(
       otherIps.map((ip) =>
-        BlockedIp.findOneAndUpdate(
-          { ip },
-          {
-            reason: blockReason,
-            blockedBy: req.user._id,
-            expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
-            isActive: true,
-          },
-          { upsert: true, new: true }
-        )
+        BlockedIp.block({
+          ip,
+          orgId: user.orgId,
+          reason: blockReason,
+          blockedBy: req.user._id,
+          expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+        })
       )
     );
 
-    await Session.updateMany(
+    const ended = await Session.updateMany(
       { userId, ip: { $in: otherIps }, isActive: true },
       {
         $set: {
@@ -136,6 +171,15 @@ router.post('/users/:userId/block-other-ips', authMiddleware, requireAdmin, asyn
       }
     );
 
+    await recordAudit(req, {
+      action: 'ip.block_other',
+      targetType: 'user',
+      targetId: user._id,
+      orgId: user.orgId,
+      after: { blockedIps: otherIps, keptIp: currentIp, reason: blockReason },
+      metadata: { sessionsEnded: ended.modifiedCount || 0 },
+    });
+
     return res.json({ success: true, keptIp: currentIp, blockedIps: otherIps });
   } catch (err) {
     console.error('Admin block other IPs error', err);
@@ -143,9 +187,14 @@ router.post('/users/:userId/block-other-ips', authMiddleware, requireAdmin, asyn
   }
 });
 
-router.get('/blocked-ips', authMiddleware, requireAdmin, async (req, res) => {
+router.get('/blocked-ips', authMiddleware, requirePermission('ips:read'), async (req, res) => {
   try {
-    const blocked = await BlockedIp.find({})
+    const query = { ...orgFilter(req) };
+    if (req.query.source) {
+      query.source = String(req.query.source);
+    }
+
+    const blocked = await BlockedIp.find(query)
       .populate('blockedBy', 'email')
       .sort({ createdAt: -1 })
       .lean();
@@ -157,7 +206,7 @@ router.get('/blocked-ips', authMiddleware, requireAdmin, async (req, res) => {
   }
 });
 
-router.post('/block-ip', authMiddleware, requireAdmin, async (req, res) => {
+router.post('/block-ip', authMiddleware, requirePermission('ips:manage'), async (req, res) => {
   try {
     const { ip, reason, expiresInHours = 24 } = req.body || {};
 
@@ -165,21 +214,25 @@ router.post('/block-ip', authMiddleware, requireAdmin, async (req, res) => {
       return res.status(400).json({ message: 'IP is required' });
     }
 
-    const ipRegex = /^(\d{1,3}\.){3}\d{1,3}(?:\/\d{1,2})?$/;
-    if (!ipRegex.test(ip)) {
+    if (!isValidIpOrCidr(String(ip))) {
       return res.status(400).json({ message: 'Invalid IP address format' });
     }
 
-    const doc = await BlockedIp.findOneAndUpdate(
-      { ip },
-      {
-        reason: reason || 'Blocked from admin panel',
-        blockedBy: req.user._id,
-        expiresAt: new Date(Date.now() + expiresInHours * 60 * 60 * 1000),
-        isActive: true,
-      },
-      { upsert: true, new: true }
-    );
+    const doc = await BlockedIp.block({
+      ip: String(ip),
+      orgId: targetOrgId(req),
+      reason: reason || 'Blocked from admin panel',
+      blockedBy: req.user._id,
+      expiresAt: new Date(Date.now() + expiresInHours * 60 * 60 * 1000),
+    });
+
+    await recordAudit(req, {
+      action: 'ip.block',
+      targetType: 'ip',
+      targetId: doc.ip,
+      orgId: doc.orgId,
+      after: snapshot(doc, 'ip reason source isActive expiresAt'),
+    });
 
     return res.json({ success: true, ip: doc });
   } catch (err) {
@@ -188,7 +241,7 @@ router.post('/block-ip', authMiddleware, requireAdmin, async (req, res) => {
   }
 });
 
-router.post('/unblock-ip', authMiddleware, requireAdmin, async (req, res) => {
+router.post('/unblock-ip', authMiddleware, requirePermission('ips:manage'), async (req, res) => {
   try {
     const { ip } = req.body || {};
 
@@ -197,7 +250,7 @@ router.post('/unblock-ip', authMiddleware, requireAdmin, async (req, res) => {
     }
 
     const updated = await BlockedIp.findOneAndUpdate(
-      { ip, isActive: true },
+      { ip: BlockedIp.canonicalIp(ip) || ip, orgId: targetOrgId(req), isActive: true },
       {
         isActive: false,
         expiresAt: new Date(),
@@ -209,6 +262,16 @@ router.post('/unblock-ip', authMiddleware, requireAdmin, async (req, res) => {
       return res.status(404).json({ message: 'IP not found or already unblocked' });
     }
 
+    await recordAudit(req, {
+      action: 'ip.unblock',
+      targetType: 'ip',
+      targetId: updated.ip,
+      orgId: updated.orgId,
+      before: { isActive: true },
+      after: { isActive: false },
+      metadata: { reason: updated.reason, source: updated.source },
+    });
+
     return res.json({ success: true, ip: updated });
   } catch (err) {
     console.error('Admin unblock IP error', err);
@@ -216,7 +279,7 @@ router.post('/unblock-ip', authMiddleware, requireAdmin, async (req, res) => {
   }
 });
 
-router.get('/users/active-sessions', authMiddleware, requireAdmin, async (req, res) => {
+router.get('/users/active-sessions', authMiddleware, requirePermission('sessions:read'), async (req, res) => {
   try {
     const now = new Date();
 
@@ -224,6 +287,7 @@ router.get('/users/active-sessions', authMiddleware, requireAdmin, async (req, r
       {
         $match: {
           role: { $ne: 'admin' },
+          ...orgFilter(req),
         },
       },
       {
@@ -284,7 +348,7 @@ router.get('/users/active-sessions', authMiddleware, requireAdmin, async (req, r
 });
 
 // Admin creates a new user with email + password
-router.post('/users', authMiddleware, requireAdmin, async (req, res) => {
+router.post('/users', authMiddleware, requirePermission('users:manage'), async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -297,12 +361,28 @@ router.post('/users', authMiddleware, requireAdmin, async (req, res) => {
       return res.status(400).json({ message: 'User with this email already exists' });
     }
 
+    const orgId = targetOrgId(req) || req.user.orgId;
+    const passwordErrors = await validatePassword(password, await getPasswordPolicy(orgId), { email });
+    if (passwordErrors.length) {
+      return passwordPolicyError(res, passwordErrors);
+    }
+
     const passwordHash = await bcrypt.hash(password, 10);
 
     const user = await User.create({
       email: email.toLowerCase(),
       passwordHash,
+      passwordChangedAt: new Date(),
       role: 'user',
+      orgId,
+    });
+
+    await recordAudit(req, {
+      action: 'user.create',
+      targetType: 'user',
+      targetId: user._id,
+      orgId: user.orgId,
+      after: { email: user.email, role: user.role },
     });
 
     return res.status(201).json({
@@ -318,4 +398,317 @@ router.post('/users', authMiddleware, requireAdmin, async (req, res) => {
   }
 });
 
+router.get('/security-policy', authMiddleware, requirePermission('security:policy'), async (req, res) => {
+  try {
+    const orgId = targetOrgId(req);
+    const [policy, overrides] = await Promise.all([
+      getSecurityPolicy(orgId),
+      orgId ? getOrgPolicyOverrides(orgId) : null,
+    ]);
+
+    return res.json({ policy, overrides, scope: orgId ? 'org' : 'global' });
+  } catch (err) {
+    console.error('Admin get security policy error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.put('/security-policy', authMiddleware, requirePermission('security:policy'), async (req, res) => {
+  try {
+    // Organization admins edit their organization's overrides; platform admins edit the
+    // global defaults unless they target an organization with orgId.
+    const orgId = targetOrgId(req);
+    const { set, errors } = buildPolicyUpdate(req.body || {}, { orgScoped: !!orgId });
+
+    if (errors.length) {
+      return res.status(400).json({ message: errors.join('; ') });
+    }
+
+    if (!Object.keys(set).length) {
+      return res.status(400).json({ message: 'No policy settings provided' });
+    }
+    const before = pickPolicyValues(await getSecurityPolicy(orgId), Object.keys(set));
+    await updateSecurityPolicy(set, req.user._id, orgId);
+    const policy = await getSecurityPolicy(orgId);
+
+    await recordAudit(req, {
+      action: 'security_policy.update',
+      targetType: 'security_policy',
+      targetId: orgId ? `org:${orgId}` : 'global',
+      orgId,
+      before,
+      after: pickPolicyValues(policy, Object.keys(set)),
+    });
+
+    return res.json({ success: true, policy, scope: orgId ? 'org' : 'global' });
+  } catch (err) {
+    console.error('Admin update security policy error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Failed-login auto-blocking is platform-wide, so only platform admins can tune it.
+router.get('/auto-block', authMiddleware, requirePermission('security:policy', 'orgs:manage'), async (req, res) => {
+  try {
+    const policy = await getSecurityPolicy();
+    return res.json({ settings: policy.autoBlock, recentDetections: getRecentDetections() });
+  } catch (err) {
+    console.error('Admin get auto-block settings error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.put('/auto-block', authMiddleware, requirePermission('security:policy', 'orgs:manage'), async (req, res) => {
+  try {
+    const { set, errors } = buildPolicyUpdate({ autoBlock: req.body || {} }, { only: 'autoBlock' });
+
+    if (errors.length) {
+      return res.status(400).json({ message: errors.join('; ') });
+    }
+
+    if (!Object.keys(set).length) {
+      return res.status(400).json({ message: 'No auto-block settings provided' });
+    }
+
+    const before = pickPolicyValues(await getSecurityPolicy(), Object.keys(set));
+    await updateSecurityPolicy(set, req.user._id);
+    const policy = await getSecurityPolicy();
+
+    await recordAudit(req, {
+      action: 'security_policy.update',
+      targetType: 'security_policy',
+      targetId: 'global',
+      orgId: null,
+      before,
+      after: pickPolicyValues(policy, Object.keys(set)),
+    });
+
+    return res.json({ success: true, settings: policy.autoBlock });
+  } catch (err) {
+    console.error('Admin update auto-block settings error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Per-user idle timeout / absolute lifetime; null clears the override (inherit role / org policy)
+router.put('/users/:userId/session-policy', authMiddleware, requirePermission('sessions:manage'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: 'Invalid userId' });
+    }
+
+    const limits = { idleTimeoutMinutes: 7 * 24 * 60, absoluteLifetimeHours: 365 * 24 };
+    const set = {};
+    for (const [field, max] of Object.entries(limits)) {
+      const value = (req.body || {})[field];
+      if (value === undefined) continue;
+      if (value !== null && (!Number.isInteger(value) || value < 0 || value > max)) {
+        return res.status(400).json({ message: `${field} must be null or an integer between 0 and ${max}` });
+      }
+      set[`security.sessionPolicy.${field}`] = value;
+    }
+
+    if (!Object.keys(set).length) {
+      return res.status(400).json({ message: 'idleTimeoutMinutes or absoluteLifetimeHours is required' });
+    }
+
+    const user = await findUserInScope(req, userId, 'orgId security.sessionPolicy');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const updated = await User.findByIdAndUpdate(user._id, { $set: set }, { new: true }).select(
+      'email role security.sessionPolicy'
+    );
+
+    await recordAudit(req, {
+      action: 'user.session_policy_update',
+      targetType: 'user',
+      targetId: user._id,
+      orgId: user.orgId,
+      before: snapshot(user.security?.sessionPolicy, 'idleTimeoutMinutes absoluteLifetimeHours'),
+      after: snapshot(updated.security.sessionPolicy, 'idleTimeoutMinutes absoluteLifetimeHours'),
+    });
+
+    return res.json({ success: true, sessionPolicy: updated.security.sessionPolicy });
+  } catch (err) {
+    console.error('Admin update session policy error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.get('/users/:userId/lock', authMiddleware, requirePermission('users:read'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: 'Invalid userId' });
+    }
+
+    const user = await findUserInScope(req, userId, 'email security');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    return res.json({ userId: user._id, email: user.email, ...lockStatus(user) });
+  } catch (err) {
+    console.error('Admin get account lock error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Lock an account: { minutes? } (omitted or null = until unlocked). Ends the user's sessions.
+router.post('/users/:userId/lock', authMiddleware, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { minutes = null } = req.body || {};
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: 'Invalid userId' });
+    }
+
+    if (minutes !== null && (!Number.isInteger(minutes) || minutes < 1 || minutes > 365 * 24 * 60)) {
+      return res.status(400).json({ message: 'minutes must be null or an integer between 1 and 525600' });
+    }
+
+    if (String(userId) === String(req.user._id)) {
+      return res.status(400).json({ message: 'You cannot lock your own account' });
+    }
+
+    const user = await findUserInScope(req, userId, 'role orgId security');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!(await canManageRole(req.permissions, user.role))) {
+      return res.status(403).json({ message: 'You cannot lock a user with this role' });
+    }
+
+    const before = lockStatus(user);
+    const updated = await lockAccount(user._id, { minutes, lockedBy: req.user._id });
+    await Session.invalidateAllForUser(user._id);
+
+    await recordAudit(req, {
+      action: 'user.lock',
+      targetType: 'user',
+      targetId: user._id,
+      orgId: user.orgId,
+      before: snapshot(before, 'isLocked lockUntil permanent'),
+      after: snapshot(lockStatus(updated), 'isLocked lockUntil permanent'),
+    });
+
+    return res.json({ success: true, userId: updated._id, email: updated.email, ...lockStatus(updated) });
+  } catch (err) {
+    console.error('Admin lock account error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.post('/users/:userId/unlock', authMiddleware, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: 'Invalid userId' });
+    }
+
+    const user = await findUserInScope(req, userId, 'role orgId security');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!(await canManageRole(req.permissions, user.role))) {
+      return res.status(403).json({ message: 'You cannot unlock a user with this role' });
+    }
+
+    const before = lockStatus(user);
+    const updated = await unlockAccount(user._id);
+
+    await recordAudit(req, {
+      action: 'user.unlock',
+      targetType: 'user',
+      targetId: user._id,
+      orgId: user.orgId,
+      before: snapshot(before, 'isLocked lockUntil permanent lockReason lockCount'),
+      after: snapshot(lockStatus(updated), 'isLocked lockUntil permanent lockReason lockCount'),
+    });
+
+    return res.json({ success: true, userId: updated._id, email: updated.email, ...lockStatus(updated) });
+  } catch (err) {
+    console.error('Admin unlock account error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Clear a user's TOTP enrollment (lost device); they re-enroll on next login if policy requires it.
+// Ends the user's sessions, which were opened with the old second factor.
+router.post('/users/:userId/mfa/reset', authMiddleware, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: 'Invalid userId' });
+    }
+
+    const user = await findUserInScope(req, userId, 'role orgId');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!(await canManageRole(req.permissions, user.role))) {
+      return res.status(403).json({ message: 'You cannot reset MFA for a user with this role' });
+    }
+
+    await disableMfa(user._id);
+    await Session.invalidateAllForUser(user._id);
+
+    await recordAudit(req, { action: 'user.mfa_reset', targetType: 'user', targetId: user._id, orgId: user.orgId });
+
+    return res.json({ success: true });
+  } catch (err) {
+    console.error('Admin reset MFA error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Make the user choose a new password on their next login (suspected compromise, shared
+// initial password). The check only runs at login, so their current sessions are ended.
+router.post('/users/:userId/force-password-change', authMiddleware, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: 'Invalid userId' });
+    }
+
+    const user = await findUserInScope(req, userId, 'role orgId mustChangePassword');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!(await canManageRole(req.permissions, user.role))) {
+      return res.status(403).json({ message: 'You cannot force a password change for a user with this role' });
+    }
+
+    await User.updateOne({ _id: user._id }, { $set: { mustChangePassword: true } });
+    await Session.invalidateAllForUser(user._id);
+
+    await recordAudit(req, {
+      action: 'user.force_password_change',
+      targetType: 'user',
+      targetId: user._id,
+      orgId: user.orgId,
+      before: { mustChangePassword: !!user.mustChangePassword },
+      after: { mustChangePassword: true },
+    });
+
+    return res.json({ success: true });
+  } catch (err) {
+    console.error('Admin force password change error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
 export default router;
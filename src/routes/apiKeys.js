@@ -0,0 +1,161 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import ApiKey from '../models/ApiKey.js';
+import { authMiddleware } from '../middleware/auth.js';
+import { API_KEY_SCOPES, generateApiKey, isKnownScope, resolveApiKeyExpiry } from '../services/apiKeys.js';
+import { canManageRole, getRolePermissions, hasPermission } from '../services/permissions.js';
+import { findUserInScope } from '../services/orgScope.js';
+import { recordAudit } from '../services/audit.js';
+
+const router = express.Router();
+
+const PUBLIC_FIELDS = 'name prefix userId orgId scopes expiresAt revokedAt lastUsedAt lastUsedIp createdAt';
+
+const serializeKey = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  userId: apiKey.userId,
+  scopes: apiKey.scopes,
+  expiresAt: apiKey.expiresAt,
+  revokedAt: apiKey.revokedAt,
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+  createdAt: apiKey.createdAt,
+});
+
+// Users manage their own keys; holders of users:manage may also manage keys of users in their
+// org whose role they could manage, so nobody mints keys acting with more access than their own.
+const resolveKeyOwner = async (req, userId) => {
+  if (!userId || String(userId) === String(req.user._id)) {
+    return req.user;
+  }
+
+  req.permissions = req.permissions || (await getRolePermissions(req.user.role));
+  if (!hasPermission(req.permissions, 'users:manage')) {
+    return null;
+  }
+
+  const owner = await findUserInScope(req, userId, 'email role orgId');
+  if (!owner || !(await canManageRole(req.permissions, owner.role))) {
+    return null;
+  }
+  return owner;
+};
+
+router.get('/scopes', authMiddleware, async (req, res) => {
+  return res.json({
+    scopes: Object.entries(API_KEY_SCOPES).map(([name, description]) => ({ name, description })),
+  });
+});
+
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const owner = await resolveKeyOwner(req, req.query.userId);
+    if (!owner) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const keys = await ApiKey.find({ userId: owner._id })
+      .select(PUBLIC_FIELDS)
+      .sort({ createdAt: -1 });
+
+    return res.json({ keys: keys.map(serializeKey) });
+  } catch (err) {
+    console.error('List API keys error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.post('/', authMiddleware, async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays, userId } = req.body || {};
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ message: 'name is required' });
+    }
+
+    if (!Array.isArray(scopes) || !scopes.length) {
+      return res.status(400).json({ message: 'scopes must be a non-empty array' });
+    }
+
+    const unknown = scopes.filter((scope) => typeof scope !== 'string' || !isKnownScope(scope));
+    if (unknown.length) {
+      return res.status(400).json({ message: `Unknown scopes: ${unknown.join(', ')}` });
+    }
+
+    const { expiresAt, error } = resolveApiKeyExpiry(expiresInDays);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const owner = await resolveKeyOwner(req, userId);
+    if (!owner) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const { key, prefix, secretHash } = generateApiKey();
+
+    const apiKey = await ApiKey.create({
+      name: name.trim(),
+      prefix,
+      secretHash,
+      userId: owner._id,
+      orgId: owner.orgId,
+      scopes: Array.from(new Set(scopes)),
+      expiresAt,
+    });
+
+    await recordAudit(req, {
+      action: 'api_key.create',
+      targetType: 'api_key',
+      targetId: apiKey._id,
+      orgId: apiKey.orgId,
+      after: { name: apiKey.name, prefix, userId: apiKey.userId, scopes: apiKey.scopes, expiresAt },
+    });
+
+    // The raw key is returned only once.
+    return res.status(201).json({ key, apiKey: serializeKey(apiKey) });
+  } catch (err) {
+    console.error('Create API key error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.post('/:id/revoke', authMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid API key id' });
+    }
+
+    const apiKey = await ApiKey.findById(id).select(PUBLIC_FIELDS);
+    if (!apiKey || !(await resolveKeyOwner(req, apiKey.userId))) {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+
+    if (apiKey.revokedAt) {
+      return res.status(400).json({ message: 'API key already revoked' });
+    }
+
+    apiKey.revokedAt = new Date();
+    apiKey.revokedBy = req.user._id;
+    await apiKey.save();
+
+    await recordAudit(req, {
+      action: 'api_key.revoke',
+      targetType: 'api_key',
+      targetId: apiKey._id,
+      orgId: apiKey.orgId,
+      metadata: { name: apiKey.name, prefix: apiKey.prefix, userId: apiKey.userId },
+    });
+
+    return res.json({ success: true, apiKey: serializeKey(apiKey) });
+  } catch (err) {
+    console.error('Revoke API key error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+export default router;
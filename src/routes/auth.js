@@ -1,19 +1,71 @@
 import express from 'express';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
 import User from '../models/User.js';
 import Session from '../models/Session.js';
-
-const normalizeIp = (value) => {
-  if (!value || typeof value !== 'string') return '';
-  const first = value.split(',')[0].trim();
-  if (first === '::1') return '127.0.0.1';
-  if (first.startsWith('::ffff:')) return first.slice('::ffff:'.length);
-  return first;
-};
+import AuthToken from '../models/AuthToken.js';
+import {
+  buildTokenResponse,
+  createLoginSession,
+  hashToken,
+  parseRefreshTokenSessionId,
+  rotateSessionTokens,
+  signPendingToken,
+  verifyPendingToken,
+} from '../services/authTokens.js';
+import {
+  MFA_SECRET_FIELDS,
+  confirmMfaEnrollment,
+  consumeRecoveryCode,
+  disableMfa,
+  isMfaRequiredByPolicy,
+  isMfaRequiredForUser,
+  issueRecoveryCodes,
+  startMfaEnrollment,
+  verifyMfaCode,
+} from '../services/mfa.js';
+import { getSecurityPolicy } from '../services/securityPolicy.js';
+import Organization from '../models/Organization.js';
+import OidcLoginState from '../models/OidcLoginState.js';
+import {
+  buildPasswordUpdate,
+  getPasswordPolicy,
+  isPasswordExpired,
+  passwordPolicyError,
+  validatePassword,
+} from '../services/passwordPolicy.js';
+import {
+  buildAuthorizationUrl,
+  createPkcePair,
+  exchangeAuthorizationCode,
+  findOrProvisionOidcUser,
+  isOidcEnabled,
+  verifyIdToken,
+} from '../services/oidc.js';
+import {
+  isEmailVerificationRequired,
+  sendLoginAlertEmail,
+  sendLoginStepUpEmail,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+} from '../services/accountEmails.js';
+import { authMiddleware } from '../middleware/auth.js';
+import { getClientIp } from '../services/clientIp.js';
+import { normalizeIpAddress } from '../services/ipAddress.js';
+import { checkSessionLimits, getSessionLimits } from '../services/sessionActivity.js';
+import { recordFailedLoginAttempt } from '../services/autoBlock.js';
+import BlockedIp from '../models/BlockedIp.js';
+import { checkCountryAccess, lookupIp, sendCountryBlocked } from '../services/geoIp.js';
+import { evaluateIpWhitelist, sendIpNotWhitelisted } from '../services/ipWhitelist.js';
+import { registerFailedLogin, sendAccountLocked } from '../services/accountLockout.js';
+import SecurityEvent from '../models/SecurityEvent.js';
+import { detectLoginAnomalies, recordSecurityEvents, strongestAction } from '../services/loginAnomalies.js';
 
 const router = express.Router();
 
+const OIDC_STATE_TTL_MS = 10 * 60 * 1000;
+
 // Register regular user
 router.post('/register', async (req, res) => {
   try {
@@ -28,16 +80,32 @@ router.post('/register', async (req, res) => {
       return res.status(400).json({ message: 'Email already registered' });
     }
 
+    const orgId = await Organization.getDefaultId();
+    const passwordErrors = await validatePassword(password, await getPasswordPolicy(orgId), { email });
+    if (passwordErrors.length) {
+      return passwordPolicyError(res, passwordErrors);
+    }
+
     const passwordHash = await bcrypt.hash(password, 10);
 
     const user = await User.create({
       email: email.toLowerCase(),
       passwordHash,
+      passwordChangedAt: new Date(),
       role: 'user',
+      emailVerified: false,
+      orgId,
     });
 
+    try {
+      await sendVerificationEmail(user, getClientIp(req));
+    } catch (mailErr) {
+      console.error('Register verification email error', mailErr);
+    }
+
     return res.status(201).json({
       user: { id: user._id, email: user.email, role: user.role },
+      emailVerificationRequired: isEmailVerificationRequired(),
     });
   } catch (err) {
     console.error('Register error', err);
@@ -45,6 +113,174 @@ router.post('/register', async (req, res) => {
   }
 });
 
+// Feeds the auto-block detector; it must never turn a failed login into a server error.
+const trackFailedAttempt = (req, email) =>
+  recordFailedLoginAttempt({ ip: getClientIp(req), email }).catch((err) => {
+    console.error('Auto-block detection error', err);
+  });
+
+// ipSecurity skips /api/auth, so the login endpoints check global blocks themselves. With
+// orgId the organization's own blocks apply too, once the user is known.
+const rejectBlockedIp = async (req, res, orgId = null) => {
+  if (!(await BlockedIp.isBlocked(getClientIp(req), orgId))) return false;
+  res.status(403).json({ message: 'Access from this IP is blocked', code: 'IP_BLOCKED' });
+  return true;
+};
+
+const loginHistoryEntry = async (req, ip, fields) => {
+  const geo = await lookupIp(ip);
+  return {
+    ip,
+    userAgent: req.headers['user-agent'] || '',
+    ...(geo && { geo }),
+    ...fields,
+  };
+};
+
+const recordFailedLogin = async (req, user, reason) => {
+  await trackFailedAttempt(req, user.email);
+
+  await registerFailedLogin(user, { ip: getClientIp(req) });
+
+  await User.findByIdAndUpdate(user._id, {
+    $push: {
+      loginHistory: await loginHistoryEntry(req, getClientIp(req), { status: 'failed', reason }),
+    },
+  });
+};
+
+// Final step of every successful login: check for anomalies, create the Session, reset
+// lockout and record history. stepUpEventIds marks a login already confirmed by email.
+const completeLogin = async (req, res, user, extra = {}, { stepUpEventIds = null } = {}) => {
+  if (user.orgId && !(await Organization.exists({ _id: user.orgId, isActive: true }))) {
+    return res.status(403).json({
+      message: 'Your organization has been deactivated',
+      code: 'ORGANIZATION_INACTIVE',
+    });
+  }
+
+  const ip = getClientIp(req);
+  const userAgent = req.headers['user-agent'] || '';
+
+  const policy = await getSecurityPolicy(user.orgId);
+  const countryAccess = await checkCountryAccess(ip, policy.geo);
+  if (!countryAccess.allowed) {
+    await User.findByIdAndUpdate(user._id, {
+      $push: {
+        loginHistory: await loginHistoryEntry(req, ip, { status: 'failed', reason: 'country_not_allowed' }),
+      },
+    });
+    return sendCountryBlocked(res, countryAccess.country);
+  }
+
+  if (!evaluateIpWhitelist(user, ip, policy.ipWhitelist).allowed) {
+    await User.findByIdAndUpdate(user._id, {
+      $push: {
+        loginHistory: await loginHistoryEntry(req, ip, { status: 'failed', reason: 'IP not whitelisted' }),
+      },
+    });
+    return sendIpNotWhitelisted(res);
+  }
+
+  const historyEntry = await loginHistoryEntry(req, ip, { status: 'success' });
+  const anomalyContext = { ip, userAgent, geo: historyEntry.geo };
+
+  const findings = stepUpEventIds ? [] : await detectLoginAnomalies(user, anomalyContext);
+  const anomalyAction = strongestAction(findings);
+
+  if (anomalyAction === 'step_up') {
+    const events = await recordSecurityEvents(user, findings, anomalyContext);
+    try {
+      await sendLoginStepUpEmail(user, findings, anomalyContext);
+    } catch (mailErr) {
+      console.error('Login step-up email error', mailErr);
+    }
+
+    const eventIds = events.map((event) => event._id.toString());
+    return res.json({
+      ...extra,
+      stepUpRequired: true,
+      stepUpToken: signPendingToken(user, 'step_up_pending', { ip, eventIds }, '15m'),
+      reasons: findings.map((finding) => finding.type),
+    });
+  }
+
+  const { session, accessToken, refreshToken } = await createLoginSession(user, anomalyContext);
+
+  if (stepUpEventIds) {
+    await SecurityEvent.updateMany(
+      { _id: { $in: stepUpEventIds }, userId: user._id },
+      { $set: { stepUpVerifiedAt: new Date(), sessionId: session._id } }
+    );
+  }
+
+  if (findings.length) {
+    let revokedSessionCount = 0;
+    if (anomalyAction === 'revoke_others') {
+      const result = await Session.updateMany(
+        { userId: user._id, _id: { $ne: session._id }, isActive: true },
+        { $set: { isActive: false, expiresAt: new Date() } }
+      );
+      revokedSessionCount = result.modifiedCount || 0;
+    }
+
+    await recordSecurityEvents(user, findings, { ...anomalyContext, sessionId: session._id, revokedSessionCount });
+    try {
+      await sendLoginAlertEmail(user, findings, { ...anomalyContext, revokedSessionCount });
+    } catch (mailErr) {
+      console.error('Login alert email error', mailErr);
+    }
+  }
+
+  if (user.resetLoginAttempts) {
+    await user.resetLoginAttempts();
+  }
+
+  await User.findByIdAndUpdate(user._id, {
+    $set: {
+      lastLoginIP: ip,
+    },
+    $push: {
+      loginHistory: historyEntry,
+    },
+  });
+
+  return res.json({
+    ...buildTokenResponse({ accessToken, refreshToken }),
+    ...extra,
+    user: {
+      id: user._id,
+      email: user.email,
+      role: user.role,
+    },
+  });
+};
+
+// Steps shared by every primary authentication method (password, OIDC) once the user
+// is identified: email verification gate, then MFA challenge or session creation.
+const continueLogin = async (req, res, user) => {
+  if (isEmailVerificationRequired() && user.emailVerified === false) {
+    return res.status(403).json({
+      message: 'Please verify your email address before logging in',
+      code: 'EMAIL_NOT_VERIFIED',
+    });
+  }
+
+  const policy = await getSecurityPolicy(user.orgId);
+  if (await isMfaRequiredForUser(user, policy)) {
+    const enrollmentRequired = !(user.mfa && user.mfa.enabled);
+    const mfaToken = signPendingToken(user, 'mfa_pending', { enroll: enrollmentRequired });
+
+    return res.json({
+      mfaRequired: true,
+      mfaEnrollmentRequired: enrollmentRequired,
+      mfaToken,
+    });
+  }
+
+  return completeLogin(req, res, user);
+};
+
 // Login (admin + user)
 router.post('/login', async (req, res) => {
   try {
@@ -54,105 +290,653 @@ router.post('/login', async (req, res) => {
       return res.status(400).json({ message: 'Email and password are required' });
     }
 
+    if (await rejectBlockedIp(req, res)) return;
+
     const user = await User.findOne({ email: email.toLowerCase() });
     if (!user) {
+      await trackFailedAttempt(req, email);
       return res.status(401).json({ message: 'Invalid email or password' });
     }
 
     if (user.isAccountLocked && user.isAccountLocked()) {
-      const retryAfter = Math.max(
-        0,
-        Math.ceil((user.security.lockUntil - new Date()) / 1000)
-      );
-
-      return res.status(429).json({
-        message: 'Account temporarily locked. Please try again later.',
-        code: 'ACCOUNT_LOCKED',
-        retryAfter,
-      });
+      return sendAccountLocked(res, user);
     }
 
     const isMatch = await bcrypt.compare(password, user.passwordHash);
     if (!isMatch) {
-      if (user.incrementLoginAttempts) {
-        await user.incrementLoginAttempts();
-      }
+      await recordFailedLogin(req, user, 'invalid_password');
+      return res.status(401).json({ message: 'Invalid email or password' });
+    }
+
+    if (!process.env.JWT_SECRET) {
+      return res.status(500).json({ message: 'Server auth not configured (JWT_SECRET missing)' });
+    }
 
-      await User.findByIdAndUpdate(user._id, {
-        $push: {
-          loginHistory: {
-            ip:
-              req.ip ||
-              req.headers['x-forwarded-for'] ||
-              (req.connection && req.connection.remoteAddress) ||
-              '',
-            userAgent: req.headers['user-agent'] || '',
-            status: 'failed',
-            reason: 'invalid_password',
-          },
-        },
+    // Expired passwords must be replaced before any session is created.
+    if (isPasswordExpired(user, await getPasswordPolicy(user.orgId))) {
+      return res.json({
+        passwordChangeRequired: true,
+        passwordChangeToken: signPendingToken(user, 'password_change', {}, '10m'),
       });
+    }
 
-      return res.status(401).json({ message: 'Invalid email or password' });
+    return continueLogin(req, res, user);
+  } catch (err) {
+    console.error('Login error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Replace an expired password with the token from /login, then continue the login
+router.post('/change-expired-password', async (req, res) => {
+  try {
+    const { passwordChangeToken, newPassword } = req.body || {};
+
+    if (!passwordChangeToken || !newPassword) {
+      return res.status(400).json({ message: 'passwordChangeToken and newPassword are required' });
     }
 
-    const jwtSecret = process.env.JWT_SECRET;
-    if (!jwtSecret) {
-      return res.status(500).json({ message: 'Server auth not configured (JWT_SECRET missing)' });
+    const pending = verifyPendingToken(passwordChangeToken, 'password_change');
+    if (!pending) {
+      return res.status(401).json({ message: 'Password change session expired, please log in again' });
     }
 
-    const token = jwt.sign(
-      {
-        userId: user._id.toString(),
-        email: user.email,
-        role: user.role,
-      },
-      jwtSecret,
-      { expiresIn: '12h' }
-    );
+    const user = await User.findById(pending.userId).select('+passwordHistory');
+    if (!user) {
+      return res.status(401).json({ message: 'Password change session expired, please log in again' });
+    }
 
-    const ip = normalizeIp(
-      req.headers['x-forwarded-for'] ||
-        req.ip ||
-        (req.connection && req.connection.remoteAddress) ||
-        ''
-    );
-    const userAgent = req.headers['user-agent'] || '';
+    if (user.isAccountLocked && user.isAccountLocked()) {
+      return sendAccountLocked(res, user);
+    }
+
+    const policy = await getPasswordPolicy(user.orgId);
+    const passwordErrors = await validatePassword(newPassword, policy, { user });
+    if (passwordErrors.length) {
+      return passwordPolicyError(res, passwordErrors);
+    }
 
-    await Session.create({
-      userId: user._id,
-      token,
-      ip,
-      userAgent,
+    const passwordHash = await bcrypt.hash(newPassword, 10);
+    const updated = await User.findByIdAndUpdate(user._id, buildPasswordUpdate(user, passwordHash, policy), {
+      new: true,
     });
 
-    if (user.resetLoginAttempts) {
-      await user.resetLoginAttempts();
+    return continueLogin(req, res, updated);
+  } catch (err) {
+    console.error('Change expired password error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Second login step: TOTP code or recovery code for the user behind mfaToken
+router.post('/login/mfa', async (req, res) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body || {};
+
+    if (!mfaToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ message: 'mfaToken and code or recoveryCode are required' });
     }
 
-    await User.findByIdAndUpdate(user._id, {
-      $set: {
-        lastLoginIP: ip,
-      },
-      $push: {
-        loginHistory: {
-          ip,
-          userAgent,
-          status: 'success',
-        },
-      },
+    if (await rejectBlockedIp(req, res)) return;
+
+    const pending = verifyPendingToken(mfaToken, 'mfa_pending');
+    if (!pending) {
+      return res.status(401).json({ message: 'MFA session expired - please log in again' });
+    }
+
+    const user = await User.findById(pending.userId).select(MFA_SECRET_FIELDS);
+    if (!user) {
+      return res.status(401).json({ message: 'MFA session expired - please log in again' });
+    }
+
+    if (user.isAccountLocked && user.isAccountLocked()) {
+      return sendAccountLocked(res, user);
+    }
+
+    // Enrollment forced by policy: the first valid code activates the pending secret.
+    if (pending.enroll && !(user.mfa && user.mfa.enabled)) {
+      const recoveryCodes = code ? await confirmMfaEnrollment(user, code) : null;
+      if (!recoveryCodes) {
+        await recordFailedLogin(req, user, 'invalid_mfa_code');
+        return res.status(401).json({ message: 'Invalid verification code' });
+      }
+
+      return completeLogin(req, res, user, { recoveryCodes });
+    }
+
+    const verified = code ? await verifyMfaCode(user, code) : await consumeRecoveryCode(user, recoveryCode);
+    if (!verified) {
+      await recordFailedLogin(req, user, code ? 'invalid_mfa_code' : 'invalid_recovery_code');
+      return res.status(401).json({ message: 'Invalid verification code' });
+    }
+
+    return completeLogin(req, res, user, recoveryCode ? { usedRecoveryCode: true } : {});
+  } catch (err) {
+    console.error('MFA login error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Confirms a login held back by anomaly detection, using the link mailed to the user
+router.post('/login/step-up', async (req, res) => {
+  try {
+    const { stepUpToken, token } = req.body || {};
+
+    if (!stepUpToken || !token) {
+      return res.status(400).json({ message: 'stepUpToken and token are required' });
+    }
+
+    if (await rejectBlockedIp(req, res)) return;
+
+    // The confirmation must finish from the address that started the login.
+    const pending = verifyPendingToken(stepUpToken, 'step_up_pending');
+    if (!pending || pending.ip !== getClientIp(req)) {
+      return res.status(401).json({ message: 'Verification session expired - please log in again' });
+    }
+
+    const pendingToken = await AuthToken.findValid(token, 'login_step_up');
+    if (!pendingToken || pendingToken.userId.toString() !== pending.userId) {
+      return res.status(401).json({ message: 'Invalid or expired verification link' });
+    }
+
+    const user = await User.findById(pending.userId);
+    if (!user) {
+      return res.status(401).json({ message: 'Invalid or expired verification link' });
+    }
+
+    if (user.isAccountLocked && user.isAccountLocked()) {
+      return sendAccountLocked(res, user);
+    }
+
+    if (!(await AuthToken.consume(token, 'login_step_up'))) {
+      return res.status(401).json({ message: 'Invalid or expired verification link' });
+    }
+
+    return completeLogin(req, res, user, {}, { stepUpEventIds: pending.eventIds || [] });
+  } catch (err) {
+    console.error('Login step-up error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Start the enrollment that policy requires during login (no access token yet)
+router.post('/login/mfa/setup', async (req, res) => {
+  try {
+    const { mfaToken } = req.body || {};
+
+    const pending = verifyPendingToken(mfaToken, 'mfa_pending');
+    if (!pending || !pending.enroll) {
+      return res.status(401).json({ message: 'MFA session expired - please log in again' });
+    }
+
+    const user = await User.findById(pending.userId);
+    if (!user) {
+      return res.status(401).json({ message: 'MFA session expired - please log in again' });
+    }
+
+    if (user.mfa && user.mfa.enabled) {
+      return res.status(400).json({ message: 'MFA is already enabled' });
+    }
+
+    const enrollment = await startMfaEnrollment(user);
+    return res.json(enrollment);
+  } catch (err) {
+    console.error('MFA login setup error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.post('/mfa/setup', authMiddleware, async (req, res) => {
+  try {
+    if (req.user.mfa && req.user.mfa.enabled) {
+      return res.status(400).json({ message: 'MFA is already enabled' });
+    }
+
+    const enrollment = await startMfaEnrollment(req.user);
+    return res.json(enrollment);
+  } catch (err) {
+    console.error('MFA setup error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.post('/mfa/enable', authMiddleware, async (req, res) => {
+  try {
+    const { code } = req.body || {};
+
+    if (!code) {
+      return res.status(400).json({ message: 'code is required' });
+    }
+
+    const user = await User.findById(req.user._id).select(MFA_SECRET_FIELDS);
+    if (!user || !user.mfa || !user.mfa.pendingSecret) {
+      return res.status(400).json({ message: 'Start MFA setup first' });
+    }
+
+    const recoveryCodes = await confirmMfaEnrollment(user, code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+
+    return res.json({ success: true, recoveryCodes });
+  } catch (err) {
+    console.error('MFA enable error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.post('/mfa/disable', authMiddleware, async (req, res) => {
+  try {
+    const { password, code } = req.body || {};
+
+    if (!password || !code) {
+      return res.status(400).json({ message: 'password and code are required' });
+    }
+
+    const user = await User.findById(req.user._id).select(MFA_SECRET_FIELDS);
+    if (!user || !user.mfa || !user.mfa.enabled) {
+      return res.status(400).json({ message: 'MFA is not enabled' });
+    }
+
+    const policy = await getSecurityPolicy(user.orgId);
+    if (await isMfaRequiredByPolicy(user, policy)) {
+      return res.status(403).json({ message: 'MFA is required for admin accounts' });
+    }
+
+    const passwordOk = await bcrypt.compare(password, user.passwordHash);
+    if (!passwordOk || !(await verifyMfaCode(user, code))) {
+      return res.status(400).json({ message: 'Invalid password or verification code' });
+    }
+
+    await disableMfa(user._id);
+    return res.json({ success: true });
+  } catch (err) {
+    console.error('MFA disable error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.post('/mfa/recovery-codes', authMiddleware, async (req, res) => {
+  try {
+    const { code } = req.body || {};
+
+    if (!code) {
+      return res.status(400).json({ message: 'code is required' });
+    }
+
+    const user = await User.findById(req.user._id).select(MFA_SECRET_FIELDS);
+    if (!user || !user.mfa || !user.mfa.enabled) {
+      return res.status(400).json({ message: 'MFA is not enabled' });
+    }
+
+    if (!(await verifyMfaCode(user, code))) {
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+
+    const recoveryCodes = await issueRecoveryCodes(user._id);
+    return res.json({ success: true, recoveryCodes });
+  } catch (err) {
+    console.error('MFA recovery codes error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+const GENERIC_RESET_MESSAGE = 'If an account exists for this email, a password reset link has been sent';
+
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body || {};
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
+    // Same response whether or not the account exists, so the endpoint cannot enumerate users.
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    if (user) {
+      try {
+        await sendPasswordResetEmail(user, getClientIp(req));
+      } catch (mailErr) {
+        console.error('Forgot password email error', mailErr);
+      }
+    }
+
+    return res.json({ success: true, message: GENERIC_RESET_MESSAGE });
+  } catch (err) {
+    console.error('Forgot password error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body || {};
+
+    if (!token || !password) {
+      return res.status(400).json({ message: 'Token and password are required' });
+    }
+
+    const pendingReset = await AuthToken.findValid(token, 'password_reset');
+    const user = pendingReset && (await User.findById(pendingReset.userId).select('+passwordHistory'));
+    if (!user) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired', code: 'INVALID_RESET_TOKEN' });
+    }
+
+    // Validate before consuming so a rejected password does not burn the link.
+    const policy = await getPasswordPolicy(user.orgId);
+    const passwordErrors = await validatePassword(password, policy, { user });
+    if (passwordErrors.length) {
+      return passwordPolicyError(res, passwordErrors);
+    }
+
+    const resetToken = await AuthToken.consume(token, 'password_reset');
+    if (!resetToken) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired', code: 'INVALID_RESET_TOKEN' });
+    }
+
+    const passwordHash = await bcrypt.hash(password, 10);
+    const update = buildPasswordUpdate(user, passwordHash, policy);
+
+    // Completing a reset proves control of the mailbox, so it also verifies the address.
+    if (user.emailVerified === false) {
+      update.$set.emailVerified = true;
+      update.$set.emailVerifiedAt = new Date();
+    }
+
+    await User.findByIdAndUpdate(user._id, update);
+    await user.resetLoginAttempts();
+    await Session.invalidateAllForUser(user._id);
+    await AuthToken.deleteMany({ userId: user._id, purpose: 'password_reset', usedAt: null });
+
+    return res.json({ success: true, message: 'Password has been reset. Please log in again.' });
+  } catch (err) {
+    console.error('Reset password error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body || {};
+
+    if (!token) {
+      return res.status(400).json({ message: 'Token is required' });
+    }
+
+    const verification = await AuthToken.consume(token, 'email_verification');
+    if (!verification) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired', code: 'INVALID_VERIFICATION_TOKEN' });
+    }
+
+    await User.findByIdAndUpdate(verification.userId, {
+      $set: { emailVerified: true, emailVerifiedAt: new Date() },
     });
 
-    return res.json({
-      token,
-      user: {
-        id: user._id,
-        email: user.email,
-        role: user.role,
-      },
+    return res.json({ success: true, message: 'Email verified' });
+  } catch (err) {
+    console.error('Verify email error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.post('/resend-verification', async (req, res) => {
+  try {
+    const { email } = req.body || {};
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    if (user && user.emailVerified === false) {
+      try {
+        await sendVerificationEmail(user, getClientIp(req));
+      } catch (mailErr) {
+        console.error('Resend verification email error', mailErr);
+      }
+    }
+
+    return res.json({ success: true, message: 'If the account needs verification, a new link has been sent' });
+  } catch (err) {
+    console.error('Resend verification error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+const serializeOwnSession = (session, currentSessionId) => ({
+  id: session._id,
+  ip: session.ip,
+  userAgent: session.userAgent,
+  deviceInfo: session.deviceInfo || {},
+  createdAt: session.createdAt,
+  lastActivity: session.lastActivity,
+  expiresAt: session.expiresAt,
+  current: String(session._id) === String(currentSessionId),
+});
+
+// The signed-in user's active sessions (devices), most recently used first
+router.get('/sessions', authMiddleware, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user._id,
+      isActive: true,
+      expiresAt: { $gt: new Date() },
+    })
+      .select('ip userAgent deviceInfo createdAt lastActivity expiresAt')
+      .sort({ lastActivity: -1 })
+      .lean();
+
+    return res.json({ sessions: sessions.map((s) => serializeOwnSession(s, req.session?._id)) });
+  } catch (err) {
+    console.error('List own sessions error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.post('/sessions/revoke-others', authMiddleware, async (req, res) => {
+  try {
+    const result = await Session.updateMany(
+      { userId: req.user._id, _id: { $ne: req.session._id }, isActive: true },
+      { $set: { isActive: false, expiresAt: new Date() } }
+    );
+
+    return res.json({ success: true, revoked: result.modifiedCount || 0 });
+  } catch (err) {
+    console.error('Revoke other sessions error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.post('/sessions/:sessionId/revoke', authMiddleware, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      return res.status(400).json({ message: 'Invalid sessionId' });
+    }
+
+    const session = await Session.findOne({ _id: sessionId, userId: req.user._id, isActive: true });
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await session.invalidate();
+
+    return res.json({ success: true, current: String(session._id) === String(req.session._id) });
+  } catch (err) {
+    console.error('Revoke own session error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// End the session behind the presented access token (its refresh token stops working too)
+router.post('/logout', authMiddleware, async (req, res) => {
+  try {
+    await req.session.invalidate();
+
+    return res.json({ success: true, logout: true });
+  } catch (err) {
+    console.error('Logout error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// OIDC single sign-on: redirect the browser to the identity provider
+router.get('/oidc/login', async (req, res) => {
+  try {
+    if (!isOidcEnabled()) {
+      return res.status(404).json({ message: 'Single sign-on is not configured' });
+    }
+
+    const state = crypto.randomBytes(24).toString('base64url');
+    const nonce = crypto.randomBytes(24).toString('base64url');
+    const { codeVerifier, codeChallenge } = createPkcePair();
+
+    await OidcLoginState.create({
+      state,
+      nonce,
+      codeVerifier,
+      requestedIp: getClientIp(req),
+      expiresAt: new Date(Date.now() + OIDC_STATE_TTL_MS),
     });
+
+    const authorizationUrl = await buildAuthorizationUrl({ state, nonce, codeChallenge });
+
+    if (req.query.format === 'json') {
+      return res.json({ authorizationUrl });
+    }
+    return res.redirect(302, authorizationUrl);
   } catch (err) {
-    console.error('Login error', err);
+    console.error('OIDC login error', err);
+    return res.status(err.statusCode || 500).json({ message: err.statusCode ? err.message : 'Internal server error' });
+  }
+});
+
+// OIDC_REDIRECT_URI points at the frontend, which posts the code and state it received here
+router.post('/oidc/callback', async (req, res) => {
+  try {
+    if (!isOidcEnabled()) {
+      return res.status(404).json({ message: 'Single sign-on is not configured' });
+    }
+
+    if (await rejectBlockedIp(req, res)) return;
+
+    const { code, state, error } = req.body || {};
+
+    if (error) {
+      return res.status(401).json({ message: `Identity provider returned an error: ${error}` });
+    }
+
+    if (!code || !state || typeof code !== 'string') {
+      return res.status(400).json({ message: 'code and state are required' });
+    }
+
+    const loginState = await OidcLoginState.consume(state);
+    if (!loginState) {
+      return res.status(400).json({ message: 'Invalid or expired login state' });
+    }
+
+    // Only the client that started the login may finish it, so a leaked or planted code and
+    // state cannot be completed from anywhere else.
+    if (normalizeIpAddress(loginState.requestedIp) !== getClientIp(req)) {
+      return res.status(400).json({ message: 'Login state was issued to a different client' });
+    }
+
+    const tokens = await exchangeAuthorizationCode(code, loginState.codeVerifier);
+    const claims = await verifyIdToken(tokens.id_token, loginState.nonce);
+    const user = await findOrProvisionOidcUser(claims);
+
+    if (user.isAccountLocked && user.isAccountLocked()) {
+      return sendAccountLocked(res, user);
+    }
+
+    return continueLogin(req, res, user);
+  } catch (err) {
+    console.error('OIDC callback error', err);
+    return res.status(err.statusCode || 500).json({ message: err.statusCode ? err.message : 'Internal server error' });
+  }
+});
+
+// Exchange a refresh token for a new access/refresh pair (single use, rotating)
+router.post('/refresh', async (req, res) => {
+  try {
+    if (await rejectBlockedIp(req, res)) return;
+
+    const { refreshToken } = req.body || {};
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({ message: 'refreshToken is required' });
+    }
+
+    const sessionId = parseRefreshTokenSessionId(refreshToken);
+    if (!sessionId) {
+      return res.status(401).json({ logout: true, message: 'Invalid refresh token' });
+    }
+
+    const session = await Session.findById(sessionId);
+    if (!session) {
+      return res.status(401).json({ logout: true, message: 'Session expired or invalid' });
+    }
+
+    const presentedHash = hashToken(refreshToken);
+
+    if (session.refreshTokenHash !== presentedHash) {
+      if ((session.usedRefreshTokenHashes || []).includes(presentedHash)) {
+        console.warn('Refresh token reuse detected, revoking session family', {
+          sessionId: session._id.toString(),
+          familyId: session.familyId,
+          userId: session.userId?.toString?.(),
+        });
+        await Session.revokeFamily(session.familyId);
+        await session.invalidate();
+        return res.status(401).json({
+          logout: true,
+          message: 'Refresh token reuse detected - please log in again',
+          code: 'REFRESH_TOKEN_REUSED',
+        });
+      }
+
+      return res.status(401).json({ logout: true, message: 'Invalid refresh token' });
+    }
+
+    if (!session.isActive || !session.expiresAt || session.expiresAt <= new Date()) {
+      return res.status(401).json({ logout: true, message: 'Session expired - please log in again' });
+    }
+
+    const user = await User.findById(session.userId).select('-passwordHash');
+    if (!user) {
+      await Session.deleteOne({ _id: session._id });
+      return res.status(401).json({ logout: true, message: 'User not found' });
+    }
+
+    if (user.orgId && (await rejectBlockedIp(req, res, user.orgId))) return;
+
+    // authMiddleware only lets admin routes skip the IP binding, and this is not one of them.
+    if (normalizeIpAddress(session.ip) !== getClientIp(req)) {
+      await session.invalidate();
+      return res.status(401).json({ logout: true, message: 'IP mismatch for this session' });
+    }
+
+    const expired = checkSessionLimits(session, await getSessionLimits(user));
+    if (expired) {
+      await session.invalidate();
+      return res.status(401).json({ logout: true, ...expired });
+    }
+
+    const rotated = await rotateSessionTokens(session, user, presentedHash);
+    if (!rotated) {
+      // Another request consumed this refresh token first; treat it as reuse.
+      await Session.revokeFamily(session.familyId);
+      return res.status(401).json({
+        logout: true,
+        message: 'Refresh token reuse detected - please log in again',
+        code: 'REFRESH_TOKEN_REUSED',
+      });
+    }
+
+    return res.json(buildTokenResponse(rotated));
+  } catch (err) {
+    console.error('Refresh token error', err);
     return res.status(500).json({ message: 'Internal server error' });
   }
 });
@@ -7,17 +7,34 @@ import DocumentJobs from '../models/DocumentJobs.js';
 import PrintSession from '../models/PrintSession.js';
 import PrintLog from '../models/PrintLog.js';
 import OfflineToken from '../models/OfflineToken.js';
-import { uploadToS3, s3 } from '../services/s3.js';
+import { s3 } from '../services/s3.js';
 import { GetObjectCommand, HeadObjectCommand } from '@aws-sdk/client-s3';
 import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
 import { Readable } from 'stream';
-import { authMiddleware } from '../middleware/auth.js';
+import { authMiddleware, requireScope } from '../middleware/auth.js';
 import { mergePdfQueue, outputPdfQueue } from '../../queues/outputPdfQueue.js';
 import { redisEnabled } from '../redisAvailability.js';
+import { getClientIp } from '../services/clientIp.js';
+import { lookupIp } from '../services/geoIp.js';
+import { buildVersionEntry } from '../services/documentVersions.js';
+import { discardObject, storeObject } from '../services/objectStore.js';
+import { validateDocumentUpload } from '../services/uploadValidation.js';
 
 const router = express.Router();
 const upload = multer();
 
+const ACCESS_REVOKED_MESSAGE = 'Access to this document has been revoked';
+
+// sha256 (hex) of the bytes served, so the print agent can verify what it received against
+// the checksum returned by secure-print / offline-token/prepare. Absent for files uploaded
+// before checksums were stored.
+const CHECKSUM_HEADER = 'X-Content-SHA256';
+
+// mimeType is reliable for uploads since they are typed by content; older records may only
+// carry the type in their title.
+const isSvgDocument = (doc) =>
+  String(doc?.mimeType || '').includes('svg') || String(doc?.title || '').toLowerCase().endsWith('.svg');
+
 const lastJobHealAt = new Map();
 
 async function selfHealJobIfStalled(job) {
@@ -211,7 +228,7 @@ router.get('/print-agent', async (req, res) => {
 const generateSessionToken = () => crypto.randomBytes(32).toString('hex');
 
 // Upload document (PDF/SVG) for the logged-in user and create access record
-router.post('/upload', authMiddleware, upload.single('file'), async (req, res) => {
+router.post('/upload', authMiddleware, requireScope('docs:upload'), upload.single('file'), async (req, res) => {
   try {
     const { title, totalPrints } = req.body;
     const file = req.file;
@@ -230,15 +247,28 @@ router.post('/upload', authMiddleware, upload.single('file'), async (req, res) =
     }
     const parsedTotal = parsedTotalRaw;
 
-    const { key, url } = await uploadToS3(file.buffer, file.mimetype, 'securepdf/');
+    const validated = await validateDocumentUpload(file, { title });
+    const stored = await storeObject(validated.buffer, { mimeType: validated.mimetype, orgId: req.user.orgId });
 
-    const doc = await Document.create({
-      title,
-      fileKey: key,
-      fileUrl: url,
-      totalPrints: parsedTotal,
-      createdBy: req.user._id,
-    });
+    let doc;
+    try {
+      doc = await Document.create({
+        title,
+        fileKey: stored.key,
+        fileUrl: stored.url,
+        mimeType: validated.mimetype,
+        pageCount: validated.pageCount,
+        checksum: stored.checksum,
+        totalPrints: parsedTotal,
+        createdBy: req.user._id,
+        orgId: req.user.orgId,
+        currentVersion: 1,
+        versions: [buildVersionEntry({ version: 1, stored, file: validated, title, uploadedBy: req.user._id })],
+      });
+    } catch (err) {
+      await discardObject(stored.key);
+      throw err;
+    }
 
     const sessionToken = generateSessionToken();
 
@@ -248,28 +278,30 @@ router.post('/upload', authMiddleware, upload.single('file'), async (req, res) =
       assignedQuota: parsedTotal,
       usedPrints: 0,
       sessionToken,
+      orgId: req.user.orgId,
     });
 
-    const loweredName = title.toLowerCase();
-    const isSvg = file.mimetype === 'image/svg+xml' || loweredName.endsWith('.svg');
-    const documentType = isSvg ? 'svg' : 'pdf';
-
     return res.status(201).json({
       sessionToken,
       documentTitle: doc.title,
       documentId: doc._id,
       remainingPrints: access.assignedQuota - access.usedPrints,
       maxPrints: access.assignedQuota,
-      documentType,
+      documentType: validated.type,
+      pageCount: validated.pageCount,
+      checksum: doc.checksum,
     });
   } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
     console.error('Docs upload error', err);
     return res.status(500).json({ message: 'Internal server error' });
   }
 });
 
 // Secure render: stream PDF/SVG bytes based on session token
-router.post('/secure-render', authMiddleware, async (req, res) => {
+router.post('/secure-render', authMiddleware, requireScope('print:fetch'), async (req, res) => {
   try {
     const { sessionToken } = req.body;
 
@@ -286,13 +318,17 @@ router.post('/secure-render', authMiddleware, async (req, res) => {
       return res.status(403).json({ message: 'Not authorized for this document' });
     }
 
+    if (access.status === 'revoked') {
+      return res.status(403).json({ message: ACCESS_REVOKED_MESSAGE });
+    }
+
     const remaining = Number(access.assignedQuota || 0) - Number(access.usedPrints || 0);
     if (access.status === 'exhausted' || remaining <= 0) {
       return res.status(403).json({ message: 'Print limit reached' });
     }
 
     const doc = access.documentId;
-    if (!doc) {
+    if (!doc || doc.status === 'deleted') {
       return res.status(404).json({ message: 'Document not found' });
     }
 
@@ -301,9 +337,10 @@ router.post('/secure-render', authMiddleware, async (req, res) => {
       return res.status(500).json({ message: 'S3 not configured' });
     }
 
+    const file = { ...doc.fileForVersion(access.pinnedVersion), title: doc.title };
     const command = new GetObjectCommand({
       Bucket: bucket,
-      Key: doc.fileKey,
+      Key: file.fileKey,
     });
 
     const s3Response = await s3.send(command);
@@ -314,10 +351,8 @@ router.post('/secure-render', authMiddleware, async (req, res) => {
     }
     const buffer = Buffer.concat(chunks);
 
-    const loweredTitle = (doc.title || '').toLowerCase();
-    const isSvg = loweredTitle.endsWith('.svg');
-
-    res.setHeader('Content-Type', isSvg ? 'image/svg+xml' : 'application/pdf');
+    res.setHeader('Content-Type', isSvgDocument(file) ? 'image/svg+xml' : 'application/pdf');
+    if (file.checksum) res.setHeader(CHECKSUM_HEADER, file.checksum);
     return res.send(buffer);
   } catch (err) {
     console.error('Secure render error', err);
@@ -326,7 +361,7 @@ router.post('/secure-render', authMiddleware, async (req, res) => {
 });
 
 // Secure print: validate quota and mint a single-use print token
-router.post('/secure-print', authMiddleware, async (req, res) => {
+router.post('/secure-print', authMiddleware, requireScope('print:fetch'), async (req, res) => {
   try {
     const { sessionToken, printerName, printerType, portName, clientOS } = req.body;
 
@@ -343,6 +378,10 @@ router.post('/secure-print', authMiddleware, async (req, res) => {
       return res.status(403).json({ message: 'Not authorized for this document' });
     }
 
+    if (access.status === 'revoked') {
+      return res.status(403).json({ message: ACCESS_REVOKED_MESSAGE });
+    }
+
     const remaining = access.assignedQuota - access.usedPrints;
     if (remaining <= 0) {
       return res.status(403).json({ message: 'Print limit exceeded' });
@@ -366,7 +405,7 @@ router.post('/secure-print', authMiddleware, async (req, res) => {
     }
 
     const doc = access.documentId;
-    if (!doc) {
+    if (!doc || doc.status === 'deleted') {
       return res.status(404).json({ message: 'Document not found' });
     }
 
@@ -392,6 +431,7 @@ router.post('/secure-print', authMiddleware, async (req, res) => {
       expiresAt: expiresAt.toISOString(),
       remainingPrints: access.assignedQuota - access.usedPrints,
       maxPrints: access.assignedQuota,
+      checksum: doc.fileForVersion(access.pinnedVersion).checksum || null,
     });
   } catch (err) {
     console.error('Secure print error', err);
@@ -400,7 +440,7 @@ router.post('/secure-print', authMiddleware, async (req, res) => {
 });
 
 // Print file stream: single-use token -> stream from S3 (no presigned URL leakage)
-router.get('/print-file/:token', authMiddleware, async (req, res) => {
+router.get('/print-file/:token', authMiddleware, requireScope('print:fetch'), async (req, res) => {
   try {
     const { token } = req.params;
     const now = new Date();
@@ -409,6 +449,7 @@ router.get('/print-file/:token', authMiddleware, async (req, res) => {
     let session = await PrintSession.findOne({ token, userId: req.user._id, expiresAt: { $gt: now } });
 
     let doc;
+    let pinnedVersion = null;
     if (session) {
       if (session.fetchedAt) {
         return res.status(404).json({ message: 'Print token not found or already used' });
@@ -419,6 +460,10 @@ router.get('/print-file/:token', authMiddleware, async (req, res) => {
         return res.status(404).json({ message: 'Access not found' });
       }
 
+      if (access.status === 'revoked') {
+        return res.status(403).json({ message: ACCESS_REVOKED_MESSAGE });
+      }
+
       const remaining = Number(access.assignedQuota || 0) - Number(access.usedPrints || 0);
       if (access.status === 'exhausted' || remaining <= 0) {
         return res.status(403).json({ message: 'Print limit reached' });
@@ -434,6 +479,7 @@ router.get('/print-file/:token', authMiddleware, async (req, res) => {
       }
 
       doc = await Document.findById(session.documentId);
+      pinnedVersion = access.pinnedVersion;
     } else {
       // Try OfflineToken (offline caching flow)
       const offlineToken = await OfflineToken.findOne({ tokenId: token, userId: req.user._id, usedAt: null, expiresAt: { $gt: now } });
@@ -441,9 +487,14 @@ router.get('/print-file/:token', authMiddleware, async (req, res) => {
         return res.status(404).json({ message: 'Print token not found or already used' });
       }
       doc = await Document.findById(offlineToken.documentId);
+      const access = await DocumentAccess.findById(offlineToken.documentAccessId).select('pinnedVersion status').catch(() => null);
+      if (access?.status === 'revoked') {
+        return res.status(403).json({ message: ACCESS_REVOKED_MESSAGE });
+      }
+      pinnedVersion = access?.pinnedVersion ?? null;
     }
 
-    if (!doc) {
+    if (!doc || doc.status === 'deleted') {
       return res.status(404).json({ message: 'Document not found' });
     }
 
@@ -452,9 +503,10 @@ router.get('/print-file/:token', authMiddleware, async (req, res) => {
       return res.status(500).json({ message: 'S3 not configured' });
     }
 
+    const file = doc.fileForVersion(pinnedVersion);
     const command = new GetObjectCommand({
       Bucket: bucket,
-      Key: doc.fileKey,
+      Key: file.fileKey,
     });
 
     const s3Response = await s3.send(command);
@@ -464,7 +516,8 @@ router.get('/print-file/:token', authMiddleware, async (req, res) => {
     }
 
     res.setHeader('Cache-Control', 'no-store');
-    res.setHeader('Content-Type', doc.mimeType || 'application/pdf');
+    res.setHeader('Content-Type', file.mimeType || 'application/pdf');
+    if (file.checksum) res.setHeader(CHECKSUM_HEADER, file.checksum);
 
     // Stream directly to client (handle both Node streams and async iterables)
     const stream = typeof body.pipe === 'function' ? body : Readable.from(body);
@@ -476,7 +529,7 @@ router.get('/print-file/:token', authMiddleware, async (req, res) => {
 });
 
 // Print confirm: mark token used and write audit log
-router.post('/print-confirm', authMiddleware, async (req, res) => {
+router.post('/print-confirm', authMiddleware, requireScope('print:confirm'), async (req, res) => {
   try {
     const { printToken, printerName, printerType, portName, clientOS } = req.body || {};
     if (!printToken || typeof printToken !== 'string') {
@@ -507,7 +560,7 @@ router.post('/print-confirm', authMiddleware, async (req, res) => {
     let access = await DocumentAccess.findOneAndUpdate(
       {
         _id: session.documentAccessId,
-        status: { $ne: 'exhausted' },
+        status: { $nin: ['exhausted', 'revoked'] },
         $expr: { $lt: ['$usedPrints', '$assignedQuota'] },
       },
       { $inc: { usedPrints: 1 } },
@@ -532,8 +585,11 @@ router.post('/print-confirm', authMiddleware, async (req, res) => {
 
     await PrintLog.create({
       userId: req.user._id,
+      orgId: req.user.orgId,
       documentId: session.documentId,
       count: 1,
+      ip: getClientIp(req),
+      geo: await lookupIp(getClientIp(req)),
       meta: {
         printerName: session.printerName,
         printerType: session.printerType,
@@ -558,7 +614,7 @@ router.post('/print-confirm', authMiddleware, async (req, res) => {
 });
 
 // Offline token preparation: mint a single-use, machine-bound, time-bound offline token
-router.post('/offline-token/prepare', authMiddleware, async (req, res) => {
+router.post('/offline-token/prepare', authMiddleware, requireScope('offline:prepare'), async (req, res) => {
   try {
     const { sessionToken, printerName, printerType, portName, clientOS, machineGuidHash, expiresInSeconds = 86400 } = req.body;
 
@@ -575,12 +631,16 @@ router.post('/offline-token/prepare', authMiddleware, async (req, res) => {
       return res.status(403).json({ message: 'Not authorized for this document' });
     }
 
+    if (access.status === 'revoked') {
+      return res.status(403).json({ message: ACCESS_REVOKED_MESSAGE });
+    }
+
     if (access.usedPrints >= access.assignedQuota) {
       return res.status(403).json({ message: 'Print quota exceeded' });
     }
 
     const doc = access.documentId;
-    if (!doc) {
+    if (!doc || doc.status === 'deleted') {
       return res.status(404).json({ message: 'Document not found' });
     }
 
@@ -610,6 +670,7 @@ router.post('/offline-token/prepare', authMiddleware, async (req, res) => {
       cacheUrl: `/api/docs/print-file/${tokenId}`, // Reuse streaming endpoint for caching
       remainingPrints: access.assignedQuota - (access.usedPrints + 1),
       maxPrints: access.assignedQuota,
+      checksum: doc.fileForVersion(access.pinnedVersion).checksum || null,
     });
   } catch (err) {
     console.error('Offline token prepare error', err);
@@ -618,7 +679,7 @@ router.post('/offline-token/prepare', authMiddleware, async (req, res) => {
 });
 
 // Reconciliation: upload offline print history when back online
-router.post('/offline-token/reconcile', authMiddleware, async (req, res) => {
+router.post('/offline-token/reconcile', authMiddleware, requireScope('offline:reconcile'), async (req, res) => {
   try {
     const { entries } = req.body || {};
     if (!Array.isArray(entries) || entries.length === 0) {
@@ -663,8 +724,11 @@ router.post('/offline-token/reconcile', authMiddleware, async (req, res) => {
       // Create audit log
       await PrintLog.create({
         userId: req.user._id,
+        orgId: req.user.orgId,
         documentId: token.documentId,
         count: 1,
+        ip: getClientIp(req),
+        geo: await lookupIp(getClientIp(req)),
         meta: {
           printedAt: new Date(printedAt),
           printerName,
@@ -687,9 +751,9 @@ router.post('/offline-token/reconcile', authMiddleware, async (req, res) => {
 });
 
 // List documents assigned to the logged-in user, including background jobs
-router.get('/assigned/summary', authMiddleware, async (req, res) => {
+router.get('/assigned/summary', authMiddleware, requireScope('docs:read'), async (req, res) => {
   try {
-    const accesses = await DocumentAccess.find({ userId: req.user._id })
+    const accesses = await DocumentAccess.find({ userId: req.user._id, orgId: req.user.orgId, status: { $ne: 'revoked' } })
       .select('assignedQuota usedPrints')
       .lean();
 
@@ -708,21 +772,19 @@ router.get('/assigned/summary', authMiddleware, async (req, res) => {
   }
 });
 
-router.get('/assigned', authMiddleware, async (req, res) => {
+router.get('/assigned', authMiddleware, requireScope('docs:read'), async (req, res) => {
   try {
     console.log('[docs/assigned] start', {
       userId: req.user?._id?.toString?.(),
     });
 
-    const accesses = await DocumentAccess.find({ userId: req.user._id })
+    const accesses = await DocumentAccess.find({ userId: req.user._id, orgId: req.user.orgId, status: { $ne: 'revoked' } })
       .populate('documentId')
       .sort({ createdAt: -1 });
 
     const accessResults = accesses.map((access) => {
       const doc = access.documentId;
       const title = doc?.title || 'Untitled Document';
-      const loweredTitle = title.toLowerCase();
-      const isSvg = loweredTitle.endsWith('.svg');
       const assignedPrints = Number(access.assignedQuota) || 0;
       const usedPrints = Number(access.usedPrints) || 0;
       const remainingPrints = Math.max(assignedPrints - usedPrints, 0);
@@ -736,12 +798,13 @@ router.get('/assigned', authMiddleware, async (req, res) => {
         remainingPrints,
         assignedPrints,
         sessionToken: access.sessionToken,
-        documentType: isSvg ? 'svg' : 'pdf',
+        documentType: isSvgDocument(doc) ? 'svg' : 'pdf',
+        checksum: doc ? doc.fileForVersion(access.pinnedVersion).checksum || null : null,
         status: access.status === 'exhausted' ? 'exhausted' : 'completed',
       };
     });
 
-    const jobs = await DocumentJobs.find({ userId: req.user._id })
+    const jobs = await DocumentJobs.find({ userId: req.user._id, orgId: req.user.orgId })
       .sort({ createdAt: -1 })
       .exec();
 
@@ -758,7 +821,7 @@ router.get('/assigned', authMiddleware, async (req, res) => {
 
         const result = {
           id: job._id,
-          documentTitle: 'Generated Output',
+          documentTitle: job.title || 'Generated Output',
           assignedQuota: job.assignedQuota,
           usedPrints: 0,
           documentType: 'pdf',
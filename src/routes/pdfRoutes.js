@@ -1,7 +1,8 @@
 import express from 'express';
 import { generateOutputPdfBuffer } from '../pdf/generateOutputPdf.js';
-import { uploadToS3 } from '../services/s3.js';
+import { discardObject, storeObject } from '../services/objectStore.js';
 import Document from '../models/Document.js';
+import { describeJobOutput } from '../services/documentCatalog.js';
 import { authMiddleware } from '../middleware/auth.js';
 import { s3 } from '../services/s3.js';
 import { GetObjectCommand, HeadObjectCommand } from '@aws-sdk/client-s3';
@@ -102,7 +103,7 @@ router.get('/print-agent/download', async (req, res) => {
 // POST /api/generate-output-pdf
 router.post('/generate-output-pdf', authMiddleware, async (req, res) => {
   try {
-    const { pages } = req.body || {};
+    const { pages, title } = req.body || {};
 
     if (!Array.isArray(pages) || pages.length === 0) {
       return res.status(400).json({ message: 'pages array is required' });
@@ -139,24 +140,37 @@ router.post('/generate-output-pdf', authMiddleware, async (req, res) => {
       }
     }
 
-    // 2) Upload to S3
-    const { key, url } = await uploadToS3(pdfBuffer, 'application/pdf', 'generated/output/');
+    // 2) Title it after the source documents its pages use
+    const output = await describeJobOutput({ layoutPages: pages, email: req.user.email, orgId: req.user.orgId });
 
-    // 3) Create Document record
-    const doc = await Document.create({
-      title: 'Generated Output',
-      fileKey: key,
-      fileUrl: url,
-      totalPrints: 0,
-      createdBy: req.user._id,
-      mimeType: 'application/pdf',
-      documentType: 'generated-output',
-    });
+    // 3) Upload to S3 (or reuse an identical output already stored in the organization)
+    const { key, url, checksum } = await storeObject(pdfBuffer, { mimeType: 'application/pdf', orgId: req.user.orgId });
+
+    // 4) Create Document record
+    let doc;
+    try {
+      doc = await Document.create({
+        title: (typeof title === 'string' && title.trim().slice(0, 200)) || output.title,
+        fileKey: key,
+        fileUrl: url,
+        totalPrints: 0,
+        createdBy: req.user._id,
+        mimeType: 'application/pdf',
+        checksum,
+        documentType: 'generated-output',
+        sourceDocumentIds: output.sourceDocumentIds,
+        orgId: req.user.orgId,
+      });
+    } catch (err) {
+      await discardObject(key);
+      throw err;
+    }
 
     return res.status(201).json({
       success: true,
       fileKey: key,
       fileUrl: url,
+      checksum,
       documentId: doc._id,
     });
   } catch (err) {
@@ -1,10 +1,19 @@
 import express from 'express';
-import { authMiddleware, requireAdmin } from '../middleware/auth.js';
+import { authMiddleware, requirePermission } from '../middleware/auth.js';
 import BlockedIp from '../models/BlockedIp.js';
 import User from '../models/User.js';
+import { orgFilter, targetOrgId } from '../services/orgScope.js';
+import { isValidIpOrCidr, parseIpOrCidr } from '../services/ipAddress.js';
+import { recordAudit, snapshot } from '../services/audit.js';
+import { getClientIp } from '../services/clientIp.js';
+import { getSecurityPolicy } from '../services/securityPolicy.js';
+import { evaluateIpWhitelist, isEntryActive } from '../services/ipWhitelist.js';
 
 const router = express.Router();
 
+// Shortest prefix a user may whitelist for themself; wider ranges need an admin to add them.
+const MIN_SELF_SERVICE_PREFIX = { 4: 16, 6: 48 };
+
 router.use(authMiddleware);
 
 router.get('/settings', async (req, res) => {
@@ -37,18 +46,27 @@ router.get('/settings', async (req, res) => {
 
 router.post('/ip-whitelist', async (req, res) => {
   try {
-    const { ip, action = 'add' } = req.body || {};
+    let { ip } = req.body || {};
+    const { action = 'add', label = '' } = req.body || {};
 
     if (!ip) {
       return res.status(400).json({ success: false, message: 'IP address is required' });
     }
 
-    const ipRegex = /^(\d{1,3}\.){3}\d{1,3}(?:\/\d{1,2})?$/;
-    if (!ipRegex.test(ip)) {
+    const range = parseIpOrCidr(String(ip));
+    if (!range) {
       return res.status(400).json({ success: false, message: 'Invalid IP address format' });
     }
+    ip = range.canonical;
 
     if (action === 'add') {
+      if (range.prefixLength < MIN_SELF_SERVICE_PREFIX[range.version]) {
+        return res.status(400).json({
+          success: false,
+          message: `Ranges wider than /${MIN_SELF_SERVICE_PREFIX[range.version]} must be added by an administrator`,
+        });
+      }
+
       const existing = await User.findOne({
         _id: req.user._id,
         'allowedIPs.ip': ip,
@@ -64,21 +82,42 @@ router.post('/ip-whitelist', async (req, res) => {
         $addToSet: {
           allowedIPs: {
             ip,
+            label: String(label).trim().slice(0, 100),
             isActive: true,
             lastUsed: new Date(),
           },
         },
       });
     } else if (action === 'remove') {
-      await User.findByIdAndUpdate(req.user._id, {
-        $pull: { allowedIPs: { ip } },
-      });
+      const result = await User.updateOne(
+        { _id: req.user._id },
+        { $pull: { allowedIPs: { ip, addedBy: null } } }
+      );
+
+      if (!result.modifiedCount) {
+        const adminEntry = await User.exists({
+          _id: req.user._id,
+          allowedIPs: { $elemMatch: { ip, addedBy: { $ne: null } } },
+        });
+        if (adminEntry) {
+          return res
+            .status(403)
+            .json({ success: false, message: 'This IP was added by an administrator and cannot be removed' });
+        }
+      }
     } else {
       return res
         .status(400)
         .json({ success: false, message: 'Invalid action. Use "add" or "remove"' });
     }
 
+    await recordAudit(req, {
+      action: action === 'add' ? 'ip_whitelist.add' : 'ip_whitelist.remove',
+      targetType: 'user',
+      targetId: req.user._id,
+      metadata: { ip },
+    });
+
     return res.json({
       success: true,
       message: `IP ${action === 'add' ? 'added to' : 'removed from'} whitelist`,
@@ -101,16 +140,42 @@ router.post('/toggle-ip-whitelist', async (req, res) => {
 
     if (enabled) {
       const user = await User.findById(req.user._id);
-      if (!user || !user.allowedIPs || user.allowedIPs.length === 0) {
+      if (!user || !(user.allowedIPs || []).some((entry) => isEntryActive(entry))) {
         return res.status(400).json({
           success: false,
           message: 'Please add at least one IP to your whitelist before enabling',
         });
       }
+
+      const policy = await getSecurityPolicy(user.orgId);
+      user.set('security.requireIPWhitelist', true);
+      if (!evaluateIpWhitelist(user, getClientIp(req), policy.ipWhitelist).allowed) {
+        return res.status(400).json({
+          success: false,
+          message: 'Your current IP address is not in your whitelist',
+        });
+      }
     }
 
-    await User.findByIdAndUpdate(req.user._id, {
-      'security.requireIPWhitelist': enabled,
+    // Whitelisting an admin turned on stays on until an admin turns it off.
+    const previous = await User.findOneAndUpdate(
+      { _id: req.user._id, ...(!enabled && { 'security.requireIPWhitelistSetBy': null }) },
+      { 'security.requireIPWhitelist': enabled }
+    ).select('security.requireIPWhitelist');
+
+    if (!previous) {
+      return res.status(403).json({
+        success: false,
+        message: 'IP whitelisting was enabled by an administrator and cannot be turned off',
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'ip_whitelist.toggle',
+      targetType: 'user',
+      targetId: req.user._id,
+      before: { requireIPWhitelist: !!previous?.security?.requireIPWhitelist },
+      after: { requireIPWhitelist: enabled },
     });
 
     return res.json({
@@ -161,7 +226,7 @@ router.get('/login-history', async (req, res) => {
   }
 });
 
-router.post('/block-ip', requireAdmin, async (req, res) => {
+router.post('/block-ip', requirePermission('ips:manage'), async (req, res) => {
   try {
     const { ip, reason, expiresInHours = 24 } = req.body || {};
 
@@ -169,21 +234,26 @@ router.post('/block-ip', requireAdmin, async (req, res) => {
       return res.status(400).json({ success: false, message: 'IP and reason are required' });
     }
 
-    const ipRegex = /^(\d{1,3}\.){3}\d{1,3}(?:\/\d{1,2})?$/;
-    if (!ipRegex.test(ip)) {
+    if (!isValidIpOrCidr(String(ip))) {
       return res.status(400).json({ success: false, message: 'Invalid IP address format' });
     }
 
-    const blocked = await BlockedIp.findOneAndUpdate(
-      { ip },
-      {
-        reason,
-        blockedBy: req.user._id,
-        expiresAt: new Date(Date.now() + expiresInHours * 60 * 60 * 1000),
-        isActive: true,
-      },
-      { upsert: true, new: true }
-    ).populate('blockedBy', 'email');
+    const blocked = await BlockedIp.block({
+      ip: String(ip),
+      orgId: targetOrgId(req),
+      reason,
+      blockedBy: req.user._id,
+      expiresAt: new Date(Date.now() + expiresInHours * 60 * 60 * 1000),
+    });
+    await blocked.populate('blockedBy', 'email');
+
+    await recordAudit(req, {
+      action: 'ip.block',
+      targetType: 'ip',
+      targetId: blocked.ip,
+      orgId: blocked.orgId,
+      after: snapshot(blocked, 'ip reason source isActive expiresAt'),
+    });
 
     return res.json({ success: true, data: blocked });
   } catch (err) {
@@ -192,19 +262,23 @@ router.post('/block-ip', requireAdmin, async (req, res) => {
   }
 });
 
-router.get('/blocked-ips', requireAdmin, async (req, res) => {
+router.get('/blocked-ips', requirePermission('ips:read'), async (req, res) => {
   try {
     const limit = parseInt(req.query.limit, 10) || 20;
     const page = parseInt(req.query.page, 10) || 1;
     const active = req.query.active;
     const skip = (page - 1) * limit;
 
-    const query = {};
+    const query = { ...orgFilter(req) };
+
+    if (req.query.source) {
+      query.source = String(req.query.source);
+    }
 
     if (active === 'true') {
       query.isActive = true;
       query.$or = [
-        { expiresAt: { $exists: false } },
+        { expiresAt: null },
         { expiresAt: { $gt: new Date() } },
       ];
     } else if (active === 'false') {
@@ -240,7 +314,7 @@ router.get('/blocked-ips', requireAdmin, async (req, res) => {
   }
 });
 
-router.post('/unblock-ip/:ip', requireAdmin, async (req, res) => {
+router.post('/unblock-ip/:ip', requirePermission('ips:manage'), async (req, res) => {
   try {
     const { ip } = req.params;
 
@@ -249,7 +323,7 @@ router.post('/unblock-ip/:ip', requireAdmin, async (req, res) => {
     }
 
     const updated = await BlockedIp.findOneAndUpdate(
-      { ip, isActive: true },
+      { ip: BlockedIp.canonicalIp(ip) || ip, orgId: targetOrgId(req), isActive: true },
       {
         isActive: false,
         expiresAt: new Date(),
@@ -263,6 +337,16 @@ router.post('/unblock-ip/:ip', requireAdmin, async (req, res) => {
         .json({ success: false, message: 'No active block found for this IP' });
     }
 
+    await recordAudit(req, {
+      action: 'ip.unblock',
+      targetType: 'ip',
+      targetId: updated.ip,
+      orgId: updated.orgId,
+      before: { isActive: true },
+      after: { isActive: false },
+      metadata: { reason: updated.reason, source: updated.source },
+    });
+
     return res.json({ success: true, data: updated });
   } catch (err) {
     console.error('Unblock IP error', err);
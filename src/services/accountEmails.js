@@ -0,0 +1,121 @@
+import AuthToken from '../models/AuthToken.js';
+import { sendMail } from './mail.js';
+
+const getAppBaseUrl = () => (process.env.APP_BASE_URL || 'http://localhost:5173').replace(/\/+$/, '');
+
+const positiveNumberFromEnv = (name, fallback) => {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+};
+
+export const getPasswordResetTtlMs = () => positiveNumberFromEnv('PASSWORD_RESET_TTL_MINUTES', 30) * 60 * 1000;
+export const getEmailVerificationTtlMs = () =>
+  positiveNumberFromEnv('EMAIL_VERIFICATION_TTL_HOURS', 48) * 60 * 60 * 1000;
+
+export const isEmailVerificationRequired = () => {
+  const raw = typeof process.env.REQUIRE_EMAIL_VERIFICATION === 'string'
+    ? process.env.REQUIRE_EMAIL_VERIFICATION.trim().toLowerCase()
+    : '';
+  return raw === 'true' || raw === '1' || raw === 'yes';
+};
+
+export async function sendPasswordResetEmail(user, requestedIp) {
+  const token = await AuthToken.issue(user._id, 'password_reset', getPasswordResetTtlMs(), requestedIp);
+  const link = `${getAppBaseUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+  const minutes = Math.round(getPasswordResetTtlMs() / 60000);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      'A password reset was requested for your account.',
+      '',
+      `Reset your password: ${link}`,
+      '',
+      `This link expires in ${minutes} minutes and can be used once.`,
+      'If you did not request this, you can ignore this email.',
+    ].join('\n'),
+  });
+}
+
+export async function sendVerificationEmail(user, requestedIp) {
+  const token = await AuthToken.issue(user._id, 'email_verification', getEmailVerificationTtlMs(), requestedIp);
+  const link = `${getAppBaseUrl()}/verify-email?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: [
+      'Please confirm your email address to finish setting up your account.',
+      '',
+      `Verify your email: ${link}`,
+    ].join('\n'),
+  });
+}
+
+const LOGIN_STEP_UP_TTL_MS = 15 * 60 * 1000;
+
+const FINDING_LABELS = {
+  new_device: 'a device we have not seen on your account before',
+  impossible_travel: 'a location too far from your previous sign-in to have travelled in between',
+};
+
+const describeLogin = (findings, ip, geo) => {
+  const where = geo && geo.countryName ? `${ip} (${geo.countryName})` : ip;
+  return [
+    `Sign-in from ${where}, flagged because of:`,
+    ...findings.map((finding) => `  - ${FINDING_LABELS[finding.type] || finding.type}`),
+  ];
+};
+
+export async function sendLoginStepUpEmail(user, findings, { ip, geo }) {
+  const token = await AuthToken.issue(user._id, 'login_step_up', LOGIN_STEP_UP_TTL_MS, ip);
+  const link = `${getAppBaseUrl()}/login/verify?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Confirm your sign-in',
+    text: [
+      ...describeLogin(findings, ip, geo),
+      '',
+      `If this was you, confirm the sign-in: ${link}`,
+      '',
+      `This link expires in ${LOGIN_STEP_UP_TTL_MS / 60000} minutes and can be used once.`,
+      'If this was not you, change your password immediately.',
+    ].join('\n'),
+  });
+}
+
+export async function sendLoginAlertEmail(user, findings, { ip, geo, revokedSessionCount = 0 }) {
+  await sendMail({
+    to: user.email,
+    subject: 'New sign-in to your account',
+    text: [
+      ...describeLogin(findings, ip, geo),
+      ...(revokedSessionCount ? ['', `Your ${revokedSessionCount} other session(s) were signed out.`] : []),
+      '',
+      'If this was not you, change your password immediately and contact your administrator.',
+    ].join('\n'),
+  });
+}
+
+// To the user managers of the account's organization when it is locked after failed logins.
+export async function sendAccountLockedAdminEmail(recipients, user, { permanent, lockUntil, failedAttempts, lockCount }, { ip }) {
+  if (!recipients.length) return;
+
+  await sendMail({
+    to: recipients.join(', '),
+    subject: `Account locked: ${user.email}`,
+    text: [
+      `The account ${user.email} was locked after ${failedAttempts} failed sign-in attempts.`,
+      '',
+      `Last attempt from: ${ip || 'unknown'}`,
+      `Locks in the current period: ${lockCount}`,
+      permanent
+        ? 'The account stays locked until an administrator unlocks it.'
+        : `The lock ends at ${lockUntil.toISOString()}.`,
+      '',
+      `Accounts can be unlocked from the admin panel (${getAppBaseUrl()}).`,
+    ].join('\n'),
+  });
+}
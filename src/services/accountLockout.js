@@ -0,0 +1,96 @@
+import User from '../models/User.js';
+import { getSecurityPolicy } from './securityPolicy.js';
+import { rolesWithPermission } from './permissions.js';
+import { sendAccountLockedAdminEmail } from './accountEmails.js';
+
+// Account lockout after failed logins, driven by the (organization) security policy's
+// lockout section. The counting and locking itself is User.incrementLoginAttempts.
+export async function getLockoutSettings(orgId) {
+  const policy = await getSecurityPolicy(orgId);
+  return policy.lockout;
+}
+
+async function notifyAccountLocked(user, lock, ip) {
+  const roles = await rolesWithPermission('users:manage');
+  const recipients = await User.find({ orgId: user.orgId || null, role: { $in: roles }, _id: { $ne: user._id } })
+    .select('email')
+    .lean();
+  await sendAccountLockedAdminEmail(recipients.map((r) => r.email), user, lock, { ip });
+}
+
+// Counts a failed login for the account; returns the lock if this attempt locked it.
+export async function registerFailedLogin(user, { ip } = {}) {
+  const settings = await getLockoutSettings(user.orgId);
+  const lock = await user.incrementLoginAttempts(settings);
+
+  if (lock && settings.notifyAdmins) {
+    notifyAccountLocked(user, lock, ip).catch((err) => {
+      console.error('Account lock notification error', err);
+    });
+  }
+
+  return lock;
+}
+
+// Admin lock; minutes null locks until unlocked.
+export function lockAccount(userId, { minutes = null, lockedBy = null } = {}) {
+  return User.findByIdAndUpdate(
+    userId,
+    {
+      $set: {
+        'security.isLocked': true,
+        'security.lockUntil': minutes ? new Date(Date.now() + minutes * 60 * 1000) : null,
+        'security.lockReason': 'admin',
+        'security.lockedBy': lockedBy,
+      },
+    },
+    { new: true }
+  ).select('email role orgId security');
+}
+
+// Admin unlock also forgets earlier locks, so the next one starts short again.
+export function unlockAccount(userId) {
+  return User.findByIdAndUpdate(
+    userId,
+    {
+      $set: {
+        'security.isLocked': false,
+        'security.lockUntil': null,
+        'security.lockReason': null,
+        'security.lockedBy': null,
+        'security.failedLoginAttempts': 0,
+        'security.lockCount': 0,
+      },
+    },
+    { new: true }
+  ).select('email role orgId security');
+}
+
+export const lockStatus = (user) => ({
+  isLocked: !!(user.isAccountLocked && user.isAccountLocked()),
+  lockUntil: user.security?.isLocked ? user.security.lockUntil || null : null,
+  permanent: !!(user.isLockedPermanently && user.isLockedPermanently()),
+  lockReason: user.security?.lockReason || null,
+  lockCount: user.security?.lockCount || 0,
+  failedLoginAttempts: user.security?.failedLoginAttempts || 0,
+});
+
+export function sendAccountLocked(res, user, extra = {}) {
+  if (user.isLockedPermanently && user.isLockedPermanently()) {
+    return res.status(423).json({
+      ...extra,
+      message: 'Account locked. Please contact your administrator.',
+      code: 'ACCOUNT_LOCKED',
+      retryAfter: null,
+    });
+  }
+
+  const retryAfter = Math.max(0, Math.ceil((user.security.lockUntil - new Date()) / 1000));
+
+  return res.status(429).json({
+    ...extra,
+    message: 'Account temporarily locked. Please try again later.',
+    code: 'ACCOUNT_LOCKED',
+    retryAfter,
+  });
+}
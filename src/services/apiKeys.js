@@ -0,0 +1,72 @@
+import crypto from 'crypto';
+import ApiKey from '../models/ApiKey.js';
+import { hashToken } from './authTokens.js';
+
+// Scopes an API key can carry. Keys only work on /api/docs routes.
+export const API_KEY_SCOPES = {
+  'docs:read': 'List assigned documents and jobs',
+  'docs:upload': 'Upload documents',
+  'print:fetch': 'Render documents and download print files',
+  'print:confirm': 'Confirm completed prints',
+  'offline:prepare': 'Prepare offline print tokens',
+  'offline:reconcile': 'Reconcile offline prints',
+};
+
+const KEY_PREFIX = 'sph';
+const DEFAULT_TTL_DAYS = 90;
+const MAX_TTL_DAYS = 365;
+
+export const isKnownScope = (scope) =>
+  Object.prototype.hasOwnProperty.call(API_KEY_SCOPES, scope);
+
+// Raw keys look like "sph_<prefix>_<secret>"; the prefix is the lookup handle.
+export function generateApiKey() {
+  const prefix = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return {
+    key: `${KEY_PREFIX}_${prefix}_${secret}`,
+    prefix,
+    secretHash: hashToken(secret),
+  };
+}
+
+export function parseApiKey(raw) {
+  if (typeof raw !== 'string') return null;
+  const match = raw.trim().match(/^sph_([0-9a-f]{12})_([A-Za-z0-9_-]{20,})$/);
+  if (!match) return null;
+  return { prefix: match[1], secret: match[2] };
+}
+
+// Returns the expiry for a requested lifetime in days, or an error message.
+export function resolveApiKeyExpiry(expiresInDays) {
+  if (expiresInDays === undefined || expiresInDays === null || expiresInDays === '') {
+    return { expiresAt: new Date(Date.now() + DEFAULT_TTL_DAYS * 24 * 60 * 60 * 1000) };
+  }
+
+  const days = Number(expiresInDays);
+  if (!Number.isFinite(days) || days <= 0 || days > MAX_TTL_DAYS) {
+    return { error: `expiresInDays must be between 1 and ${MAX_TTL_DAYS}` };
+  }
+
+  return { expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000) };
+}
+
+// Looks up and verifies a raw key. Returns the ApiKey document when it is valid and usable.
+export async function findUsableApiKey(raw) {
+  const parsed = parseApiKey(raw);
+  if (!parsed) return null;
+
+  const apiKey = await ApiKey.findOne({ prefix: parsed.prefix }).select('+secretHash');
+  if (!apiKey) return null;
+
+  const expected = Buffer.from(apiKey.secretHash, 'hex');
+  const presented = Buffer.from(hashToken(parsed.secret), 'hex');
+  if (expected.length !== presented.length || !crypto.timingSafeEqual(expected, presented)) {
+    return null;
+  }
+
+  return apiKey.isUsable() ? apiKey : null;
+}
+
+export const recordApiKeyUse = (apiKey, ip) =>
+  ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date(), lastUsedIp: ip } });
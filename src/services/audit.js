@@ -0,0 +1,201 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import AuditEvent from '../models/AuditEvent.js';
+import { getClientIp } from './clientIp.js';
+
+// Writes and verifies the audit hash chain. Each event's hash covers its own content and
+// the previous event's hash; with AUDIT_CHAIN_SECRET set it is an HMAC, so the chain cannot
+// be recomputed by someone who can only write to the database.
+const GENESIS_HASH = '0'.repeat(64);
+const MAX_APPEND_ATTEMPTS = 5;
+
+// Never copied into before/after snapshots.
+const REDACTED_FIELDS = new Set([
+  'password',
+  'passwordHash',
+  'passwordHistory',
+  'secretHash',
+  'token',
+  'refreshTokenHash',
+  'usedRefreshTokenHashes',
+  'mfa',
+  'recoveryCodes',
+]);
+
+const isObjectId = (value) => value instanceof mongoose.Types.ObjectId || value?._bsontype === 'ObjectId';
+
+// JSON-safe copy used for snapshots: ids become strings, dates ISO strings, secrets and
+// undefined values are dropped. Stored this way, an event reads back exactly as it was hashed.
+export function toAuditValue(value) {
+  if (value === undefined || value === null) return null;
+  if (isObjectId(value)) return value.toString();
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value.toObject === 'function') return toAuditValue(value.toObject());
+  if (Array.isArray(value)) return value.map(toAuditValue);
+  if (typeof value === 'object') {
+    const result = {};
+    for (const [key, child] of Object.entries(value)) {
+      if (child === undefined || REDACTED_FIELDS.has(key)) continue;
+      result[key] = toAuditValue(child);
+    }
+    return result;
+  }
+  return value;
+}
+
+// Picks the named fields ("a b c", like a projection) of a document for a before/after snapshot.
+export function snapshot(doc, fields) {
+  if (!doc) return null;
+  const source = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+  return Object.fromEntries(fields.split(/\s+/).filter(Boolean).map((field) => [field, source[field]]));
+}
+
+function canonicalJson(value) {
+  if (value === null || value === undefined) return 'null';
+  if (isObjectId(value)) return JSON.stringify(value.toString());
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (typeof value === 'object') {
+    const keys = Object.keys(value).filter((key) => value[key] !== undefined).sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+const HASHED_FIELDS = [
+  'seq',
+  'prevHash',
+  'createdAt',
+  'actorId',
+  'actorEmail',
+  'actorRole',
+  'orgId',
+  'action',
+  'targetType',
+  'targetId',
+  'before',
+  'after',
+  'changes',
+  'metadata',
+  'ip',
+  'userAgent',
+  'requestId',
+];
+
+function hashEvent(event) {
+  const payload = canonicalJson(Object.fromEntries(HASHED_FIELDS.map((field) => [field, event[field] ?? null])));
+  const secret = process.env.AUDIT_CHAIN_SECRET;
+  return secret
+    ? crypto.createHmac('sha256', secret).update(payload).digest('hex')
+    : crypto.createHash('sha256').update(payload).digest('hex');
+}
+
+// Top-level fields whose values differ: { field: { before, after } }, or null.
+export function diffSnapshots(before, after) {
+  if (!before || !after || typeof before !== 'object' || typeof after !== 'object') return null;
+
+  const changes = {};
+  for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (canonicalJson(before[key]) !== canonicalJson(after[key])) {
+      changes[key] = { before: before[key] ?? null, after: after[key] ?? null };
+    }
+  }
+  return Object.keys(changes).length ? changes : null;
+}
+
+async function appendOnce(fields) {
+  const last = await AuditEvent.findOne({}, { seq: 1, hash: 1 }).sort({ seq: -1 }).lean();
+  const event = {
+    ...fields,
+    seq: (last?.seq || 0) + 1,
+    prevHash: last?.hash || GENESIS_HASH,
+    createdAt: new Date(),
+  };
+  event.hash = hashEvent(event);
+  return AuditEvent.create(event);
+}
+
+// Appends are serialized per process; concurrent writers on other instances are resolved by
+// the unique seq index and a retry on top of the new tail.
+let appendQueue = Promise.resolve();
+
+export function appendAuditEvent(fields) {
+  const run = async () => {
+    for (let attempt = 1; ; attempt += 1) {
+      try {
+        return await appendOnce(fields);
+      } catch (err) {
+        if (err.code !== 11000 || attempt >= MAX_APPEND_ATTEMPTS) throw err;
+      }
+    }
+  };
+
+  const result = appendQueue.then(run, run);
+  appendQueue = result.catch(() => null);
+  return result;
+}
+
+// Records an admin/security action by the requesting user. Snapshots should contain only the
+// fields the action is about. Failures are logged rather than failing the (already done) action.
+export async function recordAudit(
+  req,
+  { action, targetType = '', targetId = '', before = null, after = null, orgId, metadata = null }
+) {
+  const actor = req.user || {};
+  const beforeValue = toAuditValue(before);
+  const afterValue = toAuditValue(after);
+
+  try {
+    return await appendAuditEvent({
+      actorId: actor._id || null,
+      actorEmail: actor.email || '',
+      actorRole: actor.role || '',
+      orgId: orgId !== undefined ? orgId || null : actor.orgId || null,
+      action,
+      targetType,
+      targetId: targetId ? String(targetId) : '',
+      before: beforeValue,
+      after: afterValue,
+      changes: diffSnapshots(beforeValue, afterValue),
+      metadata: toAuditValue(metadata),
+      ip: getClientIp(req),
+      userAgent: req.headers['user-agent'] || '',
+      requestId: req.id || '',
+    });
+  } catch (err) {
+    console.error('[audit] failed to record', action, err);
+    return null;
+  }
+}
+
+// Walks the whole chain in seq order. A gap in seq means deleted events, a prevHash mismatch
+// means reordering or removal, and a hash mismatch means an edited event. Removing events
+// from the end is only detectable against a previously noted lastSeq / lastHash.
+export async function verifyAuditChain() {
+  let expectedSeq = 1;
+  let prevHash = GENESIS_HASH;
+  let checked = 0;
+
+  const cursor = AuditEvent.find({}).sort({ seq: 1 }).lean().cursor();
+  for await (const event of cursor) {
+    let reason = null;
+    if (event.seq !== expectedSeq) {
+      reason = `expected seq ${expectedSeq}`;
+    } else if (event.prevHash !== prevHash) {
+      reason = 'prevHash does not match the previous event';
+    } else if (hashEvent(event) !== event.hash) {
+      reason = 'event content does not match its hash';
+    }
+
+    if (reason) {
+      await cursor.close();
+      return { valid: false, checked, brokenAt: { seq: event.seq, id: event._id, reason } };
+    }
+
+    checked += 1;
+    expectedSeq += 1;
+    prevHash = event.hash;
+  }
+
+  return { valid: true, checked, lastSeq: expectedSeq - 1, lastHash: prevHash };
+}
@@ -0,0 +1,136 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import Session from '../models/Session.js';
+import { parseUserAgent } from './userAgent.js';
+
+const DEFAULT_ACCESS_TOKEN_TTL = '15m';
+const DEFAULT_REFRESH_TOKEN_TTL_HOURS = 7 * 24;
+
+export const getAccessTokenTtl = () => {
+  const raw = typeof process.env.ACCESS_TOKEN_TTL === 'string' ? process.env.ACCESS_TOKEN_TTL.trim() : '';
+  return raw || DEFAULT_ACCESS_TOKEN_TTL;
+};
+
+export const getRefreshTokenTtlMs = () => {
+  const hours = Number(process.env.REFRESH_TOKEN_TTL_HOURS);
+  const effective = Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_REFRESH_TOKEN_TTL_HOURS;
+  return effective * 60 * 60 * 1000;
+};
+
+export const hashToken = (value) =>
+  crypto.createHash('sha256').update(String(value)).digest('hex');
+
+const getJwtSecret = () => {
+  const jwtSecret = process.env.JWT_SECRET;
+  if (!jwtSecret) {
+    const err = new Error('Server auth not configured (JWT_SECRET missing)');
+    err.statusCode = 500;
+    throw err;
+  }
+  return jwtSecret;
+};
+
+export function signAccessToken(user, session) {
+  return jwt.sign(
+    {
+      userId: user._id.toString(),
+      email: user.email,
+      role: user.role,
+      sid: session._id.toString(),
+      typ: 'access',
+    },
+    getJwtSecret(),
+    { expiresIn: getAccessTokenTtl() }
+  );
+}
+
+// Refresh tokens are opaque "<sessionId>.<random>" strings; only their hash is persisted.
+const generateRefreshToken = (sessionId) =>
+  `${sessionId.toString()}.${crypto.randomBytes(48).toString('base64url')}`;
+
+export const parseRefreshTokenSessionId = (refreshToken) => {
+  if (typeof refreshToken !== 'string') return null;
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!sessionId || !secret || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+  return sessionId;
+};
+
+const getTokenExpiry = (accessToken) => {
+  const decoded = jwt.decode(accessToken);
+  return decoded && decoded.exp ? new Date(decoded.exp * 1000) : null;
+};
+
+export const buildTokenResponse = ({ accessToken, refreshToken }) => ({
+  token: accessToken,
+  refreshToken,
+  accessTokenExpiresAt: getTokenExpiry(accessToken),
+});
+
+// Creates the Session backing a fresh login and mints its first access/refresh token pair.
+export async function createLoginSession(user, { ip, userAgent = '', geo = null }) {
+  const sessionId = new mongoose.Types.ObjectId();
+  const refreshToken = generateRefreshToken(sessionId);
+
+  const session = new Session({
+    _id: sessionId,
+    userId: user._id,
+    familyId: crypto.randomUUID(),
+    ip,
+    userAgent,
+    deviceInfo: parseUserAgent(userAgent),
+    ...(geo && { geo }),
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + getRefreshTokenTtlMs()),
+  });
+
+  const accessToken = signAccessToken(user, session);
+  session.token = accessToken;
+  await session.save();
+
+  return { session, accessToken, refreshToken };
+}
+
+// Swaps a presented refresh token for a new pair. The update is conditional on the
+// presented hash so two concurrent refreshes with the same token cannot both succeed.
+export async function rotateSessionTokens(session, user, presentedHash) {
+  const refreshToken = generateRefreshToken(session._id);
+  const accessToken = signAccessToken(user, session);
+  const now = new Date();
+
+  const updated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, isActive: true },
+    {
+      $set: {
+        token: accessToken,
+        refreshTokenHash: hashToken(refreshToken),
+        rotatedAt: now,
+        lastActivity: now,
+        expiresAt: new Date(now.getTime() + getRefreshTokenTtlMs()),
+      },
+      $inc: { rotationCount: 1 },
+      $push: { usedRefreshTokenHashes: { $each: [presentedHash], $slice: -50 } },
+    },
+    { new: true }
+  );
+
+  if (!updated) return null;
+
+  return { session: updated, accessToken, refreshToken };
+}
+
+// Short-lived tokens for an unfinished login (e.g. password accepted, second factor pending).
+// The typ claim keeps them from ever being accepted as access tokens.
+export function signPendingToken(user, typ, claims = {}, expiresIn = '5m') {
+  return jwt.sign({ ...claims, userId: user._id.toString(), typ }, getJwtSecret(), { expiresIn });
+}
+
+export function verifyPendingToken(token, typ) {
+  if (!token || typeof token !== 'string') return null;
+  try {
+    const payload = jwt.verify(token, getJwtSecret());
+    return payload && payload.typ === typ ? payload : null;
+  } catch {
+    return null;
+  }
+}
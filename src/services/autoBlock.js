@@ -0,0 +1,120 @@
+import crypto from 'crypto';
+import BlockedIp from '../models/BlockedIp.js';
+import { getSecurityPolicy } from './securityPolicy.js';
+import { addToWindow, deleteKey, incrementCounter } from './sharedStore.js';
+import { ipMatches, parseIpOrCidr } from './ipAddress.js';
+import { isTrustedProxy } from './clientIp.js';
+
+// Sliding-window detection of failed-login bursts. Three signals are tracked per window:
+// attempts from one address (brute force), attempts from its /24 or /64 (distributed
+// brute force) and distinct accounts tried from one address (credential stuffing).
+// Crossing a threshold creates a global BlockedIp entry whose duration doubles for each
+// repeat offence within strikeMemoryDays.
+const SUBNET_PREFIX = { 4: 24, 6: 64 };
+const MAX_RECENT_DETECTIONS = 100;
+
+// Most recent detections on this instance, newest first; mainly useful to tune thresholds
+// in dry-run mode.
+const recentDetections = [];
+
+const subnetOf = (ip) => {
+  const range = parseIpOrCidr(ip);
+  if (!range) return null;
+  return parseIpOrCidr(`${ip}/${SUBNET_PREFIX[range.version]}`).canonical;
+};
+
+export const getRecentDetections = () => recentDetections.slice();
+
+export function blockDurationMinutes(settings, strikes) {
+  const base = settings.baseBlockMinutes;
+  // Cap the exponent; the result is clamped to maxBlockMinutes anyway.
+  const factor = 2 ** Math.min(Math.max(strikes - 1, 0), 20);
+  return Math.min(base * factor, Math.max(settings.maxBlockMinutes, base));
+}
+
+async function blockTarget(settings, detection) {
+  const strikes = await incrementCounter(
+    `autoblock:strikes:${detection.target}`,
+    settings.strikeMemoryDays * 24 * 60 * 60
+  );
+  const minutes = blockDurationMinutes(settings, strikes);
+  const expiresAt = new Date(Date.now() + minutes * 60 * 1000);
+  const reason = `Automatic: ${detection.reason} (strike ${strikes}, ${minutes} min)`;
+
+  const existing = await BlockedIp.findOne({ ip: BlockedIp.canonicalIp(detection.target), orgId: null })
+    .select('source')
+    .lean();
+  if (!existing) {
+    await BlockedIp.block({ ip: detection.target, orgId: null, source: 'auto', reason, blockedBy: null, expiresAt });
+    return { strikes, blockMinutes: minutes };
+  }
+
+  // A manual or feed block for the same address keeps its source and reason, and is never
+  // shortened (null = permanent); detection only extends it or re-activates it.
+  await BlockedIp.updateOne(
+    { _id: existing._id, $or: [{ isActive: false }, { expiresAt: { $ne: null, $lt: expiresAt } }] },
+    { $set: { isActive: true, expiresAt, ...(existing.source === 'auto' ? { reason } : {}) } }
+  );
+
+  return { strikes, blockMinutes: minutes };
+}
+
+// Records one failed login from ip (email may be unknown to us) and blocks the address or
+// subnet when a threshold is crossed. Returns the detection, or null.
+export async function recordFailedLoginAttempt({ ip, email }) {
+  const policy = await getSecurityPolicy();
+  const settings = policy.autoBlock || {};
+  if (!settings.enabled || !parseIpOrCidr(ip) || isTrustedProxy(ip)) return null;
+  if ((settings.exemptRanges || []).some((range) => ipMatches(ip, range))) return null;
+
+  const windowSeconds = settings.windowMinutes * 60;
+  const subnet = subnetOf(ip);
+  const eventId = crypto.randomBytes(8).toString('hex');
+  const account = String(email || '').trim().toLowerCase();
+
+  const [ipCount, subnetCount, accountCount] = await Promise.all([
+    addToWindow(`autoblock:ip:${ip}`, eventId, windowSeconds),
+    addToWindow(`autoblock:subnet:${subnet}`, eventId, windowSeconds),
+    account ? addToWindow(`autoblock:accounts:${ip}`, account, windowSeconds) : 0,
+  ]);
+
+  let detection = null;
+  if (accountCount >= settings.distinctAccountsThreshold) {
+    detection = {
+      target: ip,
+      reason: `credential stuffing - ${accountCount} accounts in ${settings.windowMinutes} min`,
+    };
+  } else if (ipCount >= settings.ipThreshold) {
+    detection = {
+      target: ip,
+      reason: `brute force - ${ipCount} failed logins in ${settings.windowMinutes} min`,
+    };
+  } else if (subnetCount >= settings.subnetThreshold) {
+    detection = {
+      target: subnet,
+      reason: `distributed brute force - ${subnetCount} failed logins from ${subnet} in ${settings.windowMinutes} min`,
+    };
+  }
+
+  if (!detection) return null;
+
+  detection = { ...detection, ip, dryRun: !!settings.dryRun, detectedAt: new Date() };
+
+  // Start counting afresh for the offender so the next block needs a new burst.
+  const keys = detection.target === ip
+    ? [`autoblock:ip:${ip}`, `autoblock:accounts:${ip}`]
+    : [`autoblock:subnet:${subnet}`];
+  await Promise.all(keys.map(deleteKey));
+
+  if (settings.dryRun) {
+    console.warn('[autoBlock] dry run, would block', detection.target, detection.reason);
+  } else {
+    Object.assign(detection, await blockTarget(settings, detection));
+    console.warn('[autoBlock] blocked', detection.target, detection.reason);
+  }
+
+  recentDetections.unshift(detection);
+  recentDetections.length = Math.min(recentDetections.length, MAX_RECENT_DETECTIONS);
+
+  return detection;
+}
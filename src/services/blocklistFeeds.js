@@ -0,0 +1,230 @@
+import fs from 'fs/promises';
+import BlockedIp from '../models/BlockedIp.js';
+import { parseIpOrCidr, toRangeKey } from './ipAddress.js';
+import { setIfAbsent } from './sharedStore.js';
+
+// Bulk IP/CIDR blocklists. Every entry of a list is tagged with source "feed:<name>", so a
+// list can be re-imported (replace mode drops entries no longer listed) or removed as a unit.
+// Feeds listed in BLOCKLIST_FEEDS ("name=/path/to/file,...") are re-read from disk every
+// BLOCKLIST_FEED_REFRESH_MINUTES and apply to every organization.
+const FEED_NAME_REGEX = /^[a-z0-9][a-z0-9_-]{0,62}$/;
+const MAX_ENTRIES = 200_000;
+const MAX_REPORTED_INVALID = 20;
+const BULK_CHUNK_SIZE = 1000;
+
+export const isValidFeedName = (name) => typeof name === 'string' && FEED_NAME_REGEX.test(name);
+
+export const feedSource = (name) => `feed:${name}`;
+
+// Parses plain lists and CSV exports: one address or CIDR per line in the first column;
+// "#" / ";" / "//" comments and header lines are skipped.
+export function parseBlocklist(text) {
+  const entries = new Set();
+  const invalid = [];
+  let invalidCount = 0;
+  let headerSkipped = false;
+
+  String(text || '')
+    .split(/\r?\n/)
+    .forEach((rawLine, index) => {
+      const line = rawLine.replace(/(#|;|\/\/).*$/, '').trim();
+      if (!line) return;
+
+      const value = line.split(/[,\s\t]+/)[0].replace(/^"|"$/g, '');
+      const range = parseIpOrCidr(value);
+      if (range) {
+        entries.add(range.canonical);
+        return;
+      }
+
+      // The first non-comment line of a CSV export is its header.
+      if (!headerSkipped && !entries.size && !invalidCount) {
+        headerSkipped = true;
+        return;
+      }
+      invalidCount += 1;
+      if (invalid.length < MAX_REPORTED_INVALID) invalid.push({ line: index + 1, value });
+    });
+
+  return { entries: Array.from(entries), invalid, invalidCount };
+}
+
+// Upserts entries of one source. Addresses already blocked by another source (a manual or
+// automatic block, or another feed) are left alone and counted as skipped.
+async function upsertEntries(entries, { source, orgId, reason, blockedBy, expiresAt, seenAt }) {
+  let upserted = 0;
+  let updated = 0;
+  let skipped = 0;
+
+  for (let i = 0; i < entries.length; i += BULK_CHUNK_SIZE) {
+    const ops = entries.slice(i, i + BULK_CHUNK_SIZE).map((ip) => {
+      const range = parseIpOrCidr(ip);
+      return {
+        updateOne: {
+          filter: {
+            ip,
+            orgId,
+            $or: [{ source }, { isActive: false }, { expiresAt: { $lte: seenAt } }],
+          },
+          update: {
+            $set: {
+              version: range.version,
+              rangeStart: toRangeKey(range.start),
+              rangeEnd: toRangeKey(range.end),
+              prefixLength: range.prefixLength,
+              source,
+              reason,
+              blockedBy,
+              expiresAt,
+              isActive: true,
+              lastSeenAt: seenAt,
+            },
+            $setOnInsert: { createdAt: seenAt },
+          },
+          upsert: true,
+        },
+      };
+    });
+
+    try {
+      const result = await BlockedIp.bulkWrite(ops, { ordered: false });
+      upserted += result.upsertedCount;
+      updated += result.matchedCount;
+    } catch (err) {
+      // Duplicate keys are entries owned by another source; anything else is a real failure.
+      const writeErrors = err.writeErrors || [];
+      if (!writeErrors.length || writeErrors.some((e) => e.code !== 11000)) throw err;
+      upserted += err.result?.upsertedCount || 0;
+      updated += err.result?.matchedCount || 0;
+      skipped += writeErrors.length;
+    }
+  }
+
+  return { upserted, updated, skipped };
+}
+
+// mode 'merge' adds to the feed; 'replace' also deactivates entries the new list no longer has.
+export async function importBlocklist({
+  name,
+  text,
+  orgId = null,
+  mode = 'merge',
+  reason,
+  blockedBy = null,
+  expiresAt = null,
+}) {
+  if (!isValidFeedName(name)) {
+    const err = new Error('Feed name must be 1-63 lowercase letters, digits, "-" or "_"');
+    err.statusCode = 400;
+    throw err;
+  }
+
+  if (mode !== 'merge' && mode !== 'replace') {
+    const err = new Error('mode must be merge or replace');
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const { entries, invalid, invalidCount } = parseBlocklist(text);
+  if (entries.length > MAX_ENTRIES) {
+    const err = new Error(`Blocklist has ${entries.length} entries; the limit is ${MAX_ENTRIES}`);
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const source = feedSource(name);
+  const seenAt = new Date();
+  const counts = await upsertEntries(entries, {
+    source,
+    orgId: orgId || null,
+    reason: reason || `Blocklist feed ${name}`,
+    blockedBy,
+    expiresAt,
+    seenAt,
+  });
+
+  let removed = 0;
+  if (mode === 'replace') {
+    const result = await BlockedIp.updateMany(
+      { source, orgId: orgId || null, isActive: true, lastSeenAt: { $lt: seenAt } },
+      { $set: { isActive: false, expiresAt: seenAt } }
+    );
+    removed = result.modifiedCount || 0;
+  }
+
+  return { source, entries: entries.length, ...counts, removed, invalidCount, invalid };
+}
+
+// Deactivates every active block of a source (a feed, 'auto', ...) for one scope.
+export async function removeBlocklistSource(source, orgId = null) {
+  const result = await BlockedIp.updateMany(
+    { source, orgId: orgId || null, isActive: true },
+    { $set: { isActive: false, expiresAt: new Date() } }
+  );
+  return result.modifiedCount || 0;
+}
+
+export function getConfiguredFeeds() {
+  const raw = typeof process.env.BLOCKLIST_FEEDS === 'string' ? process.env.BLOCKLIST_FEEDS : '';
+  return raw
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const separator = entry.indexOf('=');
+      return { name: entry.slice(0, separator).trim().toLowerCase(), path: entry.slice(separator + 1).trim() };
+    })
+    .filter((feed) => {
+      const valid = isValidFeedName(feed.name) && !!feed.path;
+      if (!valid) console.warn('[blocklistFeeds] ignoring invalid BLOCKLIST_FEEDS entry', feed);
+      return valid;
+    });
+}
+
+const getRefreshMinutes = () => {
+  const n = Number(process.env.BLOCKLIST_FEED_REFRESH_MINUTES);
+  return Number.isFinite(n) && n > 0 ? n : 60;
+};
+
+const feedStatus = new Map();
+
+export const getFeedStatus = () =>
+  getConfiguredFeeds().map((feed) => ({ ...feed, ...(feedStatus.get(feed.name) || {}) }));
+
+// Re-imports a configured feed file as a global list in replace mode.
+export async function refreshFeed(feed) {
+  try {
+    const text = await fs.readFile(feed.path, 'utf8');
+    const result = await importBlocklist({ name: feed.name, text, mode: 'replace' });
+    feedStatus.set(feed.name, { lastRefreshAt: new Date(), lastResult: result, lastError: null });
+    return result;
+  } catch (err) {
+    feedStatus.set(feed.name, { ...feedStatus.get(feed.name), lastRefreshAt: new Date(), lastError: err.message });
+    throw err;
+  }
+}
+
+async function refreshDueFeeds(intervalSeconds) {
+  for (const feed of getConfiguredFeeds()) {
+    // One instance refreshes each feed per interval.
+    if (!(await setIfAbsent(`blocklist-feed:${feed.name}`, intervalSeconds))) continue;
+    try {
+      const result = await refreshFeed(feed);
+      console.log(`[blocklistFeeds] ${feed.name}: ${result.entries} entries, ${result.removed} removed`);
+    } catch (err) {
+      console.error(`[blocklistFeeds] refreshing ${feed.name} failed`, err.message);
+    }
+  }
+}
+
+export function startBlocklistFeedRefresh() {
+  if (!getConfiguredFeeds().length) return null;
+
+  // Slightly shorter lock than the interval so the next tick is never skipped by clock skew.
+  const intervalSeconds = Math.round(getRefreshMinutes() * 60);
+  const lockSeconds = Math.max(intervalSeconds - 5, 1);
+  refreshDueFeeds(lockSeconds);
+  const timer = setInterval(() => refreshDueFeeds(lockSeconds), intervalSeconds * 1000);
+  timer.unref();
+  return timer;
+}
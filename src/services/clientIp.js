@@ -0,0 +1,118 @@
+import { normalizeIpAddress, parseIpOrCidr } from './ipAddress.js';
+
+// Resolves the real client address. Forwarding headers are only believed when the TCP peer
+// is a configured trusted proxy; the chain is then walked from the nearest hop outwards and
+// the first address that is not itself a trusted proxy is the client.
+//
+// TRUSTED_PROXIES: comma-separated addresses/CIDRs, plus the shortcuts "loopback" and "private".
+const PROXY_SHORTCUTS = {
+  loopback: ['127.0.0.0/8', '::1/128'],
+  private: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7'],
+};
+
+let cachedSource = null;
+let cachedRanges = [];
+
+function getTrustedRanges() {
+  const source = typeof process.env.TRUSTED_PROXIES === 'string' ? process.env.TRUSTED_PROXIES : '';
+  if (source === cachedSource) return cachedRanges;
+
+  cachedSource = source;
+  cachedRanges = source
+    .split(',')
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean)
+    .flatMap((entry) => PROXY_SHORTCUTS[entry] || [entry])
+    .map((entry) => {
+      const range = parseIpOrCidr(entry);
+      if (!range) console.warn('[clientIp] ignoring invalid TRUSTED_PROXIES entry', entry);
+      return range;
+    })
+    .filter(Boolean);
+
+  return cachedRanges;
+}
+
+export function isTrustedProxy(ip) {
+  const range = parseIpOrCidr(ip);
+  if (!range) return false;
+  return getTrustedRanges().some(
+    (trusted) => trusted.version === range.version && range.start >= trusted.start && range.start <= trusted.end
+  );
+}
+
+// Strips quotes, [v6] brackets and ports from a forwarded node ("[2001:db8::1]:443", "1.2.3.4:80").
+function normalizeForwardedNode(value) {
+  let node = String(value || '').trim().replace(/^"|"$/g, '');
+  const bracketed = node.match(/^\[([^\]]+)\](?::\d+)?$/);
+  if (bracketed) {
+    node = bracketed[1];
+  } else if (/^[\d.]+:\d+$/.test(node)) {
+    node = node.split(':')[0];
+  }
+  return normalizeIpAddress(node);
+}
+
+// RFC 7239: Forwarded: for=192.0.2.60;proto=http, for="[2001:db8:cafe::17]:4711"
+function parseForwardedHeader(header) {
+  return header.split(',').map((element) => {
+    const forParam = element
+      .split(';')
+      .map((pair) => pair.trim())
+      .find((pair) => pair.toLowerCase().startsWith('for='));
+    return forParam ? normalizeForwardedNode(forParam.slice(4)) : '';
+  });
+}
+
+const headerValue = (req, name) => {
+  const value = req.headers[name];
+  return Array.isArray(value) ? value.join(',') : typeof value === 'string' ? value : '';
+};
+
+function forwardedChain(req) {
+  const forwarded = headerValue(req, 'forwarded');
+  if (forwarded) return parseForwardedHeader(forwarded);
+
+  const xff = headerValue(req, 'x-forwarded-for');
+  if (xff) return xff.split(',').map(normalizeForwardedNode);
+
+  const realIp = headerValue(req, 'x-real-ip');
+  if (realIp) return [normalizeForwardedNode(realIp)];
+
+  return [];
+}
+
+let warnedUntrustedForwarding = false;
+
+// Behind a proxy that is not in TRUSTED_PROXIES every client resolves to the proxy, which then
+// shares one rate limit and can be auto-blocked for everyone; say so once.
+function warnUntrustedForwarding(req, peer) {
+  if (warnedUntrustedForwarding || !forwardedChain(req).length) return;
+  warnedUntrustedForwarding = true;
+  console.warn(
+    `[clientIp] ignoring forwarding headers from untrusted peer ${peer}; ` +
+      'if the API runs behind a reverse proxy, add it to TRUSTED_PROXIES'
+  );
+}
+
+export function resolveClientIp(req) {
+  const peer = normalizeIpAddress(req.socket?.remoteAddress || req.connection?.remoteAddress || '');
+  if (!peer || !isTrustedProxy(peer)) {
+    if (peer) warnUntrustedForwarding(req, peer);
+    return peer;
+  }
+
+  let client = peer;
+  const chain = forwardedChain(req);
+  for (let i = chain.length - 1; i >= 0; i -= 1) {
+    // An unparseable hop means we cannot trust anything further out.
+    if (!chain[i]) break;
+    client = chain[i];
+    if (!isTrustedProxy(client)) break;
+  }
+
+  return client;
+}
+
+// Resolved once per request by middleware/clientIp.js; falls back to resolving on demand.
+export const getClientIp = (req) => req.clientIP || resolveClientIp(req);
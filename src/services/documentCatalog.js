@@ -0,0 +1,238 @@
+import mongoose from 'mongoose';
+import Document from '../models/Document.js';
+import Folder from '../models/Folder.js';
+import { orgFilter } from './orgScope.js';
+
+// Organizing and finding documents: folders, tags, generated-output titles and search.
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+const MAX_SOURCE_TITLES = 2;
+
+export const MAX_SEARCH_LIMIT = 200;
+
+const badRequest = (message) => {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+};
+
+const toObjectId = (value) =>
+  value && mongoose.Types.ObjectId.isValid(String(value)) ? new mongoose.Types.ObjectId(String(value)) : null;
+
+// Tags from an array or a comma-separated string: trimmed, lowercased, unique.
+export function normalizeTags(input) {
+  if (input === undefined || input === null || input === '') return [];
+
+  const raw = Array.isArray(input) ? input : String(input).split(',');
+  if (raw.some((tag) => typeof tag !== 'string')) {
+    throw badRequest('tags must be strings');
+  }
+
+  const tags = [...new Set(raw.map((tag) => tag.trim().toLowerCase().replace(/\s+/g, ' ')).filter(Boolean))];
+
+  if (tags.length > MAX_TAGS) {
+    throw badRequest(`At most ${MAX_TAGS} tags are allowed`);
+  }
+  if (tags.some((tag) => tag.length > MAX_TAG_LENGTH)) {
+    throw badRequest(`Tags must be at most ${MAX_TAG_LENGTH} characters`);
+  }
+
+  return tags;
+}
+
+// Source document ids referenced by vector templates ("document:<id>") in a job's layout.
+export function sourceDocumentIdsFromLayout(layoutPages = []) {
+  const ids = new Set();
+  for (const page of layoutPages) {
+    for (const item of page?.items || []) {
+      const key = item && typeof item.templateKey === 'string' ? item.templateKey : '';
+      if (key.startsWith('document:') && mongoose.Types.ObjectId.isValid(key.slice('document:'.length).trim())) {
+        ids.add(key.slice('document:'.length).trim());
+      }
+    }
+  }
+  return [...ids].map((id) => new mongoose.Types.ObjectId(id));
+}
+
+// e.g. "Exam paper, Answer sheet +1 more (pages 3-7) - jane@example.com - 2026-10-19"
+export function generatedOutputTitle({ sourceTitles = [], email = '', pageRange = null, date = new Date() } = {}) {
+  const titles = sourceTitles.filter(Boolean);
+  let base = titles.length ? titles.slice(0, MAX_SOURCE_TITLES).join(', ') : 'Generated output';
+  if (titles.length > MAX_SOURCE_TITLES) {
+    base += ` +${titles.length - MAX_SOURCE_TITLES} more`;
+  }
+  if (pageRange) {
+    base += pageRange.start === pageRange.end ? ` (page ${pageRange.start})` : ` (pages ${pageRange.start}-${pageRange.end})`;
+  }
+
+  return [base, email, new Date(date).toISOString().slice(0, 10)].filter(Boolean).join(' - ');
+}
+
+// Title for a render job's output, from the titles of the source documents its layout uses.
+export async function describeJobOutput({ layoutPages, email, orgId, date }) {
+  const sourceDocumentIds = sourceDocumentIdsFromLayout(layoutPages);
+  const sources = sourceDocumentIds.length
+    ? await Document.find({ _id: { $in: sourceDocumentIds }, orgId: orgId || null }).select('title').lean()
+    : [];
+
+  return {
+    title: generatedOutputTitle({ sourceTitles: sources.map((s) => s.title), email, date }),
+    sourceDocumentIds: sources.map((s) => s._id),
+  };
+}
+
+export const findFolderInScope = (req, folderId) => {
+  if (!mongoose.Types.ObjectId.isValid(String(folderId))) return null;
+  return Folder.findOne({ _id: folderId, ...orgFilter(req) });
+};
+
+// True when candidateId is folderId itself or one of its descendants.
+export async function isSameOrDescendant(folderId, candidateId) {
+  let current = candidateId ? String(candidateId) : null;
+  const seen = new Set();
+  while (current && !seen.has(current)) {
+    if (current === String(folderId)) return true;
+    seen.add(current);
+    const folder = await Folder.findById(current).select('parentId').lean();
+    current = folder?.parentId ? String(folder.parentId) : null;
+  }
+  return false;
+}
+
+// Sort orders for search. relevance needs q and pages by offset; the others page by the
+// sort field plus _id so results stay stable while documents are added.
+const SORTS = {
+  newest: { field: 'createdAt', dir: -1, type: 'date' },
+  oldest: { field: 'createdAt', dir: 1, type: 'date' },
+  updated: { field: 'updatedAt', dir: -1, type: 'date' },
+  title: { field: 'title', dir: 1, type: 'string' },
+  relevance: null,
+};
+
+export const SEARCH_SORTS = Object.keys(SORTS);
+
+const DOCUMENT_STATUSES = ['active', 'archived', 'deleted', 'all'];
+
+const encodeCursor = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+function decodeCursor(cursor, sort) {
+  try {
+    const value = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (value && value.s === sort) return value;
+  } catch (_) {
+    // fall through
+  }
+  throw badRequest('Invalid cursor');
+}
+
+const parseDate = (value, name) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw badRequest(`${name} must be a valid date`);
+  return date;
+};
+
+// Query parameters:
+//   q          full-text search over title, description and tags
+//   type       source | generated-output
+//   tag        one tag or a comma-separated list; documents must carry all of them
+//   folderId   a folder id, or "none" for documents outside any folder
+//   createdBy  a user id, or "me"
+//   status     active (default) | archived | deleted | all
+//   from / to  creation date range (ISO dates)
+//   sort       newest (default; relevance when q is given) | oldest | updated | title | relevance
+//   limit      page size (default 50, max 200); cursor continues from nextCursor
+export async function searchDocuments(req, params = {}) {
+  const filter = { ...orgFilter(req) };
+
+  const q = typeof params.q === 'string' ? params.q.trim() : '';
+  if (q) filter.$text = { $search: q };
+
+  if (params.type) {
+    if (!['source', 'generated-output'].includes(params.type)) {
+      throw badRequest('type must be source or generated-output');
+    }
+    filter.documentType = params.type;
+  }
+
+  const status = params.status || 'active';
+  if (!DOCUMENT_STATUSES.includes(status)) {
+    throw badRequest(`status must be one of ${DOCUMENT_STATUSES.join(', ')}`);
+  }
+  // Documents from before soft delete have no status and count as active.
+  if (status === 'active') filter.status = { $in: ['active', null] };
+  else if (status !== 'all') filter.status = status;
+
+  const tags = normalizeTags(params.tag);
+  if (tags.length) filter.tags = { $all: tags };
+
+  if (params.folderId) {
+    if (params.folderId === 'none') {
+      filter.folderId = null;
+    } else {
+      const folderId = toObjectId(params.folderId);
+      if (!folderId) throw badRequest('Invalid folderId');
+      filter.folderId = folderId;
+    }
+  }
+
+  if (params.createdBy) {
+    const createdBy = params.createdBy === 'me' ? toObjectId(req.user._id) : toObjectId(params.createdBy);
+    if (!createdBy) throw badRequest('Invalid createdBy');
+    filter.createdBy = createdBy;
+  }
+
+  const from = parseDate(params.from, 'from');
+  const to = parseDate(params.to, 'to');
+  if (from || to) {
+    filter.createdAt = { ...(from && { $gte: from }), ...(to && { $lte: to }) };
+  }
+
+  const sortName = params.sort || (q ? 'relevance' : 'newest');
+  if (!SEARCH_SORTS.includes(sortName)) {
+    throw badRequest(`sort must be one of ${SEARCH_SORTS.join(', ')}`);
+  }
+  if (sortName === 'relevance' && !q) {
+    throw badRequest('sort=relevance requires q');
+  }
+
+  const limit = Math.min(Math.max(parseInt(params.limit, 10) || 50, 1), MAX_SEARCH_LIMIT);
+  const cursor = params.cursor ? decodeCursor(params.cursor, sortName) : null;
+
+  let query;
+  if (sortName === 'relevance') {
+    const offset = cursor ? Math.max(parseInt(cursor.o, 10) || 0, 0) : 0;
+    query = Document.find(filter, { score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' }, _id: -1 })
+      .skip(offset);
+  } else {
+    const { field, dir, type } = SORTS[sortName];
+    if (cursor) {
+      // The cursor comes from the client: anything but a plain string could be a query operator.
+      if (typeof cursor.v !== 'string' || typeof cursor.id !== 'string') throw badRequest('Invalid cursor');
+      const value = type === 'date' ? new Date(cursor.v) : cursor.v;
+      const id = toObjectId(cursor.id);
+      if (!id || (type === 'date' && Number.isNaN(value.getTime()))) throw badRequest('Invalid cursor');
+      const op = dir === 1 ? '$gt' : '$lt';
+      filter.$and = [{ $or: [{ [field]: { [op]: value } }, { [field]: value, _id: { [op]: id } }] }];
+    }
+    query = Document.find(filter).sort({ [field]: dir, _id: dir });
+  }
+
+  // One extra row tells whether there is a next page.
+  const rows = await query.select('-versions').limit(limit + 1).lean();
+  const documents = rows.slice(0, limit);
+
+  let nextCursor = null;
+  if (rows.length > limit) {
+    const last = documents[documents.length - 1];
+    if (sortName === 'relevance') {
+      nextCursor = encodeCursor({ s: sortName, o: (cursor ? parseInt(cursor.o, 10) || 0 : 0) + limit });
+    } else {
+      const { field } = SORTS[sortName];
+      nextCursor = encodeCursor({ s: sortName, v: last[field], id: String(last._id) });
+    }
+  }
+
+  return { documents, nextCursor, sort: sortName, limit };
+}
@@ -0,0 +1,311 @@
+import Document from '../models/Document.js';
+import DocumentAccess from '../models/DocumentAccess.js';
+import DocumentJobs from '../models/DocumentJobs.js';
+import { deleteFromS3 } from './s3.js';
+import { releaseObjects, storedObjectKeys } from './objectStore.js';
+import { getSecurityPolicy } from './securityPolicy.js';
+import { setIfAbsent } from './sharedStore.js';
+
+// Document lifecycle (active -> archived / deleted -> restored or purged) and the retention
+// run that purges deleted documents and old render artifacts. Retention windows come from
+// the (organization) security policy's retention section.
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DELETE_REVOKE_REASON = 'document_deleted';
+
+// Upper bound per category and organization for one run; the rest waits for the next run.
+const RUN_BATCH_SIZE = 500;
+
+const conflict = (message) => {
+  const err = new Error(message);
+  err.statusCode = 409;
+  return err;
+};
+
+export async function archiveDocument(doc, { by = null } = {}) {
+  const updated = await Document.findOneAndUpdate(
+    { _id: doc._id, status: { $in: ['active', null] } },
+    { $set: { status: 'archived', archivedAt: new Date(), archivedBy: by } },
+    { new: true }
+  );
+  if (!updated) throw conflict('Only active documents can be archived');
+  return updated;
+}
+
+// Soft delete: revokes every grant on the document. reason is 'admin' or 'retention'.
+export async function deleteDocument(doc, { by = null, reason = 'admin' } = {}) {
+  const now = new Date();
+  const updated = await Document.findOneAndUpdate(
+    { _id: doc._id, status: { $ne: 'deleted' } },
+    { $set: { status: 'deleted', deletedAt: now, deletedBy: by, deleteReason: reason } },
+    { new: true }
+  );
+  if (!updated) throw conflict('Document is already deleted');
+
+  const result = await DocumentAccess.updateMany(
+    { documentId: doc._id, status: { $ne: 'revoked' } },
+    { $set: { status: 'revoked', revokedAt: now, revokedReason: DELETE_REVOKE_REASON } }
+  );
+
+  return { doc: updated, grantsRevoked: result.modifiedCount || 0 };
+}
+
+// Back to active. Grants revoked by the delete come back as they were (exhausted or active).
+export async function restoreDocument(doc) {
+  const updated = await Document.findOneAndUpdate(
+    { _id: doc._id, status: { $in: ['archived', 'deleted'] } },
+    {
+      $set: {
+        status: 'active',
+        archivedAt: null,
+        archivedBy: null,
+        deletedAt: null,
+        deletedBy: null,
+        deleteReason: null,
+      },
+    },
+    { new: true }
+  );
+  if (!updated) throw conflict('Document is not archived or deleted');
+
+  const result =
+    doc.status === 'deleted'
+      ? await DocumentAccess.updateMany({ documentId: doc._id, status: 'revoked', revokedReason: DELETE_REVOKE_REASON }, [
+          {
+            $set: {
+              status: { $cond: [{ $ifNull: ['$exhaustedAt', false] }, 'exhausted', 'active'] },
+              revokedAt: null,
+              revokedReason: null,
+            },
+          },
+        ])
+      : { modifiedCount: 0 };
+
+  return { doc: updated, grantsRestored: result.modifiedCount || 0 };
+}
+
+const s3KeyOf = (src) => (typeof src === 'string' && src.startsWith('s3://') ? src.slice('s3://'.length) : null);
+
+const jobImageKeys = (job) =>
+  (job.layoutPages || []).flatMap((page) => (page?.items || []).map((item) => s3KeyOf(item?.src))).filter(Boolean);
+
+// S3 objects that belong to a document. references: its files, once per version (shared
+// stored objects are released, not deleted). keys: for generated outputs, the page
+// artifacts and uploaded images of the job that produced it; images still used by other
+// jobs are kept.
+async function documentObjects(doc) {
+  const jobs = await DocumentJobs.find({
+    $or: [{ outputDocumentId: doc._id }, ...(doc.sourceJobId ? [{ _id: doc.sourceJobId }] : [])],
+  })
+    .select('pageArtifacts layoutPages')
+    .lean();
+  const jobIds = jobs.map((job) => job._id);
+
+  const references = (doc.versions?.length ? doc.versions.map((v) => v.fileKey) : [doc.fileKey]).filter(Boolean);
+
+  const keys = new Set();
+  for (const job of jobs) {
+    (job.pageArtifacts || []).forEach((artifact) => keys.add(artifact.key));
+    for (const key of jobImageKeys(job)) {
+      const shared = await DocumentJobs.exists({ _id: { $nin: jobIds }, 'layoutPages.items.src': `s3://${key}` });
+      if (!shared) keys.add(key);
+    }
+  }
+  keys.delete(undefined);
+  keys.delete(null);
+
+  return { keys: [...keys], references, jobIds };
+}
+
+async function purgeDocument(doc, { dryRun, report }) {
+  const { keys, references, jobIds } = await documentObjects(doc);
+  // Files from before deduplication belong to this document alone and go with it.
+  const stored = await storedObjectKeys(references);
+  const shared = references.filter((key) => stored.has(key));
+  const ownKeys = [...new Set([...keys, ...references.filter((key) => !stored.has(key))])];
+
+  const entry = {
+    id: doc._id,
+    title: doc.title,
+    documentType: doc.documentType,
+    orgId: doc.orgId || null,
+    deletedAt: doc.deletedAt,
+    objects: ownKeys.length,
+    sharedObjects: 0,
+  };
+
+  let released;
+  if (dryRun) {
+    released = await releaseObjects(shared, { dryRun: true });
+  } else {
+    const { failed } = await deleteFromS3(ownKeys);
+    if (failed.length) {
+      // Rows stay so the next run retries the files they point at.
+      report.failed.push({ documentId: doc._id, objects: failed });
+      return;
+    }
+    await DocumentAccess.deleteMany({ documentId: doc._id });
+    await DocumentJobs.deleteMany({ _id: { $in: jobIds } });
+    const { deletedCount } = await Document.deleteOne({ _id: doc._id, status: 'deleted' });
+    if (!deletedCount) return;
+
+    // Released only once the rows are gone: an interrupted purge keeps a shared file
+    // rather than dropping its references twice.
+    released = await releaseObjects(shared);
+    const result = await deleteFromS3(released);
+    if (result.failed.length) {
+      report.failed.push({ documentId: doc._id, objects: result.failed });
+    }
+  }
+
+  entry.objects += released.length;
+  entry.sharedObjects = new Set(shared).size - released.length;
+  report.purged.push(entry);
+  report.objects += entry.objects;
+}
+
+async function purgePageArtifacts(jobs, { dryRun, report }) {
+  for (const job of jobs) {
+    const keys = (job.pageArtifacts || []).map((artifact) => artifact.key);
+    if (!dryRun) {
+      const { failed } = await deleteFromS3(keys);
+      if (failed.length) {
+        report.failed.push({ jobId: job._id, objects: failed });
+        continue;
+      }
+      await DocumentJobs.updateOne({ _id: job._id }, { $set: { pageArtifacts: [] } });
+    }
+    report.pageArtifacts.jobs += 1;
+    report.pageArtifacts.objects += keys.length;
+    report.objects += keys.length;
+  }
+}
+
+async function runForOrg(orgId, { dryRun, now, report }) {
+  const { retention } = await getSecurityPolicy(orgId);
+  const before = (days) => new Date(now.getTime() - days * DAY_MS);
+  const inOrg = { orgId: orgId || null };
+
+  if (retention.generatedMaxAgeDays > 0) {
+    const expired = await Document.find({
+      ...inOrg,
+      documentType: 'generated-output',
+      status: { $ne: 'deleted' },
+      createdAt: { $lt: before(retention.generatedMaxAgeDays) },
+    })
+      .select('title documentType orgId createdAt status')
+      .limit(RUN_BATCH_SIZE);
+
+    for (const doc of expired) {
+      if (!dryRun) await deleteDocument(doc, { reason: 'retention' });
+      report.expired.push({ id: doc._id, title: doc.title, orgId: doc.orgId || null, createdAt: doc.createdAt });
+    }
+  }
+
+  for (const [documentType, days] of [
+    ['source', retention.sourceDeletedDays],
+    ['generated-output', retention.generatedDeletedDays],
+  ]) {
+    const due = await Document.find({
+      ...inOrg,
+      documentType: documentType === 'source' ? { $ne: 'generated-output' } : documentType,
+      status: 'deleted',
+      deletedAt: { $lte: before(days) },
+    })
+      .limit(RUN_BATCH_SIZE)
+      .lean();
+
+    for (const doc of due) {
+      await purgeDocument(doc, { dryRun, report });
+    }
+  }
+
+  const finishedJobs = await DocumentJobs.find({
+    ...inOrg,
+    status: 'completed',
+    updatedAt: { $lte: before(retention.pageArtifactDays) },
+    'pageArtifacts.0': { $exists: true },
+  })
+    .select('pageArtifacts')
+    .limit(RUN_BATCH_SIZE)
+    .lean();
+  await purgePageArtifacts(finishedJobs, { dryRun, report });
+}
+
+// Organizations with documents or jobs, plus null for records outside any organization.
+async function allOrgIds() {
+  const ids = [...(await Document.distinct('orgId')), ...(await DocumentJobs.distinct('orgId'))];
+  const unique = new Map([['', null]]);
+  ids.forEach((id) => unique.set(String(id || ''), id || null));
+  return [...unique.values()];
+}
+
+// Applies retention to every organization in scope ({} = all, { orgId } = one). With dryRun
+// nothing changes and the report lists what a real run would expire and purge.
+export async function runRetention({ scope = {}, dryRun = true, now = new Date() } = {}) {
+  const report = {
+    dryRun,
+    startedAt: new Date(),
+    finishedAt: null,
+    organizations: 0,
+    expired: [],
+    purged: [],
+    pageArtifacts: { jobs: 0, objects: 0 },
+    objects: 0,
+    failed: [],
+  };
+
+  const orgIds = 'orgId' in scope ? [scope.orgId] : await allOrgIds();
+
+  for (const orgId of orgIds) {
+    await runForOrg(orgId, { dryRun, now, report });
+    report.organizations += 1;
+  }
+
+  report.finishedAt = new Date();
+  return report;
+}
+
+// RETENTION_PURGE: 'on' purges on schedule, 'dry-run' (default) only reports, 'off' disables.
+export const getRetentionMode = () => {
+  const mode = String(process.env.RETENTION_PURGE || 'dry-run').toLowerCase();
+  return ['on', 'dry-run', 'off'].includes(mode) ? mode : 'dry-run';
+};
+
+const getIntervalMinutes = () => {
+  const n = Number(process.env.RETENTION_PURGE_INTERVAL_MINUTES);
+  return Number.isFinite(n) && n > 0 ? n : 6 * 60;
+};
+
+let lastScheduledRun = null;
+
+export const getRetentionStatus = () => ({
+  mode: getRetentionMode(),
+  intervalMinutes: getIntervalMinutes(),
+  lastRun: lastScheduledRun,
+});
+
+async function runScheduled(lockSeconds) {
+  // One instance runs per interval.
+  if (!(await setIfAbsent('document-retention', lockSeconds))) return;
+  try {
+    const report = await runRetention({ dryRun: getRetentionMode() !== 'on' });
+    lastScheduledRun = { at: new Date(), report, error: null };
+    console.log(
+      `[retention] ${report.dryRun ? 'dry run: would purge' : 'purged'} ${report.purged.length} documents, ` +
+        `${report.pageArtifacts.jobs} job artifact sets, ${report.objects} objects; expired ${report.expired.length}`
+    );
+  } catch (err) {
+    lastScheduledRun = { at: new Date(), report: null, error: err.message };
+    console.error('[retention] run failed', err);
+  }
+}
+
+export function startDocumentRetention() {
+  if (getRetentionMode() === 'off') return null;
+
+  const intervalSeconds = Math.round(getIntervalMinutes() * 60);
+  const lockSeconds = Math.max(intervalSeconds - 5, 1);
+  const timer = setInterval(() => runScheduled(lockSeconds), intervalSeconds * 1000);
+  timer.unref();
+  return timer;
+}
@@ -0,0 +1,117 @@
+import Document from '../models/Document.js';
+import DocumentAccess from '../models/DocumentAccess.js';
+import { discardObject, storeObject } from './objectStore.js';
+import { diffSnapshots } from './audit.js';
+
+// Source documents keep every uploaded file as a numbered version. Grants (DocumentAccess)
+// either follow the current version or are pinned to one; see Document.fileForVersion.
+const VERSION_METADATA_FIELDS = ['title', 'mimeType', 'size', 'pageCount', 'checksum', 'fileKey', 'notes'];
+
+export const GRANT_MODES = ['roll_forward', 'pin'];
+
+// stored is the result of objectStore.storeObject for the file.
+export function buildVersionEntry({ version, stored, file, title, notes = '', uploadedBy }) {
+  return {
+    version,
+    fileKey: stored.key,
+    fileUrl: stored.url,
+    mimeType: file.mimetype || 'application/pdf',
+    checksum: stored.checksum,
+    size: file.buffer.length,
+    pageCount: file.pageCount ?? null,
+    title,
+    notes,
+    uploadedBy,
+    createdAt: new Date(),
+  };
+}
+
+// Version 1 of a document created before versioning, from its top-level file.
+const legacyVersionEntry = (doc) => ({
+  version: 1,
+  fileKey: doc.fileKey,
+  fileUrl: doc.fileUrl,
+  mimeType: doc.mimeType,
+  checksum: doc.checksum ?? null,
+  size: null,
+  pageCount: doc.pageCount ?? null,
+  title: doc.title,
+  notes: '',
+  uploadedBy: doc.createdBy,
+  createdAt: doc.createdAt,
+});
+
+// Uploads a new current version; file is the result of validateDocumentUpload. grants: 'roll_forward' moves every grant (pinned or not)
+// to the new version; 'pin' keeps grants that followed the current version on it.
+export async function addDocumentVersion(doc, { file, title, notes, uploadedBy, grants = 'roll_forward' }) {
+  const previousVersion = doc.currentVersion || 1;
+  const version = previousVersion + 1;
+  const stored = await storeObject(file.buffer, { mimeType: file.mimetype, orgId: doc.orgId });
+  const entry = buildVersionEntry({ version, stored, file, title: title || doc.title, notes, uploadedBy });
+
+  const backfill = doc.versions?.length ? [] : [legacyVersionEntry(doc)];
+
+  // Concurrent uploads would claim the same number; all but the first fail here.
+  const updated = await Document.findOneAndUpdate(
+    { _id: doc._id, 'versions.version': { $ne: version } },
+    {
+      $push: { versions: { $each: [...backfill, entry] } },
+      $set: {
+        currentVersion: version,
+        title: entry.title,
+        fileKey: entry.fileKey,
+        fileUrl: entry.fileUrl,
+        mimeType: entry.mimeType,
+        checksum: entry.checksum,
+        pageCount: entry.pageCount,
+      },
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    await discardObject(stored.key);
+    const err = new Error('The document was changed by another upload; reload and try again');
+    err.statusCode = 409;
+    throw err;
+  }
+
+  const result =
+    grants === 'pin'
+      ? await DocumentAccess.updateMany(
+          { documentId: doc._id, pinnedVersion: null },
+          { $set: { pinnedVersion: previousVersion } }
+        )
+      : await DocumentAccess.updateMany(
+          { documentId: doc._id, pinnedVersion: { $ne: null } },
+          { $set: { pinnedVersion: null } }
+        );
+
+  return { doc: updated, version: entry, grantsUpdated: result.modifiedCount || 0 };
+}
+
+// Newest first, each with the metadata that changed from the version before it and the
+// number of grants printing it.
+export async function listDocumentVersions(doc) {
+  const versions = doc.versions?.length ? doc.versions.map((v) => (v.toObject ? v.toObject() : v)) : [legacyVersionEntry(doc)];
+
+  const counts = await DocumentAccess.aggregate([
+    { $match: { documentId: doc._id } },
+    { $group: { _id: { $ifNull: ['$pinnedVersion', doc.currentVersion || 1] }, count: { $sum: 1 } } },
+  ]);
+  const grantCounts = new Map(counts.map((c) => [c._id, c.count]));
+
+  const pick = (v) => Object.fromEntries(VERSION_METADATA_FIELDS.map((field) => [field, v[field] ?? null]));
+
+  return versions
+    .map((v, i) => ({
+      ...v,
+      isCurrent: v.version === (doc.currentVersion || 1),
+      grantCount: grantCounts.get(v.version) || 0,
+      changes: i > 0 ? diffSnapshots(pick(versions[i - 1]), pick(v)) : null,
+    }))
+    .reverse();
+}
+
+export const hasVersion = (doc, version) =>
+  doc.versions?.length ? doc.versions.some((v) => v.version === version) : version === 1;
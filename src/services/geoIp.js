@@ -0,0 +1,92 @@
+import maxmind from 'maxmind';
+import { parseIp } from './ipAddress.js';
+
+// Offline GeoIP lookups against local MaxMind-format (.mmdb) databases, e.g. GeoLite2-Country
+// (or -City, which adds coordinates) for GEOIP_COUNTRY_DB and GeoLite2-ASN for GEOIP_ASN_DB. Either file is optional;
+// without them lookups return null and country rules treat every address as unknown.
+const readers = new Map();
+const CACHE_LIMIT = 5000;
+const cache = new Map();
+
+function openReader(envName) {
+  const path = process.env[envName];
+  if (!path) return Promise.resolve(null);
+
+  const cached = readers.get(envName);
+  if (cached && cached.path === path) return cached.reader;
+
+  const reader = maxmind.open(path).catch((err) => {
+    console.error(`[geoIp] cannot open ${envName}`, path, err.message);
+    return null;
+  });
+  readers.set(envName, { path, reader });
+  return reader;
+}
+
+export const isGeoIpEnabled = () => !!(process.env.GEOIP_COUNTRY_DB || process.env.GEOIP_ASN_DB);
+
+async function lookupUncached(ip) {
+  const [countryDb, asnDb] = await Promise.all([
+    openReader('GEOIP_COUNTRY_DB'),
+    openReader('GEOIP_ASN_DB'),
+  ]);
+
+  const countryRecord = countryDb ? countryDb.get(ip) : null;
+  const asnRecord = asnDb ? asnDb.get(ip) : null;
+  const country = countryRecord?.country || countryRecord?.registered_country || null;
+
+  const location = countryRecord?.location;
+
+  if (!country && !asnRecord) return null;
+
+  return {
+    country: country?.iso_code || null,
+    countryName: country?.names?.en || null,
+    asn: asnRecord?.autonomous_system_number || null,
+    asnOrg: asnRecord?.autonomous_system_organization || null,
+    latitude: location?.latitude ?? null,
+    longitude: location?.longitude ?? null,
+    accuracyRadiusKm: location?.accuracy_radius ?? null,
+  };
+}
+
+// { country, countryName, asn, asnOrg, latitude, longitude, accuracyRadiusKm } for a public address, or null when unknown
+// (private ranges, no database configured, not in the database).
+export async function lookupIp(ip) {
+  if (!isGeoIpEnabled() || !parseIp(ip)) return null;
+
+  if (cache.has(ip)) return cache.get(ip);
+
+  let geo = null;
+  try {
+    geo = await lookupUncached(ip);
+  } catch (err) {
+    console.error('[geoIp] lookup failed', ip, err.message);
+  }
+
+  if (cache.size >= CACHE_LIMIT) cache.delete(cache.keys().next().value);
+  cache.set(ip, geo);
+  return geo;
+}
+
+// Applies a policy.geo section ({ mode: 'off'|'allow'|'deny', countries, allowUnknown })
+// to an address. Returns { allowed, country }.
+export async function checkCountryAccess(ip, geoPolicy) {
+  const mode = geoPolicy?.mode || 'off';
+  if (mode === 'off') return { allowed: true, country: null };
+
+  const geo = await lookupIp(ip);
+  const country = geo?.country || null;
+  if (!country) return { allowed: geoPolicy.allowUnknown !== false, country };
+
+  const listed = (geoPolicy.countries || []).includes(country);
+  return { allowed: mode === 'allow' ? listed : !listed, country };
+}
+
+export const sendCountryBlocked = (res, country, extra = {}) =>
+  res.status(403).json({
+    ...extra,
+    message: 'Access from your location is not allowed',
+    code: 'COUNTRY_BLOCKED',
+    country,
+  });
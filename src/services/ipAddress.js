@@ -0,0 +1,168 @@
+// IPv4 / IPv6 address and CIDR parsing. Addresses are handled as BigInt so both families
+// share one code path; ranges are stored as fixed-width hex strings, which sort the same
+// way as the numbers and can be range-queried in MongoDB.
+const V4_BITS = 32;
+const V6_BITS = 128;
+const HEX_WIDTH = 32;
+
+function parseIpv4(value) {
+  const parts = value.split('.');
+  if (parts.length !== 4) return null;
+
+  let result = 0n;
+  for (const part of parts) {
+    if (!/^\d{1,3}$/.test(part)) return null;
+    const octet = Number(part);
+    if (octet > 255) return null;
+    result = (result << 8n) | BigInt(octet);
+  }
+  return result;
+}
+
+function parseIpv6(value) {
+  let input = value.split('%')[0];
+
+  // Embedded IPv4 tail (e.g. ::ffff:10.0.0.1) becomes two hextets.
+  const lastColon = input.lastIndexOf(':');
+  if (input.includes('.', lastColon)) {
+    const v4 = parseIpv4(input.slice(lastColon + 1));
+    if (v4 === null) return null;
+    input = `${input.slice(0, lastColon + 1)}${(v4 >> 16n).toString(16)}:${(v4 & 0xffffn).toString(16)}`;
+  }
+
+  const halves = input.split('::');
+  if (halves.length > 2) return null;
+
+  const head = halves[0] ? halves[0].split(':') : [];
+  const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+  const missing = 8 - head.length - tail.length;
+  if ((halves.length === 1 && missing !== 0) || (halves.length === 2 && missing < 1)) return null;
+
+  const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+  let result = 0n;
+  for (const group of groups) {
+    if (!/^[0-9a-f]{1,4}$/i.test(group)) return null;
+    result = (result << 16n) | BigInt(parseInt(group, 16));
+  }
+  return result;
+}
+
+const V4_MAPPED_PREFIX = 0xffffn << 32n;
+
+// Parses a single address. IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) are treated as IPv4.
+export function parseIp(value) {
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim();
+  if (!trimmed) return null;
+
+  if (!trimmed.includes(':')) {
+    const v4 = parseIpv4(trimmed);
+    return v4 === null ? null : { version: 4, value: v4 };
+  }
+
+  const v6 = parseIpv6(trimmed);
+  if (v6 === null) return null;
+  if (v6 >> 32n === 0xffffn) {
+    return { version: 4, value: v6 - V4_MAPPED_PREFIX };
+  }
+  return { version: 6, value: v6 };
+}
+
+function formatIpv6(value) {
+  const groups = [];
+  for (let shift = 112n; shift >= 0n; shift -= 16n) {
+    groups.push(Number((value >> shift) & 0xffffn));
+  }
+
+  // RFC 5952: compress the longest run (length >= 2) of zero groups.
+  let bestStart = -1;
+  let bestLength = 0;
+  for (let i = 0; i < groups.length; ) {
+    if (groups[i] !== 0) {
+      i += 1;
+      continue;
+    }
+    let j = i;
+    while (j < groups.length && groups[j] === 0) j += 1;
+    if (j - i > bestLength && j - i >= 2) {
+      bestStart = i;
+      bestLength = j - i;
+    }
+    i = j;
+  }
+
+  const hex = groups.map((g) => g.toString(16));
+  if (bestStart === -1) return hex.join(':');
+  return `${hex.slice(0, bestStart).join(':')}::${hex.slice(bestStart + bestLength).join(':')}`;
+}
+
+export function formatIp({ version, value }) {
+  if (version === 4) {
+    return [24n, 16n, 8n, 0n].map((shift) => Number((value >> shift) & 0xffn)).join('.');
+  }
+  return formatIpv6(value);
+}
+
+// Canonical text form of an address ('' when invalid), e.g. "::ffff:10.0.0.1" -> "10.0.0.1".
+export const normalizeIpAddress = (value) => {
+  const parsed = parseIp(value);
+  return parsed ? formatIp(parsed) : '';
+};
+
+// Parses "addr" or "addr/prefix" into an inclusive numeric range plus its canonical form
+// (host bits cleared, e.g. "10.0.0.7/24" -> "10.0.0.0/24").
+export function parseIpOrCidr(value) {
+  if (typeof value !== 'string') return null;
+  const [address, prefixRaw, extra] = value.trim().split('/');
+  if (extra !== undefined) return null;
+
+  const parsed = parseIp(address);
+  if (!parsed) return null;
+
+  const bits = parsed.version === 4 ? V4_BITS : V6_BITS;
+  let prefixLength = bits;
+  if (prefixRaw !== undefined) {
+    if (!/^\d{1,3}$/.test(prefixRaw)) return null;
+    prefixLength = Number(prefixRaw);
+    // A mapped IPv4 address written with an IPv6 prefix (::ffff:10.0.0.0/120)
+    if (parsed.version === 4 && address.includes(':')) prefixLength -= V6_BITS - V4_BITS;
+    if (prefixLength < 0 || prefixLength > bits) return null;
+  }
+
+  const hostBits = BigInt(bits - prefixLength);
+  const hostMask = (1n << hostBits) - 1n;
+  const start = parsed.value & ~hostMask;
+  const end = start | hostMask;
+  const base = formatIp({ version: parsed.version, value: start });
+
+  return {
+    version: parsed.version,
+    start,
+    end,
+    prefixLength,
+    canonical: prefixLength === bits ? base : `${base}/${prefixLength}`,
+  };
+}
+
+export const isValidIpOrCidr = (value) => parseIpOrCidr(value) !== null;
+
+export const toRangeKey = (value) => value.toString(16).padStart(HEX_WIDTH, '0');
+
+// Start of every network containing a parsed address, one per prefix length (/0 to the
+// full address). A CIDR range contains the address only if it starts at one of these.
+export function networkStarts({ version, value }) {
+  const bits = version === 4 ? V4_BITS : V6_BITS;
+  const starts = [];
+  for (let hostBits = 0; hostBits <= bits; hostBits += 1) {
+    starts.push(value & ~((1n << BigInt(hostBits)) - 1n));
+  }
+  return starts;
+}
+
+// True when ip falls inside entry (an address or CIDR string).
+export function ipMatches(ip, entry) {
+  const address = parseIp(ip);
+  const range = parseIpOrCidr(entry);
+  if (!address || !range || address.version !== range.version) return false;
+  return address.value >= range.start && address.value <= range.end;
+}
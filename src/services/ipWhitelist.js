@@ -0,0 +1,51 @@
+import User from '../models/User.js';
+import { ipMatches } from './ipAddress.js';
+import { getSecurityPolicy } from './securityPolicy.js';
+
+// Per-user allowed addresses (User.allowedIPs) plus the organization's ipWhitelist policy.
+// Whitelisting applies when the user has security.requireIPWhitelist set or the policy
+// requires it for everyone; the org-wide ranges then count as allowed for every member.
+// When the requirement comes from an admin or the policy, only entries an admin added count:
+// otherwise the user could satisfy it by whitelisting wherever they are.
+const LAST_USED_RESOLUTION_MS = 5 * 60 * 1000;
+
+export const isEntryActive = (entry, now = new Date()) =>
+  entry.isActive !== false && (!entry.expiresAt || new Date(entry.expiresAt) > now);
+
+// { allowed, required, entry } where entry is the matching allowedIPs item (if any).
+export function evaluateIpWhitelist(user, ip, settings = {}, now = new Date()) {
+  const imposed = !!settings.required || !!user.security?.requireIPWhitelistSetBy;
+  const required = imposed || !!user.security?.requireIPWhitelist;
+  if (!required) {
+    return { allowed: true, required: false, entry: null };
+  }
+
+  if ((settings.ranges || []).some((range) => ipMatches(ip, range))) {
+    return { allowed: true, required: true, entry: null };
+  }
+
+  const entry = (user.allowedIPs || []).find(
+    (item) => (!imposed || item.addedBy) && isEntryActive(item, now) && ipMatches(ip, item.ip)
+  );
+  return { allowed: !!entry, required: true, entry: entry || null };
+}
+
+export async function checkIpWhitelist(user, ip) {
+  const policy = await getSecurityPolicy(user.orgId);
+  const result = evaluateIpWhitelist(user, ip, policy.ipWhitelist);
+
+  // lastUsed is informational; writing it on every request is not worth it.
+  const { entry } = result;
+  if (entry?._id && (!entry.lastUsed || Date.now() - new Date(entry.lastUsed) > LAST_USED_RESOLUTION_MS)) {
+    await User.updateOne({ _id: user._id, 'allowedIPs._id': entry._id }, { $set: { 'allowedIPs.$.lastUsed': new Date() } });
+  }
+
+  return result;
+}
+
+export const sendIpNotWhitelisted = (res, extra = {}) =>
+  res.status(403).json({
+    ...extra,
+    message: 'Access denied: IP not whitelisted',
+    code: 'IP_NOT_WHITELISTED',
+  });
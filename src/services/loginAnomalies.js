@@ -0,0 +1,168 @@
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+import SecurityEvent from '../models/SecurityEvent.js';
+import { getSecurityPolicy } from './securityPolicy.js';
+import { parseUserAgent } from './userAgent.js';
+
+// Compares a login that is about to succeed with the user's recent successful logins and
+// sessions: an unseen device fingerprint is a new device, and a location that could not
+// have been reached since the previous one is impossible travel.
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const EARTH_RADIUS_KM = 6371;
+
+// GeoIP coordinates are approximate; after subtracting both accuracy radii a hop has to be
+// at least this long to count as travel.
+const MIN_TRAVEL_DISTANCE_KM = 100;
+
+// With a country-only database there are no coordinates; a country change within this
+// window is treated as impossible travel instead.
+const COUNTRY_CHANGE_WINDOW_MS = HOUR_MS;
+
+const ACTION_PRIORITY = { none: 0, revoke_others: 1, step_up: 2 };
+
+// Browser family, OS and device class without versions, so browser updates are not new devices.
+export function deviceFingerprint(userAgent) {
+  const info = parseUserAgent(userAgent);
+  return [info.browser.replace(/\s+\d+$/, ''), info.platform, info.device].join('|');
+}
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+export function distanceKm(a, b) {
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLon = toRadians(b.longitude - a.longitude);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+const hasCoordinates = (geo) => !!geo && Number.isFinite(geo.latitude) && Number.isFinite(geo.longitude);
+
+// Successful logins and session activity since `since`, newest first.
+async function loadRecentActivity(userId, since) {
+  const [user, sessions] = await Promise.all([
+    User.findById(userId, { loginHistory: 1 }).lean(),
+    Session.find(
+      { userId, lastActivity: { $gte: since } },
+      { ip: 1, userAgent: 1, geo: 1, lastActivity: 1, createdAt: 1 }
+    ).lean(),
+  ]);
+
+  const logins = (user?.loginHistory || [])
+    .filter((entry) => entry.status === 'success' && new Date(entry.timestamp) >= since)
+    .map((entry) => ({ ip: entry.ip, userAgent: entry.userAgent, geo: entry.geo, at: new Date(entry.timestamp) }));
+
+  const sessionActivity = sessions.map((session) => ({
+    ip: session.ip,
+    userAgent: session.userAgent,
+    geo: session.geo,
+    at: new Date(session.lastActivity || session.createdAt),
+  }));
+
+  return [...logins, ...sessionActivity].sort((a, b) => b.at - a.at);
+}
+
+function detectImpossibleTravel(activity, { ip, geo }, maxSpeedKmh, now) {
+  if (!geo || !geo.country) return null;
+
+  const previous = activity.find((entry) => entry.geo && entry.geo.country);
+  if (!previous || previous.ip === ip) return null;
+
+  const elapsedMs = Math.max(now - previous.at, 0);
+  const from = {
+    ip: previous.ip,
+    country: previous.geo.country,
+    at: previous.at,
+  };
+
+  if (hasCoordinates(geo) && hasCoordinates(previous.geo)) {
+    const distance = distanceKm(previous.geo, geo);
+    const effectiveDistance =
+      distance - (previous.geo.accuracyRadiusKm || 0) - (geo.accuracyRadiusKm || 0);
+    if (effectiveDistance < MIN_TRAVEL_DISTANCE_KM) return null;
+
+    // Floor the elapsed time at one minute so back-to-back logins give a finite speed.
+    const speedKmh = effectiveDistance / (Math.max(elapsedMs, 60 * 1000) / HOUR_MS);
+    if (speedKmh <= maxSpeedKmh) return null;
+
+    return {
+      method: 'coordinates',
+      from,
+      distanceKm: Math.round(distance),
+      elapsedMinutes: Math.round(elapsedMs / 60000),
+      speedKmh: Math.round(speedKmh),
+    };
+  }
+
+  if (previous.geo.country !== geo.country && elapsedMs < COUNTRY_CHANGE_WINDOW_MS) {
+    return {
+      method: 'country',
+      from,
+      elapsedMinutes: Math.round(elapsedMs / 60000),
+    };
+  }
+
+  return null;
+}
+
+// Returns [{ type, severity, action, details }] for a login from ip / userAgent / geo.
+export async function detectLoginAnomalies(user, { ip, userAgent, geo }, now = new Date()) {
+  const policy = await getSecurityPolicy(user.orgId);
+  const settings = policy.loginAnomalies || {};
+  if (!settings.enabled) return [];
+
+  const activity = await loadRecentActivity(user._id, new Date(now - settings.lookbackDays * DAY_MS));
+
+  // Nothing to compare with (first login, or none within the lookback window).
+  if (!activity.length) return [];
+
+  const findings = [];
+
+  const fingerprint = deviceFingerprint(userAgent);
+  const knownDevices = new Set(activity.map((entry) => deviceFingerprint(entry.userAgent)));
+  if (!knownDevices.has(fingerprint)) {
+    findings.push({
+      type: 'new_device',
+      severity: 'low',
+      action: settings.newDeviceAction || 'none',
+      details: { fingerprint, knownDevices: Array.from(knownDevices) },
+    });
+  }
+
+  const travel = detectImpossibleTravel(activity, { ip, geo }, settings.maxTravelSpeedKmh, now);
+  if (travel) {
+    findings.push({
+      type: 'impossible_travel',
+      severity: 'high',
+      action: settings.impossibleTravelAction || 'none',
+      details: travel,
+    });
+  }
+
+  return findings;
+}
+
+// The most intrusive configured response among the findings.
+export const strongestAction = (findings) =>
+  findings.reduce(
+    (best, finding) => (ACTION_PRIORITY[finding.action] > ACTION_PRIORITY[best] ? finding.action : best),
+    'none'
+  );
+
+export function recordSecurityEvents(user, findings, { ip, userAgent, geo, sessionId = null, revokedSessionCount = 0 }) {
+  return SecurityEvent.insertMany(
+    findings.map((finding) => ({
+      ...finding,
+      userId: user._id,
+      orgId: user.orgId || null,
+      ip,
+      userAgent,
+      deviceInfo: parseUserAgent(userAgent),
+      ...(geo && { geo }),
+      sessionId,
+      revokedSessionCount,
+    }))
+  );
+}
@@ -0,0 +1,88 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+// MAIL_TRANSPORT selects how outgoing mail is delivered:
+//   smtp    - real delivery through SMTP_HOST/SMTP_PORT (nodemailer)
+//   file    - one JSON file per message under MAIL_FILE_DIR (local testing)
+//   console - log the message (default); in production only recipient and subject, since
+//             bodies carry reset, verification and sign-in links
+const getTransportName = () => {
+  const raw = typeof process.env.MAIL_TRANSPORT === 'string' ? process.env.MAIL_TRANSPORT.trim().toLowerCase() : '';
+  return raw || 'console';
+};
+
+const getFromAddress = () => process.env.MAIL_FROM || 'SecurePrintHub <no-reply@localhost>';
+
+let smtpTransporter = null;
+
+async function getSmtpTransporter() {
+  if (smtpTransporter) return smtpTransporter;
+
+  const host = typeof process.env.SMTP_HOST === 'string' ? process.env.SMTP_HOST.trim() : '';
+  if (!host) {
+    throw new Error('[mail] MAIL_TRANSPORT=smtp but SMTP_HOST is not set');
+  }
+
+  const port = Number(process.env.SMTP_PORT) || 587;
+  const secureRaw = typeof process.env.SMTP_SECURE === 'string' ? process.env.SMTP_SECURE.trim().toLowerCase() : '';
+  const secure = secureRaw ? secureRaw === 'true' || secureRaw === '1' : port === 465;
+
+  const nodemailer = (await import('nodemailer')).default;
+  smtpTransporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD || '' }
+      : undefined,
+  });
+
+  return smtpTransporter;
+}
+
+const transports = {
+  async smtp(message) {
+    const transporter = await getSmtpTransporter();
+    const info = await transporter.sendMail(message);
+    return { id: info.messageId };
+  },
+
+  async file(message) {
+    const dir = path.resolve(process.env.MAIL_FILE_DIR || 'tmp/mail');
+    await fs.mkdir(dir, { recursive: true });
+
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    await fs.writeFile(
+      path.join(dir, `${id}.json`),
+      JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2)
+    );
+    return { id };
+  },
+
+  async console(message) {
+    if (process.env.NODE_ENV === 'production') {
+      console.warn('[mail] console transport in production: message not delivered, body withheld', {
+        to: message.to,
+        subject: message.subject,
+      });
+      return { id: null };
+    }
+    console.log('[mail] message', {
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+    });
+    return { id: null };
+  },
+};
+
+export async function sendMail({ to, subject, text, html }) {
+  const name = getTransportName();
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`[mail] Unknown MAIL_TRANSPORT "${name}"`);
+  }
+
+  return transport({ from: getFromAddress(), to, subject, text, html });
+}
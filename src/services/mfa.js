@@ -0,0 +1,99 @@
+import User from '../models/User.js';
+import { hashToken } from './authTokens.js';
+import { isAdminRole } from './permissions.js';
+import {
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  generateTotpSecret,
+  normalizeRecoveryCode,
+  verifyTotp,
+} from './totp.js';
+
+export const MFA_SECRET_FIELDS = '+mfa.secret +mfa.pendingSecret +mfa.lastUsedStep +mfa.recoveryCodes';
+
+export const isMfaRequiredByPolicy = async (user, policy) =>
+  !!policy?.mfa?.requireForAdmins && (await isAdminRole(user.role));
+
+export const isMfaRequiredForUser = async (user, policy) =>
+  !!(user.mfa && user.mfa.enabled) || (await isMfaRequiredByPolicy(user, policy));
+
+export async function startMfaEnrollment(user) {
+  const secret = generateTotpSecret();
+  await User.updateOne({ _id: user._id }, { $set: { 'mfa.pendingSecret': secret } });
+  return { secret, otpauthUri: buildOtpauthUri(secret, user.email) };
+}
+
+export async function issueRecoveryCodes(userId) {
+  const codes = generateRecoveryCodes();
+  await User.updateOne(
+    { _id: userId },
+    { $set: { 'mfa.recoveryCodes': codes.map((code) => ({ codeHash: hashToken(normalizeRecoveryCode(code)) })) } }
+  );
+  return codes;
+}
+
+// Verifies a TOTP code against the active secret and records its time step so it cannot be replayed.
+export async function verifyMfaCode(user, code) {
+  const secret = user.mfa && user.mfa.secret;
+  if (!secret) return false;
+
+  const step = verifyTotp(secret, code, { lastUsedStep: user.mfa.lastUsedStep });
+  if (step === null) return false;
+
+  const updated = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [{ 'mfa.lastUsedStep': { $exists: false } }, { 'mfa.lastUsedStep': null }, { 'mfa.lastUsedStep': { $lt: step } }],
+    },
+    { $set: { 'mfa.lastUsedStep': step } }
+  );
+
+  return updated.modifiedCount === 1;
+}
+
+export async function consumeRecoveryCode(user, code) {
+  const normalized = normalizeRecoveryCode(code);
+  if (!normalized) return false;
+
+  const updated = await User.updateOne(
+    { _id: user._id, 'mfa.recoveryCodes': { $elemMatch: { codeHash: hashToken(normalized), usedAt: null } } },
+    { $set: { 'mfa.recoveryCodes.$.usedAt': new Date() } }
+  );
+
+  return updated.modifiedCount === 1;
+}
+
+// Activates a pending secret once the user proves their authenticator produces valid codes.
+// Returns the freshly generated recovery codes, or null if the code did not match.
+export async function confirmMfaEnrollment(user, code) {
+  const pendingSecret = user.mfa && user.mfa.pendingSecret;
+  if (!pendingSecret) return null;
+
+  const step = verifyTotp(pendingSecret, code);
+  if (step === null) return null;
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        'mfa.enabled': true,
+        'mfa.secret': pendingSecret,
+        'mfa.enrolledAt': new Date(),
+        'mfa.lastUsedStep': step,
+      },
+      $unset: { 'mfa.pendingSecret': 1 },
+    }
+  );
+
+  return issueRecoveryCodes(user._id);
+}
+
+export async function disableMfa(userId) {
+  return User.updateOne(
+    { _id: userId },
+    {
+      $set: { 'mfa.enabled': false, 'mfa.recoveryCodes': [] },
+      $unset: { 'mfa.secret': 1, 'mfa.pendingSecret': 1, 'mfa.enrolledAt': 1, 'mfa.lastUsedStep': 1 },
+    }
+  );
+}
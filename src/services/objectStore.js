@@ -0,0 +1,92 @@
+import crypto from 'crypto';
+import StoredObject from '../models/StoredObject.js';
+import { deleteFromS3, uploadToS3 } from './s3.js';
+
+// Content-addressed storage for document files. Within an organization each distinct file
+// (by sha256) is uploaded once; later uploads of the same bytes add a reference to it.
+// Files from before deduplication have no StoredObject and belong to their one document.
+const OBJECT_PREFIX = 'objects/';
+
+export const checksumOf = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+const isDuplicateKey = (err) => err && err.code === 11000;
+
+// Adds a reference to the file with these bytes in orgId, uploading it when there is none.
+// Returns { key, url, checksum, size, deduplicated }.
+export async function storeObject(buffer, { mimeType, orgId = null }) {
+  const checksum = checksumOf(buffer);
+  const match = { orgId: orgId || null, checksum };
+
+  const existing = await StoredObject.findOneAndUpdate(match, { $inc: { refCount: 1 } }, { new: true }).lean();
+  if (existing) {
+    return { key: existing.key, url: existing.url, checksum, size: existing.size, deduplicated: true };
+  }
+
+  // Keys carry the upload time as well, so a purge still deleting an earlier, released copy
+  // of the same bytes never removes this one.
+  const { key, url } = await uploadToS3(
+    buffer,
+    mimeType,
+    `${OBJECT_PREFIX}${orgId || 'shared'}/`,
+    `${checksum}-${Date.now().toString(36)}`
+  );
+
+  try {
+    await StoredObject.create({ ...match, key, url, mimeType, size: buffer.length, refCount: 1 });
+  } catch (err) {
+    if (!isDuplicateKey(err)) throw err;
+    // The same file was stored concurrently; reference that copy instead.
+    await deleteFromS3([key]);
+    return storeObject(buffer, { mimeType, orgId });
+  }
+
+  return { key, url, checksum, size: buffer.length, deduplicated: false };
+}
+
+// The subset of keys that are stored (shared) objects.
+export async function storedObjectKeys(keys) {
+  const unique = [...new Set(keys.filter(Boolean))];
+  if (!unique.length) return new Set();
+  const objects = await StoredObject.find({ key: { $in: unique } }).select('key').lean();
+  return new Set(objects.map((object) => object.key));
+}
+
+// Drops one reference per listed key (a key listed twice loses two) and returns the keys no
+// longer referenced by anything. Their rows are removed; deleting the files from S3 is up
+// to the caller. With dryRun nothing changes and the result is what a release would return.
+export async function releaseObjects(keys, { dryRun = false } = {}) {
+  const counts = new Map();
+  keys.filter(Boolean).forEach((key) => counts.set(key, (counts.get(key) || 0) + 1));
+  if (!counts.size) return [];
+
+  const objects = await StoredObject.find({ key: { $in: [...counts.keys()] } }).lean();
+  const unreferenced = [];
+
+  for (const object of objects) {
+    const count = counts.get(object.key);
+    if (dryRun) {
+      if (object.refCount - count <= 0) unreferenced.push(object.key);
+      continue;
+    }
+
+    const updated = await StoredObject.findOneAndUpdate(
+      { _id: object._id },
+      { $inc: { refCount: -count } },
+      { new: true }
+    ).lean();
+    if (!updated || updated.refCount > 0) continue;
+
+    // Removing the row first means an upload racing with this one stores a fresh copy
+    // rather than referencing the file about to be deleted.
+    const removed = await StoredObject.deleteOne({ _id: object._id, refCount: { $lte: 0 } });
+    if (removed.deletedCount) unreferenced.push(object.key);
+  }
+
+  return unreferenced;
+}
+
+// Undoes storeObject when the document that was to reference the file is not saved.
+export async function discardObject(key) {
+  const unreferenced = await releaseObjects([key]);
+  if (unreferenced.length) await deleteFromS3(unreferenced);
+}
@@ -0,0 +1,285 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import User from '../models/User.js';
+import Organization from '../models/Organization.js';
+import { roleExists } from './permissions.js';
+
+// OpenID Connect authorization code flow with PKCE, using only Node's crypto and fetch.
+const METADATA_TTL_MS = 60 * 60 * 1000;
+const CLOCK_SKEW_SECONDS = 60;
+const SUPPORTED_ALGS = {
+  RS256: { hash: 'sha256' },
+  RS384: { hash: 'sha384' },
+  RS512: { hash: 'sha512' },
+  PS256: { hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+};
+
+const readEnv = (name) => (typeof process.env[name] === 'string' ? process.env[name].trim() : '');
+
+const readBooleanEnv = (name, fallback) => {
+  const raw = readEnv(name).toLowerCase();
+  if (!raw) return fallback;
+  return raw === 'true' || raw === '1' || raw === 'yes';
+};
+
+export function getOidcConfig() {
+  return {
+    issuer: readEnv('OIDC_ISSUER').replace(/\/+$/, ''),
+    clientId: readEnv('OIDC_CLIENT_ID'),
+    clientSecret: readEnv('OIDC_CLIENT_SECRET'),
+    redirectUri: readEnv('OIDC_REDIRECT_URI'),
+    scopes: readEnv('OIDC_SCOPES') || 'openid email profile',
+    roleClaim: readEnv('OIDC_ROLE_CLAIM') || 'roles',
+    roleMap: readEnv('OIDC_ROLE_MAP'),
+    defaultRole: (readEnv('OIDC_DEFAULT_ROLE') || 'user').toLowerCase(),
+    jitProvisioning: readBooleanEnv('OIDC_JIT_PROVISIONING', true),
+  };
+}
+
+export const isOidcEnabled = () => {
+  const config = getOidcConfig();
+  return !!(config.issuer && config.clientId && config.redirectUri);
+};
+
+const oidcError = (message, statusCode = 401) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+const fetchJson = async (url, options) => {
+  const res = await fetch(url, options);
+  const body = await res.json().catch(() => null);
+  if (!res.ok || !body) {
+    const detail = body && (body.error_description || body.error);
+    throw oidcError(`OIDC request to ${url} failed (${res.status}${detail ? `: ${detail}` : ''})`, 502);
+  }
+  return body;
+};
+
+let metadataCache = { issuer: null, value: null, expiresAt: 0 };
+let jwksCache = { uri: null, keys: [], expiresAt: 0 };
+
+async function getProviderMetadata(issuer) {
+  if (metadataCache.issuer === issuer && metadataCache.expiresAt > Date.now()) {
+    return metadataCache.value;
+  }
+
+  const metadata = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+  if (String(metadata.issuer || '').replace(/\/+$/, '') !== issuer) {
+    throw oidcError('OIDC discovery issuer mismatch', 502);
+  }
+
+  metadataCache = { issuer, value: metadata, expiresAt: Date.now() + METADATA_TTL_MS };
+  return metadata;
+}
+
+// Keys are cached; an unknown kid forces one refetch to pick up provider key rotation.
+async function getSigningKey(jwksUri, kid) {
+  const findKey = () => jwksCache.keys.find((k) => (kid ? k.kid === kid : true) && k.use !== 'enc');
+
+  if (jwksCache.uri === jwksUri && jwksCache.expiresAt > Date.now()) {
+    const cached = findKey();
+    if (cached) return cached;
+  }
+
+  const jwks = await fetchJson(jwksUri);
+  jwksCache = {
+    uri: jwksUri,
+    keys: Array.isArray(jwks.keys) ? jwks.keys : [],
+    expiresAt: Date.now() + METADATA_TTL_MS,
+  };
+
+  const key = findKey();
+  if (!key) {
+    throw oidcError('No matching OIDC signing key');
+  }
+  return key;
+}
+
+const base64UrlJson = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+export const createPkcePair = () => {
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  return { codeVerifier, codeChallenge };
+};
+
+export async function buildAuthorizationUrl({ state, nonce, codeChallenge }) {
+  const config = getOidcConfig();
+  const metadata = await getProviderMetadata(config.issuer);
+
+  const url = new URL(metadata.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: config.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256',
+  }).toString();
+
+  return url.toString();
+}
+
+export async function exchangeAuthorizationCode(code, codeVerifier) {
+  const config = getOidcConfig();
+  const metadata = await getProviderMetadata(config.issuer);
+
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: config.redirectUri,
+    code_verifier: codeVerifier,
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+
+  // client_secret_basic is the spec default; public clients just send client_id.
+  const authMethods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+  if (config.clientSecret && authMethods.includes('client_secret_basic')) {
+    const credentials = `${encodeURIComponent(config.clientId)}:${encodeURIComponent(config.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  } else {
+    params.set('client_id', config.clientId);
+    if (config.clientSecret) params.set('client_secret', config.clientSecret);
+  }
+
+  return fetchJson(metadata.token_endpoint, { method: 'POST', headers, body: params.toString() });
+}
+
+// Verifies signature and standard claims of an ID token and returns its payload.
+export async function verifyIdToken(idToken, expectedNonce) {
+  const config = getOidcConfig();
+  const metadata = await getProviderMetadata(config.issuer);
+
+  const parts = typeof idToken === 'string' ? idToken.split('.') : [];
+  if (parts.length !== 3) {
+    throw oidcError('Malformed ID token');
+  }
+
+  let header;
+  let claims;
+  try {
+    header = base64UrlJson(parts[0]);
+    claims = base64UrlJson(parts[1]);
+  } catch {
+    throw oidcError('Malformed ID token');
+  }
+
+  const alg = SUPPORTED_ALGS[header.alg];
+  if (!alg) {
+    throw oidcError(`Unsupported ID token algorithm: ${header.alg}`);
+  }
+
+  const jwk = await getSigningKey(metadata.jwks_uri, header.kid);
+  const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  const valid = crypto.verify(
+    alg.hash,
+    Buffer.from(`${parts[0]}.${parts[1]}`),
+    { key: publicKey, padding: alg.padding, dsaEncoding: alg.dsaEncoding },
+    Buffer.from(parts[2], 'base64url')
+  );
+  if (!valid) {
+    throw oidcError('Invalid ID token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+
+  if (String(claims.iss || '').replace(/\/+$/, '') !== config.issuer) {
+    throw oidcError('ID token issuer mismatch');
+  }
+  if (!audiences.includes(config.clientId) || (audiences.length > 1 && claims.azp !== config.clientId)) {
+    throw oidcError('ID token audience mismatch');
+  }
+  if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SECONDS < now) {
+    throw oidcError('ID token expired');
+  }
+  if (typeof claims.iat === 'number' && claims.iat - CLOCK_SKEW_SECONDS > now) {
+    throw oidcError('ID token issued in the future');
+  }
+  if (!expectedNonce || claims.nonce !== expectedNonce) {
+    throw oidcError('ID token nonce mismatch');
+  }
+  if (!claims.sub) {
+    throw oidcError('ID token has no subject');
+  }
+
+  return claims;
+}
+
+const readClaim = (claims, path) =>
+  path.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), claims);
+
+// OIDC_ROLE_MAP is "idpValue:role,otherValue:role"; the first listed mapping that matches wins.
+export async function resolveRoleFromClaims(claims) {
+  const config = getOidcConfig();
+  const raw = readClaim(claims, config.roleClaim);
+  const values = new Set((Array.isArray(raw) ? raw : [raw]).filter(Boolean).map(String));
+
+  const mappings = config.roleMap
+    .split(',')
+    .map((entry) => entry.split(':').map((part) => part.trim()))
+    .filter(([claimValue, role]) => claimValue && role);
+
+  for (const [claimValue, role] of mappings) {
+    if (values.has(claimValue) && (await roleExists(role.toLowerCase()))) {
+      return role.toLowerCase();
+    }
+  }
+
+  return config.defaultRole;
+}
+
+// Finds the local user for verified ID token claims: by linked identity, then by verified
+// email (linking it), then by just-in-time provisioning when enabled.
+export async function findOrProvisionOidcUser(claims) {
+  const config = getOidcConfig();
+  const identity = { 'oidc.issuer': config.issuer, 'oidc.subject': String(claims.sub) };
+
+  const linked = await User.findOne(identity);
+  if (linked) return linked;
+
+  // A missing email_verified claim is not a verification: linking on it would hand any local
+  // account, admins included, to whoever can set that email at the identity provider.
+  const email = typeof claims.email === 'string' ? claims.email.trim().toLowerCase() : '';
+  if (!email || claims.email_verified !== true) {
+    throw oidcError('Identity provider did not return a verified email address', 403);
+  }
+
+  const existing = await User.findOne({ email });
+  if (existing) {
+    if (existing.oidc && existing.oidc.subject) {
+      throw oidcError('This account is linked to a different identity', 409);
+    }
+
+    existing.oidc = { issuer: config.issuer, subject: String(claims.sub), linkedAt: new Date() };
+    if (existing.emailVerified === false) {
+      existing.emailVerified = true;
+      existing.emailVerifiedAt = new Date();
+    }
+    await existing.save();
+    return existing;
+  }
+
+  if (!config.jitProvisioning) {
+    throw oidcError('No account exists for this identity', 403);
+  }
+
+  // SSO users never log in with a password; store an unguessable hash so the field stays required.
+  const passwordHash = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+
+  return User.create({
+    email,
+    passwordHash,
+    role: await resolveRoleFromClaims(claims),
+    emailVerified: true,
+    emailVerifiedAt: new Date(),
+    orgId: await Organization.getDefaultId(),
+    oidc: { issuer: config.issuer, subject: String(claims.sub), linkedAt: new Date() },
+  });
+}
@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+import Organization from '../models/Organization.js';
+import User from '../models/User.js';
+import Document from '../models/Document.js';
+import DocumentAccess from '../models/DocumentAccess.js';
+import DocumentJobs from '../models/DocumentJobs.js';
+import PrintLog from '../models/PrintLog.js';
+import BlockedIp from '../models/BlockedIp.js';
+import { hasPermission } from './permissions.js';
+
+const toObjectId = (value) =>
+  value && mongoose.Types.ObjectId.isValid(String(value)) ? new mongoose.Types.ObjectId(String(value)) : null;
+
+// Platform admins (orgs:manage) are not confined to their own organization.
+export const canAccessAllOrgs = (req) => hasPermission(req.permissions, 'orgs:manage');
+
+const requestedOrgId = (req) => toObjectId(req.query?.orgId || req.body?.orgId);
+
+// Filter to merge into queries on org-scoped collections. Platform admins see every
+// organization unless they narrow it with ?orgId=.
+export function orgFilter(req) {
+  if (canAccessAllOrgs(req)) {
+    const requested = requestedOrgId(req);
+    return requested ? { orgId: requested } : {};
+  }
+  return { orgId: toObjectId(req.user?.orgId) };
+}
+
+// Organization to stamp on records an admin creates. For platform admins this is the
+// requested org, or null (global) where the collection allows it.
+export function targetOrgId(req) {
+  if (canAccessAllOrgs(req)) {
+    return requestedOrgId(req);
+  }
+  return toObjectId(req.user?.orgId);
+}
+
+export const isSameOrg = (req, record) =>
+  !!record && (canAccessAllOrgs(req) || String(record.orgId || '') === String(req.user?.orgId || ''));
+
+export const findUserInScope = (req, userId, projection) => {
+  if (!mongoose.Types.ObjectId.isValid(String(userId))) return null;
+  return User.findOne({ _id: userId, ...orgFilter(req) }, projection);
+};
+
+// Assigns the default organization to records created before multi-tenancy.
+// Blocked IPs without an org stay global on purpose.
+export async function ensureDefaultOrganization() {
+  const defaultOrgId = await Organization.getDefaultId();
+  const missing = { orgId: { $exists: false } };
+
+  await Promise.all(
+    [User, Document, DocumentAccess, DocumentJobs, PrintLog].map((Model) =>
+      Model.updateMany(missing, { $set: { orgId: defaultOrgId } })
+    )
+  );
+
+  // The unique index moved from ip to (ip, orgId).
+  await BlockedIp.syncIndexes();
+
+  return defaultOrgId;
+}
@@ -0,0 +1,152 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import bcrypt from 'bcryptjs';
+import { getSecurityPolicy } from './securityPolicy.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export async function getPasswordPolicy(orgId = null) {
+  const policy = await getSecurityPolicy(orgId);
+  return policy.passwordPolicy || {};
+}
+
+// BREACHED_PASSWORDS_PATH is either a directory of k-anonymity range files named by the
+// first five hex characters of the SHA-1 (lines "SUFFIX:COUNT", as served by the
+// Pwned Passwords range API), or a single file of full SHA-1 hashes ("HASH[:COUNT]" per line).
+const getBreachedListPath = () =>
+  typeof process.env.BREACHED_PASSWORDS_PATH === 'string' ? process.env.BREACHED_PASSWORDS_PATH.trim() : '';
+
+async function fileContainsHash(filePath, matches) {
+  const stream = fs.createReadStream(filePath, { encoding: 'utf8' });
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+
+  try {
+    for await (const line of lines) {
+      const hash = line.split(':')[0].trim().toUpperCase();
+      if (hash && matches(hash)) return true;
+    }
+    return false;
+  } finally {
+    lines.close();
+    stream.destroy();
+  }
+}
+
+export async function isBreachedPassword(password) {
+  const listPath = getBreachedListPath();
+  if (!listPath) return false;
+
+  const sha1 = crypto.createHash('sha1').update(String(password)).digest('hex').toUpperCase();
+  const prefix = sha1.slice(0, 5);
+  const suffix = sha1.slice(5);
+
+  try {
+    const stat = await fs.promises.stat(listPath);
+    if (stat.isDirectory()) {
+      const rangeFile = path.join(listPath, prefix);
+      if (!fs.existsSync(rangeFile)) return false;
+      return fileContainsHash(rangeFile, (hash) => hash === suffix);
+    }
+    return fileContainsHash(listPath, (hash) => hash === sha1);
+  } catch (err) {
+    // A missing or unreadable list must not block password changes.
+    console.error('Breached password list check failed', err);
+    return false;
+  }
+}
+
+// Returns the list of policy violations for a new password (empty when it is acceptable).
+// With a user, the current and previous hashes are checked for reuse; the user document
+// must include passwordHash and passwordHistory.
+export async function validatePassword(password, policy, { user = null, email = '' } = {}) {
+  const errors = [];
+
+  if (typeof password !== 'string' || !password) {
+    return ['Password is required'];
+  }
+
+  const minLength = Number(policy.minLength) || 6;
+  if (password.length < minLength) {
+    errors.push(`Password must be at least ${minLength} characters long`);
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    errors.push('Password must contain an uppercase letter');
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    errors.push('Password must contain a lowercase letter');
+  }
+  if (policy.requireDigit && !/\d/.test(password)) {
+    errors.push('Password must contain a digit');
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push('Password must contain a symbol');
+  }
+
+  const normalizedEmail = String(email || user?.email || '').toLowerCase();
+  if (normalizedEmail && password.toLowerCase() === normalizedEmail) {
+    errors.push('Password must not match the email address');
+  }
+
+  if (errors.length) {
+    return errors;
+  }
+
+  const historyCount = Number(policy.historyCount) || 0;
+  if (user && historyCount > 0) {
+    const history = (user.passwordHistory || []).map((entry) => entry.hash).reverse();
+    const previous = [user.passwordHash, ...history]
+      .filter(Boolean)
+      .slice(0, historyCount);
+
+    for (const hash of previous) {
+      if (await bcrypt.compare(password, hash)) {
+        errors.push(`Password must not match any of the last ${historyCount} passwords`);
+        break;
+      }
+    }
+  }
+
+  if (policy.rejectBreached !== false && (await isBreachedPassword(password))) {
+    errors.push('Password appears in a list of breached passwords; choose a different one');
+  }
+
+  return errors;
+}
+
+export const passwordPolicyError = (res, errors) =>
+  res.status(400).json({ message: errors.join('; '), code: 'PASSWORD_POLICY', errors });
+
+// Update for User.findByIdAndUpdate that sets a new hash and moves the old one into history.
+export function buildPasswordUpdate(user, newPasswordHash, policy) {
+  const historyCount = Number(policy.historyCount) || 0;
+  const update = {
+    $set: {
+      passwordHash: newPasswordHash,
+      passwordChangedAt: new Date(),
+      mustChangePassword: false,
+    },
+  };
+
+  if (historyCount > 0 && user.passwordHash) {
+    update.$push = {
+      passwordHistory: {
+        $each: [{ hash: user.passwordHash, changedAt: user.passwordChangedAt || new Date() }],
+        $slice: -historyCount,
+      },
+    };
+  }
+
+  return update;
+}
+
+export function isPasswordExpired(user, policy) {
+  if (user.mustChangePassword) return true;
+
+  const maxAgeDays = Number(policy.maxAgeDays) || 0;
+  if (maxAgeDays <= 0) return false;
+
+  const changedAt = user.passwordChangedAt || user.createdAt;
+  return !!changedAt && Date.now() - new Date(changedAt).getTime() > maxAgeDays * DAY_MS;
+}
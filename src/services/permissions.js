@@ -0,0 +1,166 @@
+import Role from '../models/Role.js';
+
+export const PERMISSIONS = {
+  'users:read': 'List users and their details',
+  'users:manage': 'Create users and change their roles or security settings',
+  'admins:manage': 'Create and list administrator accounts',
+  'roles:manage': 'Create and edit role definitions',
+  'docs:read': 'List uploaded documents',
+  'docs:upload': 'Upload source documents',
+  'docs:assign': 'Assign documents, quotas and print jobs to users',
+  'docs:delete': 'Archive, delete and restore documents and run document retention',
+  'sessions:read': 'View user sessions',
+  'sessions:manage': 'Log out user sessions',
+  'ips:read': 'View blocked IPs',
+  'ips:manage': 'Block and unblock IPs',
+  'security:policy': 'View and change the security policy',
+  'logs:read': 'View login history, IP reports and other logs',
+  'audit:read': 'View the audit log of admin and security actions',
+  'account:password': 'Change own password from the admin panel',
+  'orgs:manage': 'Create organizations, move users between them and act across all of them',
+};
+
+// Permissions that only platform-level roles may hold.
+const PLATFORM_PERMISSIONS = ['orgs:manage'];
+
+export const DEFAULT_ROLES = {
+  super_admin: {
+    description: 'Platform administrator across all organizations',
+    permissions: ['*'],
+  },
+  admin: {
+    description: 'Full administrative access within an organization',
+    permissions: Object.keys(PERMISSIONS).filter((p) => !PLATFORM_PERMISSIONS.includes(p)),
+  },
+  operator: {
+    description: 'Uploads documents and assigns print jobs',
+    permissions: ['users:read', 'docs:read', 'docs:upload', 'docs:assign', 'account:password'],
+  },
+  auditor: {
+    description: 'Read-only access to users, logs and reports',
+    permissions: ['users:read', 'docs:read', 'sessions:read', 'ips:read', 'logs:read', 'audit:read', 'account:password'],
+  },
+  security_officer: {
+    description: 'Manages IP blocks and user sessions',
+    permissions: [
+      'users:read',
+      'sessions:read',
+      'sessions:manage',
+      'ips:read',
+      'ips:manage',
+      'logs:read',
+      'audit:read',
+      'account:password',
+    ],
+  },
+  user: {
+    description: 'Prints documents assigned to them',
+    permissions: [],
+  },
+};
+
+export const isKnownPermission = (permission) => Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+
+// Supports exact matches plus "*" and "<resource>:*" wildcards.
+export const hasPermission = (granted, permission) => {
+  if (!Array.isArray(granted)) return false;
+  const [resource] = permission.split(':');
+  return granted.includes('*') || granted.includes(permission) || granted.includes(`${resource}:*`);
+};
+
+// Built-in roles whose permissions cannot be edited.
+export const LOCKED_ROLES = ['super_admin', 'admin'];
+
+const CACHE_TTL_MS = 30_000;
+let roleCache = null;
+let roleCacheAt = 0;
+
+async function loadRoles() {
+  const now = Date.now();
+  if (roleCache && now - roleCacheAt < CACHE_TTL_MS) {
+    return roleCache;
+  }
+
+  const roles = await Role.find({}).select('name permissions').lean();
+  roleCache = new Map(roles.map((r) => [r.name, r.permissions || []]));
+  roleCacheAt = now;
+  return roleCache;
+}
+
+export function invalidateRoleCache() {
+  roleCache = null;
+  roleCacheAt = 0;
+}
+
+export async function getRolePermissions(roleName) {
+  const name = typeof roleName === 'string' ? roleName.toLowerCase() : '';
+  if (!name) return [];
+
+  // The admin roles are not editable, so they always track the current permission catalogue.
+  if (LOCKED_ROLES.includes(name)) {
+    return DEFAULT_ROLES[name].permissions;
+  }
+
+  const roles = await loadRoles();
+  if (roles.has(name)) {
+    return roles.get(name);
+  }
+
+  return DEFAULT_ROLES[name] ? DEFAULT_ROLES[name].permissions : [];
+}
+
+// Names of the roles that grant a permission, e.g. to find who should be notified about something.
+export async function rolesWithPermission(permission) {
+  const roles = await loadRoles();
+  const names = new Set([...Object.keys(DEFAULT_ROLES), ...roles.keys()]);
+  const result = [];
+  for (const name of names) {
+    if (hasPermission(await getRolePermissions(name), permission)) result.push(name);
+  }
+  return result;
+}
+
+export async function roleExists(roleName) {
+  const name = typeof roleName === 'string' ? roleName.toLowerCase() : '';
+  if (!name) return false;
+  const roles = await loadRoles();
+  return roles.has(name) || !!DEFAULT_ROLES[name];
+}
+
+// Creates any built-in role missing from the database. Existing definitions keep their edits,
+// except the locked admin roles whose stored permissions are refreshed from DEFAULT_ROLES.
+export async function ensureDefaultRoles() {
+  await Promise.all(
+    Object.entries(DEFAULT_ROLES).map(([name, def]) =>
+      Role.updateOne(
+        { name },
+        LOCKED_ROLES.includes(name)
+          ? {
+              $set: { permissions: def.permissions, isSystem: true },
+              $setOnInsert: { name, description: def.description },
+            }
+          : { $setOnInsert: { name, description: def.description, permissions: def.permissions, isSystem: true } },
+        { upsert: true }
+      )
+    )
+  );
+  invalidateRoleCache();
+}
+
+// Holding any of these makes a role administrative, whatever it is called (e.g. for the
+// security policy's MFA requirement for admins).
+const ADMIN_PERMISSIONS = ['users:manage', 'admins:manage', 'roles:manage', 'security:policy', 'orgs:manage'];
+
+export async function isAdminRole(roleName) {
+  const granted = await getRolePermissions(roleName);
+  return ADMIN_PERMISSIONS.some((permission) => hasPermission(granted, permission));
+}
+
+// A caller may only grant (or take away) a role whose permissions they hold themselves.
+export async function canManageRole(grantedPermissions, roleName) {
+  const rolePermissions = await getRolePermissions(roleName);
+  if (rolePermissions.includes('*')) {
+    return Array.isArray(grantedPermissions) && grantedPermissions.includes('*');
+  }
+  return rolePermissions.every((permission) => hasPermission(grantedPermissions, permission));
+}
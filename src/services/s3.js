@@ -2,7 +2,7 @@
 import dotenv from "dotenv";
 dotenv.config();
 
-import { S3Client, PutObjectCommand } from "@aws-sdk/client-s3";
+import { S3Client, PutObjectCommand, DeleteObjectsCommand } from "@aws-sdk/client-s3";
 
 if (!process.env.AWS_REGION) {
   throw new Error("AWS_REGION missing");
@@ -15,10 +15,22 @@ export const s3 = new S3Client({
   region: process.env.AWS_REGION,
 });
 
-export async function uploadToS3(buffer, contentType, prefix = "") {
-  const key = `${prefix}${Date.now()}-${Math.random()
-    .toString(36)
-    .slice(2)}.pdf`;
+// Key extension per stored content type; anything else is stored without one.
+const KEY_EXTENSIONS = {
+  "application/pdf": ".pdf",
+  "image/svg+xml": ".svg",
+  "image/png": ".png",
+  "image/jpeg": ".jpg",
+  "image/gif": ".gif",
+  "image/webp": ".webp",
+};
+
+// name replaces the random part of the key when given.
+export async function uploadToS3(buffer, contentType, prefix = "", name = null) {
+  const extension = KEY_EXTENSIONS[String(contentType || "").toLowerCase()] || "";
+  const key = `${prefix}${
+    name || `${Date.now()}-${Math.random().toString(36).slice(2)}`
+  }${extension}`;
 
   await s3.send(
     new PutObjectCommand({
@@ -33,4 +45,28 @@ export async function uploadToS3(buffer, contentType, prefix = "") {
     key,
     url: `https://${process.env.AWS_S3_BUCKET}.s3.${process.env.AWS_REGION}.amazonaws.com/${key}`,
   };
-}
\ No newline at end of file
+}
+
+// DeleteObjects takes at most 1000 keys per request.
+const DELETE_BATCH_SIZE = 1000;
+
+// Deletes the given keys; missing keys count as deleted. Returns the keys S3 refused.
+export async function deleteFromS3(keys) {
+  const unique = Array.from(new Set((keys || []).filter(Boolean)));
+  const failed = [];
+
+  for (let i = 0; i < unique.length; i += DELETE_BATCH_SIZE) {
+    const batch = unique.slice(i, i + DELETE_BATCH_SIZE);
+    const result = await s3.send(
+      new DeleteObjectsCommand({
+        Bucket: process.env.AWS_S3_BUCKET,
+        Delete: { Objects: batch.map((Key) => ({ Key })), Quiet: true },
+      })
+    );
+    for (const error of result.Errors || []) {
+      failed.push({ key: error.Key, code: error.Code, message: error.Message });
+    }
+  }
+
+  return { deleted: unique.length - failed.length, failed };
+}
@@ -0,0 +1,292 @@
+import SecurityPolicy from '../models/SecurityPolicy.js';
+import { parseIpOrCidr } from './ipAddress.js';
+
+const CACHE_TTL_MS = 30_000;
+
+function validateSessionRoleOverrides(value) {
+  if (!Array.isArray(value)) {
+    return { error: 'sessions.roleOverrides must be an array' };
+  }
+
+  const overrides = [];
+  for (const entry of value) {
+    const role = typeof entry?.role === 'string' ? entry.role.trim().toLowerCase() : '';
+    if (!role) {
+      return { error: 'sessions.roleOverrides entries need a role' };
+    }
+
+    const override = { role };
+    for (const [field, max] of [['idleTimeoutMinutes', 7 * 24 * 60], ['absoluteLifetimeHours', 365 * 24]]) {
+      if (entry[field] === undefined || entry[field] === null) continue;
+      if (!Number.isInteger(entry[field]) || entry[field] < 0 || entry[field] > max) {
+        return { error: `sessions.roleOverrides ${field} must be an integer between 0 and ${max}` };
+      }
+      override[field] = entry[field];
+    }
+    overrides.push(override);
+  }
+
+  return { value: overrides };
+}
+
+const validateIpRangeList = (path) => (value) => {
+  if (!Array.isArray(value)) {
+    return { error: `${path} must be an array` };
+  }
+
+  const ranges = [];
+  for (const entry of value) {
+    const range = parseIpOrCidr(String(entry));
+    if (!range) {
+      return { error: `${path} contains an invalid IP address or CIDR: ${entry}` };
+    }
+    ranges.push(range.canonical);
+  }
+
+  return { value: Array.from(new Set(ranges)) };
+};
+
+const GEO_MODES = ['off', 'allow', 'deny'];
+
+function validateGeoMode(value) {
+  return GEO_MODES.includes(value) ? { value } : { error: `geo.mode must be one of ${GEO_MODES.join(', ')}` };
+}
+
+function validateCountryList(value) {
+  if (!Array.isArray(value)) {
+    return { error: 'geo.countries must be an array' };
+  }
+
+  const countries = value.map((entry) => String(entry).trim().toUpperCase());
+  const invalid = countries.find((code) => !/^[A-Z]{2}$/.test(code));
+  if (invalid !== undefined) {
+    return { error: `geo.countries contains an invalid ISO country code: ${invalid}` };
+  }
+
+  return { value: Array.from(new Set(countries)) };
+}
+
+const ANOMALY_ACTIONS = ['none', 'step_up', 'revoke_others'];
+
+const validateAnomalyAction = (path) => (value) =>
+  ANOMALY_ACTIONS.includes(value)
+    ? { value }
+    : { error: `${path} must be one of ${ANOMALY_ACTIONS.join(', ')}` };
+
+// Settings an admin may change through PUT /api/admin/security-policy, keyed by dotted path.
+// `stricter` marks platform minimums: an organization override can tighten them but the
+// effective value is never weaker than the platform's (see getSecurityPolicy).
+const POLICY_FIELDS = {
+  'mfa.requireForAdmins': { type: 'boolean', stricter: 'on' },
+  'passwordPolicy.minLength': { type: 'number', min: 6, max: 128, stricter: 'higher' },
+  'passwordPolicy.requireUppercase': { type: 'boolean', stricter: 'on' },
+  'passwordPolicy.requireLowercase': { type: 'boolean', stricter: 'on' },
+  'passwordPolicy.requireDigit': { type: 'boolean', stricter: 'on' },
+  'passwordPolicy.requireSymbol': { type: 'boolean', stricter: 'on' },
+  'passwordPolicy.historyCount': { type: 'number', min: 0, max: 24, stricter: 'higher' },
+  'passwordPolicy.maxAgeDays': { type: 'number', min: 0, max: 3650, stricter: 'lowerNonZero' },
+  'passwordPolicy.rejectBreached': { type: 'boolean', stricter: 'on' },
+  'sessions.idleTimeoutMinutes': { type: 'number', min: 0, max: 7 * 24 * 60 },
+  'sessions.absoluteLifetimeHours': { type: 'number', min: 0, max: 365 * 24 },
+  'sessions.roleOverrides': { type: 'custom', validate: validateSessionRoleOverrides },
+  'geo.mode': { type: 'custom', validate: validateGeoMode },
+  'geo.countries': { type: 'custom', validate: validateCountryList },
+  'geo.allowUnknown': { type: 'boolean' },
+  'loginAnomalies.enabled': { type: 'boolean' },
+  'loginAnomalies.lookbackDays': { type: 'number', min: 1, max: 365 },
+  'loginAnomalies.maxTravelSpeedKmh': { type: 'number', min: 100, max: 20000 },
+  'loginAnomalies.newDeviceAction': {
+    type: 'custom',
+    validate: validateAnomalyAction('loginAnomalies.newDeviceAction'),
+  },
+  'loginAnomalies.impossibleTravelAction': {
+    type: 'custom',
+    validate: validateAnomalyAction('loginAnomalies.impossibleTravelAction'),
+  },
+  'lockout.maxFailedAttempts': { type: 'number', min: 1, max: 100, stricter: 'lower' },
+  'lockout.lockMinutes': { type: 'number', min: 1, max: 7 * 24 * 60, stricter: 'higher' },
+  'lockout.lockGrowthFactor': { type: 'number', min: 1, max: 10, stricter: 'higher' },
+  'lockout.maxLockMinutes': { type: 'number', min: 1, max: 365 * 24 * 60, stricter: 'higher' },
+  'lockout.permanentLockAfter': { type: 'number', min: 0, max: 100, stricter: 'lowerNonZero' },
+  'lockout.lockCountResetDays': { type: 'number', min: 1, max: 365 },
+  'lockout.notifyAdmins': { type: 'boolean' },
+  'ipWhitelist.required': { type: 'boolean', stricter: 'on' },
+  'ipWhitelist.ranges': { type: 'custom', validate: validateIpRangeList('ipWhitelist.ranges') },
+  'retention.sourceDeletedDays': { type: 'number', min: 0, max: 3650 },
+  'retention.generatedDeletedDays': { type: 'number', min: 0, max: 3650 },
+  'retention.generatedMaxAgeDays': { type: 'number', min: 0, max: 3650 },
+  'retention.pageArtifactDays': { type: 'number', min: 0, max: 3650 },
+  'autoBlock.enabled': { type: 'boolean', globalOnly: true },
+  'autoBlock.dryRun': { type: 'boolean', globalOnly: true },
+  'autoBlock.windowMinutes': { type: 'number', min: 1, max: 24 * 60, globalOnly: true },
+  'autoBlock.ipThreshold': { type: 'number', min: 1, max: 100000, globalOnly: true },
+  'autoBlock.subnetThreshold': { type: 'number', min: 1, max: 100000, globalOnly: true },
+  'autoBlock.distinctAccountsThreshold': { type: 'number', min: 1, max: 100000, globalOnly: true },
+  'autoBlock.baseBlockMinutes': { type: 'number', min: 1, max: 365 * 24 * 60, globalOnly: true },
+  'autoBlock.maxBlockMinutes': { type: 'number', min: 1, max: 365 * 24 * 60, globalOnly: true },
+  'autoBlock.strikeMemoryDays': { type: 'number', min: 1, max: 365, globalOnly: true },
+  'autoBlock.exemptRanges': { type: 'custom', validate: validateIpRangeList('autoBlock.exemptRanges'), globalOnly: true },
+};
+
+// The stricter of a platform and an organization value. lowerNonZero: 0 means "never".
+const STRICTER = {
+  on: (platform, org) => platform === true || org === true,
+  higher: (platform, org) => Math.max(platform, org),
+  lower: (platform, org) => Math.min(platform, org),
+  lowerNonZero: (platform, org) => (!platform || !org ? platform || org : Math.min(platform, org)),
+};
+
+// Sections an organization can only configure while the platform leaves them off.
+const PLATFORM_SECTIONS = {
+  geo: (platform) => platform.mode && platform.mode !== 'off',
+  ipWhitelist: (platform) => platform.required === true,
+};
+
+const cache = new Map();
+
+async function loadCached(key, loader) {
+  const hit = cache.get(key);
+  const now = Date.now();
+  if (hit && now - hit.at < CACHE_TTL_MS) {
+    return hit.value;
+  }
+
+  const value = await loader();
+  cache.set(key, { value, at: now });
+  return value;
+}
+
+const META_FIELDS = new Set(['_id', '__v', 'scope', 'orgId', 'createdAt', 'updatedAt', 'updatedBy']);
+
+const isPlainObject = (value) =>
+  !!value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) &&
+  !(value._bsontype);
+
+function mergePolicy(base, overrides) {
+  const result = { ...base };
+  for (const [key, value] of Object.entries(overrides || {})) {
+    if (META_FIELDS.has(key) || value === undefined) continue;
+    result[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergePolicy(base[key], value) : value;
+  }
+  return result;
+}
+
+const orgScopeKey = (orgId) => `org:${orgId.toString()}`;
+
+export const getOrgPolicyOverrides = (orgId) =>
+  loadCached(orgScopeKey(orgId), () => SecurityPolicy.findOne({ scope: orgScopeKey(orgId) }).lean());
+
+// Effective policy: global defaults with the organization's overrides applied on top.
+export async function getSecurityPolicy(orgId = null) {
+  const global = await loadCached('global', () => SecurityPolicy.getGlobal());
+  if (!orgId) {
+    return global;
+  }
+
+  const overrides = await getOrgPolicyOverrides(orgId);
+  if (!overrides) return global;
+
+  return applyPlatformMinimums(global, mergePolicy(global, overrides));
+}
+
+// Organization overrides may tighten the platform policy but not relax it.
+function applyPlatformMinimums(global, policy) {
+  for (const [section, enforced] of Object.entries(PLATFORM_SECTIONS)) {
+    if (global[section] && enforced(global[section])) policy[section] = global[section];
+  }
+
+  for (const [path, spec] of Object.entries(POLICY_FIELDS)) {
+    if (!spec.stricter) continue;
+    const platform = getPath(global, path);
+    const current = getPath(policy, path);
+    if (platform === undefined || platform === null || current === undefined || current === null) continue;
+
+    const [section, key] = path.split('.');
+    const value = STRICTER[spec.stricter](platform, current);
+    if (value !== current) policy[section] = { ...policy[section], [key]: value };
+  }
+  return policy;
+}
+
+export function invalidateSecurityPolicyCache() {
+  cache.clear();
+}
+
+const getPath = (obj, path) =>
+  path.split('.').reduce((acc, key) => (acc && typeof acc === 'object' ? acc[key] : undefined), obj);
+
+// The current values of the given dotted paths, as a nested object (for audit snapshots).
+export function pickPolicyValues(policy, paths) {
+  const result = {};
+  for (const path of paths) {
+    const keys = path.split('.');
+    let target = result;
+    keys.slice(0, -1).forEach((key) => {
+      target[key] = target[key] || {};
+      target = target[key];
+    });
+    target[keys[keys.length - 1]] = getPath(policy, path) ?? null;
+  }
+  return result;
+}
+
+// Validates a (possibly nested) policy patch against POLICY_FIELDS and returns a flat $set.
+// Settings marked globalOnly cannot be overridden per organization; `only` restricts the
+// accepted settings to one section (e.g. 'autoBlock').
+export function buildPolicyUpdate(body, { orgScoped = false, only = null } = {}) {
+  const set = {};
+  const errors = [];
+
+  for (const [path, spec] of Object.entries(POLICY_FIELDS)) {
+    if (only && !path.startsWith(`${only}.`)) continue;
+
+    const value = body[path] !== undefined ? body[path] : getPath(body, path);
+    if (value === undefined) continue;
+
+    if (orgScoped && spec.globalOnly) {
+      errors.push(`${path} is a platform-wide setting and cannot be set per organization`);
+      continue;
+    }
+
+    if (spec.type === 'boolean' && typeof value !== 'boolean') {
+      errors.push(`${path} must be a boolean`);
+      continue;
+    }
+
+    if (
+      spec.type === 'number' &&
+      (!Number.isInteger(value) || value < spec.min || value > spec.max)
+    ) {
+      errors.push(`${path} must be an integer between ${spec.min} and ${spec.max}`);
+      continue;
+    }
+
+    if (spec.type === 'custom') {
+      const result = spec.validate(value);
+      if (result.error) {
+        errors.push(result.error);
+        continue;
+      }
+      set[path] = result.value;
+      continue;
+    }
+
+    set[path] = value;
+  }
+
+  return { set, errors };
+}
+
+export async function updateSecurityPolicy(set, updatedBy, orgId = null) {
+  const scope = orgId ? orgScopeKey(orgId) : 'global';
+
+  const updated = await SecurityPolicy.findOneAndUpdate(
+    { scope },
+    { $set: { ...set, updatedBy }, $setOnInsert: { scope, orgId: orgId || null } },
+    // Organization documents must only hold explicit overrides, so no schema defaults there.
+    { upsert: true, new: true, setDefaultsOnInsert: !orgId }
+  ).lean();
+
+  invalidateSecurityPolicyCache();
+  return updated;
+}
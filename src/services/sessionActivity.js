@@ -0,0 +1,61 @@
+import Session from '../models/Session.js';
+import { getSecurityPolicy } from './securityPolicy.js';
+import { setIfAbsent } from './sharedStore.js';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// lastActivity is written at most once per window per session, across instances.
+const ACTIVITY_WRITE_INTERVAL_SECONDS = 60;
+
+const isSet = (value) => value !== undefined && value !== null;
+
+// Effective limits for a user: user override, then role override, then org/global policy.
+export async function getSessionLimits(user) {
+  const policy = await getSecurityPolicy(user.orgId);
+  const sessions = policy.sessions || {};
+  const roleOverride = (sessions.roleOverrides || []).find((o) => o.role === user.role) || {};
+  const userOverride = (user.security && user.security.sessionPolicy) || {};
+
+  const pick = (field) =>
+    [userOverride[field], roleOverride[field], sessions[field]].find(isSet) || 0;
+
+  return {
+    idleTimeoutMinutes: pick('idleTimeoutMinutes'),
+    absoluteLifetimeHours: pick('absoluteLifetimeHours'),
+  };
+}
+
+// Returns { code, message } when the session has to end, otherwise null.
+export function checkSessionLimits(session, limits, now = Date.now()) {
+  if (limits.absoluteLifetimeHours > 0) {
+    const startedAt = new Date(session.createdAt).getTime();
+    if (now - startedAt > limits.absoluteLifetimeHours * HOUR_MS) {
+      return {
+        code: 'SESSION_LIFETIME_EXCEEDED',
+        message: 'Session reached its maximum lifetime - please log in again',
+      };
+    }
+  }
+
+  if (limits.idleTimeoutMinutes > 0) {
+    const lastActivity = new Date(session.lastActivity || session.createdAt).getTime();
+    if (now - lastActivity > limits.idleTimeoutMinutes * MINUTE_MS) {
+      return {
+        code: 'SESSION_IDLE_TIMEOUT',
+        message: 'Session expired due to inactivity - please log in again',
+      };
+    }
+  }
+
+  return null;
+}
+
+export async function touchSession(session, now = Date.now()) {
+  const lastActivity = new Date(session.lastActivity || 0).getTime();
+  if (now - lastActivity < ACTIVITY_WRITE_INTERVAL_SECONDS * 1000) return;
+
+  if (!(await setIfAbsent(`session-activity:${session._id}`, ACTIVITY_WRITE_INTERVAL_SECONDS))) return;
+
+  await Session.updateOne({ _id: session._id }, { $set: { lastActivity: new Date(now) } });
+}
@@ -0,0 +1,151 @@
+import { redisEnabled } from '../redisAvailability.js';
+
+// Small key/value primitives shared across API instances through Redis. When Redis is
+// disabled or unreachable they fall back to process memory, which is correct for a
+// single instance and degrades to per-instance behaviour otherwise.
+const KEY_PREFIX = 'sph:';
+// While Redis is unreachable the client queues commands until it reconnects, which may be
+// never; callers sit in the request path, so every call is bounded by this.
+const REDIS_TIMEOUT_MS = 500;
+const memory = new Map();
+let lastSweepAt = 0;
+let warnedFallback = false;
+
+const warnFallback = (err) => {
+  if (warnedFallback) return;
+  warnedFallback = true;
+  console.error('[sharedStore] Redis unavailable, using memory fallback', err.message);
+};
+
+function withTimeout(promise) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Redis did not answer within ${REDIS_TIMEOUT_MS}ms`)), REDIS_TIMEOUT_MS);
+  });
+  // The losing promise may still reject later.
+  promise.catch(() => {});
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function getClient() {
+  if (!redisEnabled) return null;
+  try {
+    const { getRedisClient } = await import('../redisClient.js');
+    const client = await withTimeout(getRedisClient());
+    // Connecting or reconnecting: commands would only queue.
+    if (!client || !client.isReady) {
+      warnFallback(new Error('Redis client is not ready'));
+      return null;
+    }
+    return client;
+  } catch (err) {
+    warnFallback(err);
+    return null;
+  }
+}
+
+function sweepMemory(now) {
+  if (now - lastSweepAt < 60_000) return;
+  lastSweepAt = now;
+  for (const [key, entry] of memory) {
+    if (entry.expiresAt <= now) memory.delete(key);
+  }
+}
+
+// Sets key for ttlSeconds unless it already exists. Returns true when this call set it.
+export async function setIfAbsent(key, ttlSeconds) {
+  const client = await getClient();
+  if (client) {
+    try {
+      const result = await withTimeout(client.set(`${KEY_PREFIX}${key}`, '1', { NX: true, EX: ttlSeconds }));
+      return result === 'OK';
+    } catch (err) {
+      warnFallback(err);
+    }
+  }
+
+  const now = Date.now();
+  sweepMemory(now);
+  const existing = memory.get(key);
+  if (existing && existing.expiresAt > now) return false;
+  memory.set(key, { expiresAt: now + ttlSeconds * 1000 });
+  return true;
+}
+
+const memoryWindow = (key) => {
+  const existing = memory.get(key);
+  if (existing && existing.members) return existing;
+  const entry = { members: new Map(), expiresAt: 0 };
+  memory.set(key, entry);
+  return entry;
+};
+
+// Adds member to a sliding window of windowSeconds and returns how many distinct members
+// fall inside it. Re-adding a member refreshes its timestamp, so passing a unique member
+// per event counts events and passing e.g. an account name counts distinct accounts.
+export async function addToWindow(key, member, windowSeconds) {
+  const now = Date.now();
+  const cutoff = now - windowSeconds * 1000;
+
+  const client = await getClient();
+  if (client) {
+    try {
+      const redisKey = `${KEY_PREFIX}${key}`;
+      const [, , count] = await withTimeout(
+        client
+          .multi()
+          .zAdd(redisKey, { score: now, value: String(member) })
+          .zRemRangeByScore(redisKey, 0, cutoff)
+          .zCard(redisKey)
+          .expire(redisKey, windowSeconds)
+          .exec()
+      );
+      return Number(count);
+    } catch (err) {
+      warnFallback(err);
+    }
+  }
+
+  sweepMemory(now);
+  const entry = memoryWindow(key);
+  entry.members.set(String(member), now);
+  for (const [m, at] of entry.members) {
+    if (at <= cutoff) entry.members.delete(m);
+  }
+  entry.expiresAt = now + windowSeconds * 1000;
+  return entry.members.size;
+}
+
+// Increments a counter that expires ttlSeconds after its last increment; returns the new value.
+export async function incrementCounter(key, ttlSeconds) {
+  const client = await getClient();
+  if (client) {
+    try {
+      const redisKey = `${KEY_PREFIX}${key}`;
+      const [value] = await withTimeout(client.multi().incr(redisKey).expire(redisKey, ttlSeconds).exec());
+      return Number(value);
+    } catch (err) {
+      warnFallback(err);
+    }
+  }
+
+  const now = Date.now();
+  sweepMemory(now);
+  const existing = memory.get(key);
+  const value = (existing && existing.expiresAt > now ? existing.value || 0 : 0) + 1;
+  memory.set(key, { value, expiresAt: now + ttlSeconds * 1000 });
+  return value;
+}
+
+export async function deleteKey(key) {
+  const client = await getClient();
+  if (client) {
+    try {
+      await withTimeout(client.del(`${KEY_PREFIX}${key}`));
+      return;
+    } catch (err) {
+      warnFallback(err);
+    }
+  }
+  memory.delete(key);
+}
@@ -0,0 +1,400 @@
+import { PDFDocument } from 'pdf-lib';
+
+// Uploaded files are typed by their bytes, never by the client's Content-Type or file name;
+// those only have to agree with what the bytes say. PDFs must parse with pdf-lib and not be
+// encrypted; SVGs are rewritten without scripts, event handlers, foreignObject and
+// references to anything outside the file.
+const badRequest = (message, statusCode = 400) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+const FILE_TYPES = {
+  pdf: { mimeType: 'application/pdf', extension: 'pdf', declared: ['application/pdf', 'application/x-pdf'] },
+  svg: { mimeType: 'image/svg+xml', extension: 'svg', declared: ['image/svg+xml', 'text/xml', 'application/xml'] },
+  png: { mimeType: 'image/png', extension: 'png', declared: ['image/png'] },
+  jpeg: { mimeType: 'image/jpeg', extension: 'jpg', declared: ['image/jpeg', 'image/jpg', 'image/pjpeg'] },
+  gif: { mimeType: 'image/gif', extension: 'gif', declared: ['image/gif'] },
+  webp: { mimeType: 'image/webp', extension: 'webp', declared: ['image/webp'] },
+};
+
+export const DOCUMENT_TYPES = ['pdf', 'svg'];
+export const IMAGE_TYPES = ['png', 'jpeg', 'gif', 'webp'];
+
+// Declared types that say nothing about the content.
+const GENERIC_MIME_TYPES = ['', 'application/octet-stream', 'binary/octet-stream'];
+
+const EXTENSION_TYPES = { pdf: 'pdf', svg: 'svg', png: 'png', jpg: 'jpeg', jpeg: 'jpeg', gif: 'gif', webp: 'webp' };
+
+const startsWithBytes = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+
+// Prolog an SVG may start with: BOM, XML declaration, comments, doctype, whitespace.
+const SVG_PROLOG = /^(?:\uFEFF)?(?:\s|<\?xml[\s\S]*?\?>|<!--[\s\S]*?-->|<!DOCTYPE[^>[]*(?:\[[\s\S]*?\])?\s*>)*<(?:[\w.-]+:)?svg[\s>/]/i;
+
+// 'pdf', 'svg', 'png', 'jpeg', 'gif', 'webp' or null.
+export function detectFileType(buffer) {
+  if (!buffer || !buffer.length) return null;
+
+  // Readers accept the header anywhere in the first KB; so do we.
+  if (buffer.subarray(0, 1024).includes('%PDF-')) return 'pdf';
+  if (startsWithBytes(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'png';
+  if (startsWithBytes(buffer, [0xff, 0xd8, 0xff])) return 'jpeg';
+  if (startsWithBytes(buffer, [0x47, 0x49, 0x46, 0x38])) return 'gif';
+  if (startsWithBytes(buffer, [0x52, 0x49, 0x46, 0x46]) && startsWithBytes(buffer, [0x57, 0x45, 0x42, 0x50], 8)) {
+    return 'webp';
+  }
+  if (SVG_PROLOG.test(buffer.subarray(0, 4096).toString('utf8'))) return 'svg';
+
+  return null;
+}
+
+export const fileTypeInfo = (type) => FILE_TYPES[type] || null;
+
+const extensionType = (name) => {
+  const match = /\.([a-z0-9]+)$/i.exec(String(name || '').trim());
+  return match ? EXTENSION_TYPES[match[1].toLowerCase()] || null : null;
+};
+
+// Rejects a declared Content-Type or file name extension that contradicts the bytes.
+function assertConsistent(type, { mimetype, originalname, title }) {
+  const declared = String(mimetype || '').toLowerCase().split(';')[0].trim();
+  if (!GENERIC_MIME_TYPES.includes(declared) && !FILE_TYPES[type].declared.includes(declared)) {
+    throw badRequest(`File content is ${type.toUpperCase()} but it was uploaded as ${declared}`);
+  }
+
+  for (const name of [originalname, title]) {
+    const named = extensionType(name);
+    if (named && named !== type) {
+      throw badRequest(`File content is ${type.toUpperCase()} but "${name}" has a .${named} extension`);
+    }
+  }
+}
+
+export async function inspectPdf(buffer) {
+  let pdf;
+  try {
+    pdf = await PDFDocument.load(buffer, { ignoreEncryption: true, updateMetadata: false });
+  } catch (_) {
+    throw badRequest('The PDF file is corrupt or could not be read');
+  }
+
+  if (pdf.isEncrypted) {
+    throw badRequest('Encrypted or password-protected PDFs are not supported');
+  }
+
+  // The page tree is only resolved here, so a broken one surfaces now.
+  let pageCount;
+  try {
+    pageCount = pdf.getPageCount();
+  } catch (_) {
+    throw badRequest('The PDF file is corrupt or could not be read');
+  }
+  if (!pageCount) {
+    throw badRequest('The PDF has no pages');
+  }
+
+  return { pageCount };
+}
+
+// --- SVG sanitizing -------------------------------------------------------------------
+
+const REMOVED_ELEMENTS = new Set([
+  'script',
+  'foreignobject',
+  'iframe',
+  'object',
+  'embed',
+  'audio',
+  'video',
+  'handler',
+  'listener',
+]);
+
+const ANIMATION_ELEMENTS = new Set(['set', 'animate', 'animatetransform', 'animatemotion', 'animatecolor']);
+
+// Matched by local name: any prefix can be bound to the XLink namespace.
+const REFERENCE_ATTRIBUTES = new Set(['href', 'src']);
+const REMOVED_ATTRIBUTES = new Set(['xml:base']);
+
+// Embedded raster images are the only references allowed besides fragments in this file.
+const SAFE_DATA_URI = /^data:image\/(?:png|jpe?g|gif|webp);/i;
+
+const isSafeReference = (value) => {
+  const target = value.trim().replace(/^['"]|['"]$/g, '').trim();
+  return target === '' || target.startsWith('#') || SAFE_DATA_URI.test(target);
+};
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const decodeXml = (value) =>
+  value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, body) => {
+    if (body[0] === '#') {
+      const code = body[1] === 'x' || body[1] === 'X' ? parseInt(body.slice(2), 16) : parseInt(body.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+    }
+    return NAMED_ENTITIES[body.toLowerCase()] ?? entity;
+  });
+
+const escapeXml = (value) => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+const escapeAttribute = (value) => escapeXml(value).replace(/"/g, '&quot;');
+
+const decodeCssEscapes = (css) =>
+  css
+    .replace(/\\([0-9a-f]{1,6})\s?/gi, (_, hex) => {
+      const code = parseInt(hex, 16);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+    })
+    .replace(/\\(.)/g, '$1');
+
+// Drops @import and points url() references outside the file at nothing.
+function cleanCss(css) {
+  let changed = false;
+  const cleaned = decodeCssEscapes(css)
+    .replace(/@import[^;]*;?/gi, () => {
+      changed = true;
+      return '';
+    })
+    .replace(/url\s*\(([^)]*)\)/gi, (match, target) => {
+      if (isSafeReference(target)) return match;
+      changed = true;
+      return 'none';
+    })
+    .replace(/expression\s*\(/gi, () => {
+      changed = true;
+      return '(';
+    });
+  return { css: cleaned, changed };
+}
+
+// Reads one tag starting at text[start] === '<'. Returns null for anything malformed.
+function readTag(text, start) {
+  let i = start + 1;
+  const closing = text[i] === '/';
+  if (closing) i += 1;
+
+  const nameStart = i;
+  while (i < text.length && !/[\s/>]/.test(text[i])) i += 1;
+  const name = text.slice(nameStart, i);
+  if (!name) return null;
+
+  const attributes = [];
+  for (;;) {
+    while (i < text.length && /\s/.test(text[i])) i += 1;
+    if (i >= text.length) return null;
+    if (text[i] === '>') return { name, closing, selfClosing: false, attributes, end: i + 1 };
+    if (text.startsWith('/>', i)) return { name, closing, selfClosing: true, attributes, end: i + 2 };
+    if (closing) return null;
+
+    const attrStart = i;
+    while (i < text.length && !/[\s=/>]/.test(text[i])) i += 1;
+    const attrName = text.slice(attrStart, i);
+    if (!attrName) return null;
+
+    while (i < text.length && /\s/.test(text[i])) i += 1;
+    if (text[i] !== '=') return null;
+    i += 1;
+    while (i < text.length && /\s/.test(text[i])) i += 1;
+
+    const quote = text[i];
+    if (quote !== '"' && quote !== "'") return null;
+    const valueEnd = text.indexOf(quote, i + 1);
+    if (valueEnd === -1) return null;
+    attributes.push({ name: attrName, value: decodeXml(text.slice(i + 1, valueEnd)) });
+    i = valueEnd + 1;
+  }
+}
+
+const localName = (name) => name.toLowerCase().split(':').pop();
+
+function sanitizeAttributes(tag, stats) {
+  const kept = [];
+  for (const { name, value } of tag.attributes) {
+    const lower = name.toLowerCase();
+    const local = localName(name);
+    if (local.startsWith('on') || REMOVED_ATTRIBUTES.has(lower)) {
+      stats.attributesRemoved += 1;
+      continue;
+    }
+    if (REFERENCE_ATTRIBUTES.has(local) && !isSafeReference(value)) {
+      stats.attributesRemoved += 1;
+      continue;
+    }
+    const { css, changed } = cleanCss(value);
+    if (changed) stats.attributesRemoved += 1;
+    kept.push({ name, value: changed ? css : value });
+  }
+  return kept;
+}
+
+const ANIMATION_VALUE_ATTRIBUTES = new Set(['values', 'to', 'from', 'by']);
+
+// Browsers ignore whitespace and control characters inside a URL scheme.
+const hasScriptUrl = (value) => /(?:java|vb)script:/i.test(value.replace(/[\s\u0000-\u001f]/g, ''));
+
+// An animation that rewrites a link or an event handler is as good as a script, whatever
+// prefix names the attribute; so is one that animates anything to a script URL.
+const isDangerousAnimation = (tag) =>
+  ANIMATION_ELEMENTS.has(localName(tag.name)) &&
+  tag.attributes.some(({ name, value }) => {
+    const attr = localName(name);
+    if (attr === 'attributename') {
+      const target = localName(value.trim());
+      return REFERENCE_ATTRIBUTES.has(target) || target.startsWith('on');
+    }
+    return ANIMATION_VALUE_ATTRIBUTES.has(attr) && hasScriptUrl(value);
+  });
+
+// Returns { svg, elementsRemoved, attributesRemoved }; throws for files that cannot be parsed.
+export function sanitizeSvg(input) {
+  const text = String(input).replace(/^\uFEFF/, '');
+  const stats = { elementsRemoved: 0, attributesRemoved: 0 };
+  let out = '';
+  let i = 0;
+  let skipDepth = 0;
+  let inStyle = false;
+  let sawRoot = false;
+  const open = [];
+
+  const fail = () => badRequest('The SVG file is malformed');
+
+  while (i < text.length) {
+    if (text.startsWith('<!--', i)) {
+      const end = text.indexOf('-->', i + 4);
+      if (end === -1) throw fail();
+      i = end + 3;
+      continue;
+    }
+
+    if (text.startsWith('<![CDATA[', i)) {
+      const end = text.indexOf(']]>', i + 9);
+      if (end === -1) throw fail();
+      if (!skipDepth) {
+        const content = text.slice(i + 9, end);
+        out += inStyle ? escapeXml(cleanCss(content).css) : `<![CDATA[${content}]]>`;
+      }
+      i = end + 3;
+      continue;
+    }
+
+    if (text.startsWith('<!', i)) {
+      // Doctype: entity declarations could expand into anything downstream, so refuse them.
+      let end = i + 2;
+      let depth = 0;
+      for (; end < text.length; end += 1) {
+        if (text[end] === '[') depth += 1;
+        else if (text[end] === ']') depth -= 1;
+        else if (text[end] === '>' && depth <= 0) break;
+      }
+      if (end >= text.length) throw fail();
+      if (/<!ENTITY/i.test(text.slice(i, end))) {
+        throw badRequest('SVG files with entity declarations are not accepted');
+      }
+      i = end + 1;
+      continue;
+    }
+
+    if (text.startsWith('<?', i)) {
+      const end = text.indexOf('?>', i + 2);
+      if (end === -1) throw fail();
+      // Only the XML declaration survives; stylesheet instructions would load external CSS.
+      if (!out.trim() && /^<\?xml\s/i.test(text.slice(i, end + 2))) out += text.slice(i, end + 2);
+      i = end + 2;
+      continue;
+    }
+
+    if (text[i] === '<') {
+      const tag = readTag(text, i);
+      if (!tag) throw fail();
+      i = tag.end;
+      const name = localName(tag.name);
+
+      if (tag.closing) {
+        if (skipDepth) {
+          skipDepth -= 1;
+          continue;
+        }
+        if (open.pop() !== tag.name) throw fail();
+        if (name === 'style') inStyle = false;
+        out += `</${tag.name}>`;
+        continue;
+      }
+
+      if (skipDepth) {
+        if (!tag.selfClosing) skipDepth += 1;
+        continue;
+      }
+
+      if (!sawRoot) {
+        if (name !== 'svg') throw badRequest('The file is not an SVG image');
+        sawRoot = true;
+      } else if (!open.length) {
+        throw fail();
+      }
+
+      if (REMOVED_ELEMENTS.has(name) || isDangerousAnimation(tag)) {
+        stats.elementsRemoved += 1;
+        if (!tag.selfClosing) skipDepth = 1;
+        continue;
+      }
+
+      const attributes = sanitizeAttributes(tag, stats)
+        .map(({ name: attrName, value }) => ` ${attrName}="${escapeAttribute(value)}"`)
+        .join('');
+      out += `<${tag.name}${attributes}${tag.selfClosing ? '/' : ''}>`;
+      if (!tag.selfClosing) open.push(tag.name);
+      if (name === 'style' && !tag.selfClosing) inStyle = true;
+      continue;
+    }
+
+    const next = text.indexOf('<', i);
+    const end = next === -1 ? text.length : next;
+    if (!skipDepth) {
+      const chunk = text.slice(i, end);
+      out += inStyle ? escapeXml(cleanCss(decodeXml(chunk)).css) : chunk;
+    }
+    i = end;
+  }
+
+  if (!sawRoot || skipDepth || open.length) throw fail();
+
+  return { svg: out, ...stats };
+}
+
+// Validates an uploaded source document (multer file) and returns what to store:
+// { buffer, mimetype, extension, type, pageCount, sanitized }. SVGs come back sanitized.
+export async function validateDocumentUpload(file, { title } = {}) {
+  const type = detectFileType(file.buffer);
+  if (!type || !DOCUMENT_TYPES.includes(type)) {
+    throw badRequest('Only PDF and SVG files can be uploaded', 415);
+  }
+
+  assertConsistent(type, { mimetype: file.mimetype, originalname: file.originalname, title });
+  const { mimeType, extension } = FILE_TYPES[type];
+
+  if (type === 'pdf') {
+    const { pageCount } = await inspectPdf(file.buffer);
+    return { buffer: file.buffer, mimetype: mimeType, extension, type, pageCount, sanitized: null };
+  }
+
+  const { svg, elementsRemoved, attributesRemoved } = sanitizeSvg(file.buffer.toString('utf8'));
+  return {
+    buffer: Buffer.from(svg, 'utf8'),
+    mimetype: mimeType,
+    extension,
+    type,
+    pageCount: 1,
+    sanitized: { elementsRemoved, attributesRemoved },
+  };
+}
+
+// Raster images (ticket artwork): the type comes from the bytes and must match the declared one.
+export function validateImageUpload(buffer, declaredMimeType) {
+  const type = detectFileType(buffer);
+  if (!type || !IMAGE_TYPES.includes(type)) {
+    throw badRequest('Only PNG, JPEG, GIF and WebP images can be uploaded', 415);
+  }
+  assertConsistent(type, { mimetype: declaredMimeType });
+  return { mimetype: FILE_TYPES[type].mimeType, extension: FILE_TYPES[type].extension, type };
+}
@@ -0,0 +1,62 @@
+// Lightweight User-Agent parsing for showing sessions as recognisable devices.
+// Order matters: several browsers include the tokens of the ones they are built on.
+const BROWSERS = [
+  ['Edge', /Edg(?:e|A|iOS)?\/([\d.]+)/],
+  ['Opera', /(?:OPR|Opera)\/([\d.]+)/],
+  ['Samsung Internet', /SamsungBrowser\/([\d.]+)/],
+  ['Electron', /Electron\/([\d.]+)/],
+  ['Firefox', /(?:Firefox|FxiOS)\/([\d.]+)/],
+  ['Chrome', /(?:Chrome|CriOS)\/([\d.]+)/],
+  ['Safari', /Version\/([\d.]+).*Safari\//],
+  ['curl', /curl\/([\d.]+)/],
+];
+
+const OPERATING_SYSTEMS = [
+  ['iOS', /(?:iPhone|iPad|iPod).*OS ([\d_]+)/],
+  ['Android', /Android ([\d.]+)/],
+  ['Windows', /Windows NT ([\d.]+)/],
+  ['macOS', /Mac OS X ([\d_.]+)/],
+  ['ChromeOS', /CrOS \S+ ([\d.]+)/],
+  ['Linux', /Linux/],
+];
+
+const WINDOWS_VERSIONS = { '10.0': '10/11', '6.3': '8.1', '6.2': '8', '6.1': '7' };
+
+const majorVersion = (version) => (version ? version.split('.')[0] : '');
+
+export function parseUserAgent(userAgent) {
+  const ua = typeof userAgent === 'string' ? userAgent : '';
+  const info = { browser: 'Unknown', os: 'Unknown', device: 'desktop', platform: 'Unknown' };
+  if (!ua) return info;
+
+  for (const [name, pattern] of BROWSERS) {
+    const match = ua.match(pattern);
+    if (match) {
+      const major = majorVersion(match[1]);
+      info.browser = major ? `${name} ${major}` : name;
+      break;
+    }
+  }
+
+  for (const [name, pattern] of OPERATING_SYSTEMS) {
+    const match = ua.match(pattern);
+    if (match) {
+      let version = match[1] ? match[1].replace(/_/g, '.') : '';
+      if (name === 'Windows') version = WINDOWS_VERSIONS[version] || version;
+      if (name === 'macOS' || name === 'iOS') version = version.split('.').slice(0, 2).join('.');
+      info.os = version ? `${name} ${version}` : name;
+      info.platform = name;
+      break;
+    }
+  }
+
+  if (/iPad|Tablet/i.test(ua) || (/Android/.test(ua) && !/Mobile/.test(ua))) {
+    info.device = 'tablet';
+  } else if (/Mobi|iPhone|iPod/i.test(ua)) {
+    info.device = 'mobile';
+  } else if (/bot|crawler|spider|curl|wget|python|node-fetch|axios/i.test(ua)) {
+    info.device = 'bot';
+  }
+
+  return info;
+}
@@ -28,6 +28,8 @@ import {
 import { generateOutputPdfBuffer } from "../src/pdf/generateOutputPdf.js";
 import { s3, uploadToS3 } from "../src/services/s3.js";
 import Document from "../src/models/Document.js";
+import { describeJobOutput } from "../src/services/documentCatalog.js";
+import { discardObject, storeObject } from "../src/services/objectStore.js";
 import DocumentAccess from "../src/models/DocumentAccess.js";
 import DocumentJobs from "../src/models/DocumentJobs.js";
 
@@ -190,7 +192,7 @@ function extractDocumentIdFromTemplateKey(templateKey) {
   return id || null;
 }
 
-async function renderVectorLayoutToPdfBuffer(layout) {
+async function renderVectorLayoutToPdfBuffer(layout, orgId) {
   const items = Array.isArray(layout?.items) ? layout.items : [];
   const templateItem = items.find((i) => i && i.kind === "svgTemplate");
   if (!templateItem) {
@@ -207,6 +209,11 @@ async function renderVectorLayoutToPdfBuffer(layout) {
     throw new Error("source document not found");
   }
 
+  // Templates may only come from the job's own organization.
+  if (String(srcDoc.orgId || "") !== String(orgId || "")) {
+    throw new Error("source document belongs to another organization");
+  }
+
   const mimeType = typeof srcDoc.mimeType === "string" ? srcDoc.mimeType : "";
   const isSvg =
     mimeType.includes("svg") ||
@@ -354,7 +361,7 @@ async function start() {
         let pdf;
         if (layoutMode === "vector" && vectorEnabledEffective) {
           try {
-            pdf = await renderVectorLayoutToPdfBuffer(pageLayout);
+            pdf = await renderVectorLayoutToPdfBuffer(pageLayout, jobDoc.orgId);
           } catch (e) {
             dbg("render", jobId, "vector render failed; falling back to raster", {
               pageIndex,
@@ -623,27 +630,50 @@ async function start() {
 
         const finalPdf = Buffer.from(await merged.save());
         dbg("merge", jobId, "final pdf", { bytes: finalPdf.length });
-        const { key, url } = await uploadToS3(
-          finalPdf,
-          "application/pdf",
-          "generated/output/"
-        );
-
-        dbg("merge", jobId, "uploaded output", { key, url });
-
         const totalPrintsRaw = jobDoc.assignedQuota;
         const totalPrintsNum = Number(totalPrintsRaw ?? 0);
         const totalPrints = Number.isFinite(totalPrintsNum) ? totalPrintsNum : 0;
 
-        const doc = await Document.create({
-          title: "Generated Output",
-          fileKey: key,
-          fileUrl: url,
-          totalPrints,
-          mimeType: "application/pdf",
-          documentType: "generated-output",
-          createdBy: jobDoc.createdBy,
-        });
+        // Jobs queued before titles were stored get theirs from the layout now.
+        const output = jobDoc.title
+          ? { title: jobDoc.title, sourceDocumentIds: jobDoc.sourceDocumentIds || [] }
+          : await describeJobOutput({
+              layoutPages: jobDoc.layoutPages,
+              email: jobDoc.email,
+              orgId: jobDoc.orgId,
+              date: jobDoc.createdAt,
+            });
+
+        // A retry after the output document was saved reuses it instead of storing the
+        // file (and a reference to it) a second time.
+        let doc = await Document.findOne({ sourceJobId: jobDoc._id });
+        if (!doc) {
+          const { key, url, checksum } = await storeObject(finalPdf, {
+            mimeType: "application/pdf",
+            orgId: jobDoc.orgId,
+          });
+
+          dbg("merge", jobId, "uploaded output", { key, url });
+
+          try {
+            doc = await Document.create({
+              title: output.title,
+              fileKey: key,
+              fileUrl: url,
+              totalPrints,
+              mimeType: "application/pdf",
+              checksum,
+              documentType: "generated-output",
+              sourceJobId: jobDoc._id,
+              sourceDocumentIds: output.sourceDocumentIds,
+              createdBy: jobDoc.createdBy,
+              orgId: jobDoc.orgId,
+            });
+          } catch (err) {
+            await discardObject(key);
+            throw err;
+          }
+        }
 
         const access = await DocumentAccess.findOneAndUpdate(
           { userId: jobDoc.userId, documentId: doc._id },
@@ -653,6 +683,7 @@ async function start() {
             assignedQuota: Number(jobDoc.assignedQuota),
             usedPrints: 0,
             sessionToken: crypto.randomBytes(32).toString("hex"),
+            orgId: jobDoc.orgId,
           },
           { upsert: true, new: true }
         );